@@ -0,0 +1,51 @@
+import "dotenv/config";
+import { pathToFileURL } from "url";
+import prisma from "../src/config/prisma.js";
+import { buildSearchText } from "../src/utils/text.js";
+
+// ==========================================
+//  SEARCH TEXT BACKFILL -- Điền searchText cho dữ liệu cũ
+// ==========================================
+//
+// Vocabularies created before searchText existed are invisible to /api/vocabularies/search -- Từ vựng tạo trước khi có searchText không xuất hiện trong /api/vocabularies/search
+// Safe to run more than once: only rows with searchText = null are touched -- Chạy nhiều lần vẫn an toàn: chỉ xử lý dòng có searchText = null
+
+const BATCH_SIZE = 500;
+
+/**
+ * Fill Vocabulary.searchText where it is missing -- Điền Vocabulary.searchText cho các dòng còn thiếu
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @return {Promise<number>} Rows updated -- Số dòng đã cập nhật
+ */
+export const backfillSearchText = async (prisma) => {
+  let updated = 0;
+
+  for (;;) {
+    const rows = await prisma.vocabulary.findMany({
+      where: { searchText: null },
+      select: { id: true, word: true, definition: true, example: true },
+      take: BATCH_SIZE,
+    });
+
+    if (!rows.length) {
+      return updated;
+    }
+
+    await prisma.$transaction(
+      rows.map(({ id, ...fields }) =>
+        prisma.vocabulary.update({
+          where: { id },
+          data: { searchText: buildSearchText(fields) },
+        })
+      )
+    );
+    updated += rows.length;
+  }
+};
+
+// Run directly: node scripts/backfill-search-text.js -- Chạy trực tiếp
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  backfillSearchText(prisma)
+    .then((count) => console.log(`Search text filled for ${count} vocabularies`))
+    .finally(() => prisma.$disconnect());
+}
@@ -30,10 +30,12 @@ CREATE TABLE users (
     email VARCHAR(255) NOT NULL,
     name NVARCHAR(255) NULL,
     passwordHash VARCHAR(255) NULL,
-    role VARCHAR(50) NOT NULL CONSTRAINT DF_users_role DEFAULT 'user',
+    role VARCHAR(50) NOT NULL CONSTRAINT DF_users_role DEFAULT 'USER',
     settings NVARCHAR(MAX) NULL,
     googleId VARCHAR(255) NULL,
     emailVerified BIT NOT NULL CONSTRAINT DF_users_emailVerified DEFAULT 0,
+    disabledAt DATETIME2(7) NULL,
+    mustResetPassword BIT NOT NULL CONSTRAINT DF_users_mustResetPassword DEFAULT 0,
 
     CONSTRAINT PK_users PRIMARY KEY (id),
     CONSTRAINT UQ_users_email UNIQUE (email)
@@ -48,9 +50,9 @@ CREATE INDEX IX_users_googleId ON users(googleId);
 CREATE TABLE sessions (
     id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_sessions_id DEFAULT NEWID(),
     sid VARCHAR(255) NOT NULL,
-    userId UNIQUEIDENTIFIER NOT NULL,
+    userId UNIQUEIDENTIFIER NULL,
     expiresAt DATETIME2(7) NOT NULL,
-    date NVARCHAR(MAX) NULL,
+    data NVARCHAR(MAX) NOT NULL,
 
     CONSTRAINT PK_sessions PRIMARY KEY (id),
     CONSTRAINT UQ_sessions_sid UNIQUE (sid),
@@ -58,6 +60,30 @@ CREATE TABLE sessions (
         REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE
 );
 
+CREATE INDEX IX_sessions_userId ON sessions(userId);
+CREATE INDEX IX_sessions_expiresAt ON sessions(expiresAt);
+
+
+-------------------------------------------------------
+-- AUTH TOKENS TABLE (PASSWORD RESET, EMAIL VERIFICATION)
+-------------------------------------------------------
+CREATE TABLE auth_tokens (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_auth_tokens_id DEFAULT NEWID(),
+    userId UNIQUEIDENTIFIER NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    tokenHash VARCHAR(64) NOT NULL,
+    expiresAt DATETIME2(7) NOT NULL,
+    usedAt DATETIME2(7) NULL,
+    createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_auth_tokens_createdAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_auth_tokens PRIMARY KEY (id),
+    CONSTRAINT UQ_auth_tokens_tokenHash UNIQUE (tokenHash),
+    CONSTRAINT FK_auth_tokens_users_userId FOREIGN KEY (userId)
+        REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IX_auth_tokens_userId_type ON auth_tokens(userId, type);
+
 
 -------------------------------------------------------
 -- VOCABULARIES TABLE
@@ -73,6 +99,7 @@ CREATE TABLE vocabularies (
     difficulty INT NOT NULL CONSTRAINT DF_vocabularies_difficulty DEFAULT 1,
     imageUrl VARCHAR(255) NULL,
     audioUrl VARCHAR(255) NULL,
+    searchText NVARCHAR(MAX) NULL,
     createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_vocabularies_createdAt DEFAULT SYSUTCDATETIME(),
     updatedAt DATETIME2(7) NOT NULL CONSTRAINT DF_vocabularies_updatedAt DEFAULT SYSUTCDATETIME(),
 
@@ -133,6 +160,10 @@ CREATE TABLE reviews (
     nextReview DATETIME2(7) NOT NULL,
     lastReviewed DATETIME2(7) NULL,
     quality INT NULL,
+    algorithm VARCHAR(20) NOT NULL CONSTRAINT DF_reviews_algorithm DEFAULT 'sm2',
+    stability FLOAT NULL,
+    fsrsDifficulty FLOAT NULL,
+    box INT NULL,
     createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_reviews_createdAt DEFAULT SYSUTCDATETIME(),
 
     CONSTRAINT PK_reviews PRIMARY KEY (id),
@@ -147,19 +178,133 @@ CREATE INDEX IX_reviews_userId ON reviews(userId);
 CREATE INDEX IX_reviews_nextReview ON reviews(nextReview);
 
 
+-------------------------------------------------------
+-- REVIEW LOGS TABLE (append-only)
+-------------------------------------------------------
+CREATE TABLE review_logs (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_review_logs_id DEFAULT NEWID(),
+    userId UNIQUEIDENTIFIER NOT NULL,
+    vocabularyId UNIQUEIDENTIFIER NOT NULL,
+    quality INT NOT NULL,
+    previousInterval INT NOT NULL,
+    newInterval INT NOT NULL,
+    algorithm VARCHAR(20) NOT NULL,
+    responseTimeMs INT NULL,
+    reviewedAt DATETIME2(7) NOT NULL CONSTRAINT DF_review_logs_reviewedAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_review_logs PRIMARY KEY (id),
+    CONSTRAINT FK_review_logs_users_userId FOREIGN KEY (userId)
+        REFERENCES users(id),
+    CONSTRAINT FK_review_logs_vocabularies FOREIGN KEY (vocabularyId)
+        REFERENCES vocabularies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IX_review_logs_userId_reviewedAt ON review_logs(userId, reviewedAt);
+CREATE INDEX IX_review_logs_vocabularyId ON review_logs(vocabularyId);
+
+
+-------------------------------------------------------
+-- DAILY PROGRESS TABLE
+-------------------------------------------------------
+CREATE TABLE daily_progress (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_daily_progress_id DEFAULT NEWID(),
+    userId UNIQUEIDENTIFIER NOT NULL,
+    date VARCHAR(10) NOT NULL,
+    reviews INT NOT NULL CONSTRAINT DF_daily_progress_reviews DEFAULT 0,
+    goal INT NOT NULL,
+    updatedAt DATETIME2(7) NOT NULL CONSTRAINT DF_daily_progress_updatedAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_daily_progress PRIMARY KEY (id),
+    CONSTRAINT UQ_daily_progress_userId_date UNIQUE (userId, date),
+    CONSTRAINT FK_daily_progress_users_userId FOREIGN KEY (userId)
+        REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+
+-------------------------------------------------------
+-- STREAK FREEZES TABLE
+-------------------------------------------------------
+CREATE TABLE streak_freezes (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_streak_freezes_id DEFAULT NEWID(),
+    userId UNIQUEIDENTIFIER NOT NULL,
+    date VARCHAR(10) NOT NULL,
+    createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_streak_freezes_createdAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_streak_freezes PRIMARY KEY (id),
+    CONSTRAINT UQ_streak_freezes_userId_date UNIQUE (userId, date),
+    CONSTRAINT FK_streak_freezes_users_userId FOREIGN KEY (userId)
+        REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+
 -------------------------------------------------------
 -- API USAGE TABLE
 -------------------------------------------------------
-CREATE TABLE apiUsage (
-    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_apiUsage_id DEFAULT NEWID(),
+CREATE TABLE api_usage (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_api_usage_id DEFAULT NEWID(),
     endpoint VARCHAR(255) NOT NULL,
     date DATETIME2(7) NOT NULL,
-    count INT NOT NULL CONSTRAINT DF_apiUsage DEFAULT 0,
-    createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_apiUsage_createdAt DEFAULT SYSUTCDATETIME(),
+    count INT NOT NULL CONSTRAINT DF_api_usage_count DEFAULT 0,
+    createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_api_usage_createdAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_api_usage PRIMARY KEY (id),
+    CONSTRAINT UQ_api_usage_endpoint_date UNIQUE (endpoint, date)
+);
+
+CREATE INDEX IX_api_usage_endpoint ON api_usage(endpoint);
+CREATE INDEX IX_api_usage_date ON api_usage(date);
+
+
+-------------------------------------------------------
+-- RATE LIMITS TABLE
+-------------------------------------------------------
+CREATE TABLE rate_limits (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_rate_limits_id DEFAULT NEWID(),
+    [key] VARCHAR(255) NOT NULL,
+    hits INT NOT NULL CONSTRAINT DF_rate_limits_hits DEFAULT 0,
+    resetAt DATETIME2(7) NOT NULL,
+
+    CONSTRAINT PK_rate_limits PRIMARY KEY (id),
+    CONSTRAINT UQ_rate_limits_key UNIQUE ([key])
+);
+
+CREATE INDEX IX_rate_limits_resetAt ON rate_limits(resetAt);
+
+
+-------------------------------------------------------
+-- DICTIONARY CACHE TABLE
+-------------------------------------------------------
+CREATE TABLE dictionary_cache (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_dictionary_cache_id DEFAULT NEWID(),
+    word NVARCHAR(255) NOT NULL,
+    found BIT NOT NULL,
+    data NVARCHAR(MAX) NULL,
+    expiresAt DATETIME2(7) NOT NULL,
+    createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_dictionary_cache_createdAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_dictionary_cache PRIMARY KEY (id),
+    CONSTRAINT UQ_dictionary_cache_word UNIQUE (word)
+);
+
+CREATE INDEX IX_dictionary_cache_expiresAt ON dictionary_cache(expiresAt);
 
-    CONSTRAINT PK_apiUsage PRIMARY KEY (id),
-    CONSTRAINT UQ_apiUsage_endpoint_date UNIQUE (endpoint, date)
+
+-------------------------------------------------------
+-- AUDIT LOGS TABLE (append-only)
+-------------------------------------------------------
+CREATE TABLE audit_logs (
+    id UNIQUEIDENTIFIER NOT NULL CONSTRAINT DF_audit_logs_id DEFAULT NEWID(),
+    actorId UNIQUEIDENTIFIER NOT NULL,
+    action VARCHAR(100) NOT NULL,
+    targetType VARCHAR(50) NULL,
+    targetId VARCHAR(255) NULL,
+    details NVARCHAR(MAX) NULL,
+    ip VARCHAR(64) NULL,
+    createdAt DATETIME2(7) NOT NULL CONSTRAINT DF_audit_logs_createdAt DEFAULT SYSUTCDATETIME(),
+
+    CONSTRAINT PK_audit_logs PRIMARY KEY (id)
 );
 
-CREATE INDEX IX_apiUsage_endpoint ON apiUsage(endpoint);
-CREATE INDEX IX_apiUsage_date ON apiUsage(date);
+CREATE INDEX IX_audit_logs_actorId_createdAt ON audit_logs(actorId, createdAt);
+CREATE INDEX IX_audit_logs_targetType_targetId ON audit_logs(targetType, targetId);
+CREATE INDEX IX_audit_logs_createdAt ON audit_logs(createdAt);
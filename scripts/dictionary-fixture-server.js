@@ -0,0 +1,89 @@
+import express from "express";
+import { pathToFileURL } from "url";
+
+// ==========================================
+//  DICTIONARY FIXTURE SERVER -- Server từ điển dữ liệu mẫu
+//  Local development/testing only -- Chỉ dùng cho phát triển/kiểm thử cục bộ
+// ==========================================
+//
+// Answers like WordsAPI without a RapidAPI key or quota -- Trả lời giống WordsAPI mà không cần khóa RapidAPI hay hạn mức
+//   DICTIONARY_API_URL=http://localhost:4001
+//
+// Extra words can be added with PUT /mock/words/:word -- Có thể thêm từ bằng PUT /mock/words/:word
+
+export const DEFAULT_FIXTURES = {
+  serendipity: {
+    word: "serendipity",
+    results: [
+      {
+        definition: "good luck in making unexpected and fortunate discoveries",
+        partOfSpeech: "noun",
+        examples: ["it was pure serendipity that we met"],
+      },
+    ],
+    pronunciation: { all: "ˌsɛrənˈdɪpɪti" },
+  },
+  eloquent: {
+    word: "eloquent",
+    results: [
+      {
+        definition: "expressing yourself readily, clearly, effectively",
+        partOfSpeech: "adjective",
+        examples: ["an eloquent speaker"],
+      },
+    ],
+    pronunciation: { all: "ˈɛləkwənt" },
+  },
+  run: {
+    word: "run",
+    results: [
+      {
+        definition: "move fast by using one's feet",
+        partOfSpeech: "verb",
+        examples: ["don't run--you'll be out of breath"],
+      },
+    ],
+    pronunciation: "rʌn",
+  },
+};
+
+/**
+ * Create the fixture server app -- Tạo ứng dụng server dữ liệu mẫu
+ *
+ * @param {Object} [fixtures] - word -> WordsAPI body -- từ -> body WordsAPI
+ * @return {Express} Express app -- Ứng dụng Express
+ */
+export const createDictionaryFixtureServer = (fixtures = DEFAULT_FIXTURES) => {
+  const app = express();
+  const words = new Map(Object.entries(fixtures));
+
+  app.use(express.json());
+
+  // WordsAPI: GET /words/{word}
+  app.get("/words/:word", (req, res) => {
+    const entry = words.get(req.params.word.toLowerCase());
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "word not found" });
+    }
+    return res.json(entry);
+  });
+
+  // Add or replace a word -- Thêm hoặc thay một từ
+  app.put("/mock/words/:word", (req, res) => {
+    const word = req.params.word.toLowerCase();
+    words.set(word, { word, ...req.body });
+    res.json(words.get(word));
+  });
+
+  return app;
+};
+
+// Run directly: node scripts/dictionary-fixture-server.js -- Chạy trực tiếp
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.DICTIONARY_FIXTURE_PORT) || 4001;
+  createDictionaryFixtureServer().listen(port, () => {
+    console.log(`Dictionary fixture server listening on http://localhost:${port}`);
+  });
+}
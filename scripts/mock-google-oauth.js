@@ -0,0 +1,94 @@
+import express from "express";
+import { pathToFileURL } from "url";
+
+// ==========================================
+//  MOCK GOOGLE OAUTH PROVIDER -- Provider Google OAuth giả lập
+//  Local development/testing only -- Chỉ dùng cho phát triển/kiểm thử cục bộ
+// ==========================================
+//
+// Point the app at it -- Trỏ ứng dụng tới provider này:
+//   GOOGLE_AUTHORIZATION_URL=http://localhost:4000/o/oauth2/v2/auth
+//   GOOGLE_TOKEN_URL=http://localhost:4000/token
+//   GOOGLE_USERINFO_URL=http://localhost:4000/userinfo
+//
+// The signed-in profile comes from MOCK_GOOGLE_* variables -- Hồ sơ đăng nhập lấy từ biến MOCK_GOOGLE_*
+// and can be changed with PUT /mock/profile -- và có thể đổi bằng PUT /mock/profile
+
+/**
+ * Create the mock provider app -- Tạo ứng dụng provider giả lập
+ *
+ * @param {Object} [profile] - Initial userinfo (OpenID claims) -- Thông tin userinfo ban đầu
+ * @return {Express} Express app -- Ứng dụng Express
+ */
+export const createMockGoogleServer = (
+  profile = {
+    sub: process.env.MOCK_GOOGLE_SUB || "100000000000000000001",
+    name: process.env.MOCK_GOOGLE_NAME || "Mock User",
+    email: process.env.MOCK_GOOGLE_EMAIL || "mock.user@example.com",
+    email_verified: process.env.MOCK_GOOGLE_EMAIL_VERIFIED !== "false",
+  }
+) => {
+  const app = express();
+  const tokens = new Map(); // code/access token -> profile -- mã/access token -> hồ sơ
+  let current = { ...profile };
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Consent screen: approve immediately -- Màn hình đồng ý: chấp nhận ngay
+  app.get("/o/oauth2/v2/auth", (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.query;
+    const code = `mock-code-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    tokens.set(code, { ...current });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set("code", code);
+    if (state) {
+      url.searchParams.set("state", state);
+    }
+    res.redirect(url.toString());
+  });
+
+  // Authorization code -> access token -- Đổi mã ủy quyền lấy access token
+  app.post("/token", (req, res) => {
+    const claims = tokens.get(req.body.code);
+    if (!claims) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+    tokens.delete(req.body.code);
+
+    const accessToken = `mock-token-${Math.random().toString(36).slice(2)}`;
+    tokens.set(accessToken, claims);
+    return res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 3600,
+    });
+  });
+
+  // OpenID userinfo -- Thông tin người dùng OpenID
+  app.get("/userinfo", (req, res) => {
+    const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+    const claims = tokens.get(token) || tokens.get(req.query.access_token);
+    if (!claims) {
+      return res.status(401).json({ error: "invalid_token" });
+    }
+    return res.json(claims);
+  });
+
+  // Switch the profile used by the next sign-in -- Đổi hồ sơ cho lần đăng nhập tiếp theo
+  app.put("/mock/profile", (req, res) => {
+    current = { ...current, ...req.body };
+    res.json(current);
+  });
+
+  return app;
+};
+
+// Run directly: node scripts/mock-google-oauth.js -- Chạy trực tiếp
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_GOOGLE_PORT) || 4000;
+  createMockGoogleServer().listen(port, () => {
+    console.log(`Mock Google OAuth provider listening on http://localhost:${port}`);
+  });
+}
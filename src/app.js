@@ -0,0 +1,91 @@
+import express from "express";
+import cors from "cors";
+import helmet from "helmet";
+import { configurePassport } from "./config/passport.js";
+import { createSessionMiddleware } from "./config/session.js";
+import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import {
+  requestContext,
+  accessLog,
+  REQUEST_ID_HEADER,
+} from "./middleware/requestContext.js";
+import { createRateLimiters, rateLimit } from "./middleware/rateLimit.js";
+import authRoutes from "./routes/auth.js";
+import sessionRoutes from "./routes/sessions.js";
+import accountRoutes from "./routes/account.js";
+import vocabularyRoutes from "./routes/vocabulary.js";
+import tagRoutes from "./routes/tags.js";
+import reviewRoutes from "./routes/reviews.js";
+import analyticsRoutes from "./routes/analytics.js";
+import streakRoutes from "./routes/streaks.js";
+import dictionaryRoutes from "./routes/dictionary.js";
+import adminRoutes from "./routes/admin.js";
+
+// ==========================================
+//  EXPRESS APPLICATION -- Ứng dụng Express
+// ==========================================
+
+/**
+ * Create the Express app -- Tạo ứng dụng Express
+ * The Prisma client is injected so routes read it with req.app.get("prisma") -- Prisma client được truyền vào để route đọc bằng req.app.get("prisma")
+ *
+ * @param {Object} options
+ * @param {PrismaClient} options.prisma - Prisma client -- Đối tượng Prisma
+ * @param {session.Store} [options.sessionStore] - Session store (memory store if omitted) -- Nơi lưu session (mặc định lưu trong bộ nhớ)
+ * @param {PrismaRateLimitStore} [options.rateLimitStore] - Rate limit store (memory store if omitted) -- Nơi lưu bộ đếm giới hạn tần suất (mặc định lưu trong bộ nhớ)
+ * @return {Express} Express app -- Ứng dụng Express
+ */
+export const createApp = ({ prisma, sessionStore, rateLimitStore }) => {
+  const app = express();
+
+  app.set("prisma", prisma);
+  app.set("rateLimiters", createRateLimiters(rateLimitStore));
+  app.set("trust proxy", 1); // Behind Render/Heroku/Vercel proxies -- Chạy sau proxy của Render/Heroku/Vercel
+
+  // Request ID + one access-log line per request -- ID request + một dòng log truy cập cho mỗi request
+  app.use(requestContext);
+  app.use(accessLog);
+
+  app.use(helmet());
+  app.use(
+    cors({
+      origin: process.env.CORS_ORIGIN || true,
+      credentials: true,
+      exposedHeaders: [REQUEST_ID_HEADER], // Readable by the client for bug reports -- Client đọc được để báo lỗi
+    })
+  );
+  app.use(express.json({ limit: "1mb" }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Session + Passport -- Session và Passport
+  const passport = configurePassport(prisma);
+  app.use(createSessionMiddleware({ store: sessionStore }));
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  // Health check -- Kiểm tra trạng thái
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  // After Passport so logged-in users are limited per account -- Sau Passport để người đã đăng nhập được giới hạn theo tài khoản
+  app.use("/api", rateLimit("api"));
+
+  app.use("/api/auth", authRoutes);
+  app.use("/api/sessions", sessionRoutes);
+  app.use("/api/account", accountRoutes);
+  app.use("/api/vocabularies", vocabularyRoutes);
+  app.use("/api/tags", tagRoutes);
+  app.use("/api/reviews", reviewRoutes);
+  app.use("/api/analytics", analyticsRoutes);
+  app.use("/api/streaks", streakRoutes);
+  app.use("/api/dictionary", dictionaryRoutes);
+  app.use("/api/admin", adminRoutes);
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+export default createApp;
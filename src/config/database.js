@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { instrumentRequests } from '../utils/queryMetrics.js';
 
 // Lấy đường dẫn thư mục hiện tại
 const __filename = fileURLToPath(import.meta.url);
@@ -26,6 +27,9 @@ const dbConfig = {
 	}
 };
 
+// Log and count every query/batch, like the Prisma client -- Ghi log và đếm mọi query/batch, giống Prisma client
+// See instrumentRequests in src/utils/queryMetrics.js -- Xem instrumentRequests trong src/utils/queryMetrics.js
+instrumentRequests(sql.Request);
 
 // Hàm kết nối và khởi tạo cơ sở dữ liệu
 export const initDatabase = async () => {
@@ -0,0 +1,112 @@
+import passport from "passport";
+import { Strategy as LocalStrategy } from "passport-local";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import logger from "../utils/logger.js";
+import { assertActive, authenticateLocal } from "../services/auth.js";
+import { findOrCreateGoogleUser } from "../services/googleAuth.js";
+
+// ==========================================
+//  PASSPORT CONFIGURATION -- Cấu hình Passport
+// ==========================================
+
+/**
+ * Google OAuth options from the environment -- Cấu hình Google OAuth từ biến môi trường
+ * GOOGLE_AUTHORIZATION_URL / GOOGLE_TOKEN_URL / GOOGLE_USERINFO_URL point the flow at a mock provider -- trỏ luồng đăng nhập tới một provider giả lập
+ * (see scripts/mock-google-oauth.js) -- (xem scripts/mock-google-oauth.js)
+ *
+ * @return {Object|null} Strategy options, or null when Google login is not configured -- Cấu hình strategy, hoặc null nếu chưa cấu hình
+ */
+export const googleOAuthOptions = () => {
+  const clientID = process.env.GOOGLE_CLIENT_ID;
+  // GOOGLE_CLIENT_SERECT is the old misspelled name, still accepted -- GOOGLE_CLIENT_SERECT là tên cũ bị viết sai, vẫn được chấp nhận
+  const clientSecret =
+    process.env.GOOGLE_CLIENT_SECRET || process.env.GOOGLE_CLIENT_SERECT;
+
+  if (!clientID || !clientSecret) {
+    return null;
+  }
+
+  return {
+    clientID,
+    clientSecret,
+    callbackURL:
+      process.env.GOOGLE_CALLBACK_URL ||
+      `${process.env.BASE_URL || ""}/api/auth/google/callback`,
+    ...(process.env.GOOGLE_AUTHORIZATION_URL && {
+      authorizationURL: process.env.GOOGLE_AUTHORIZATION_URL,
+    }),
+    ...(process.env.GOOGLE_TOKEN_URL && {
+      tokenURL: process.env.GOOGLE_TOKEN_URL,
+    }),
+    ...(process.env.GOOGLE_USERINFO_URL && {
+      userProfileURL: process.env.GOOGLE_USERINFO_URL,
+    }),
+    state: true, // CSRF protection via the session -- Chống CSRF thông qua session
+    passReqToCallback: true, // Logged-in users link instead of signing in -- Người đã đăng nhập sẽ liên kết thay vì đăng nhập
+  };
+};
+
+/**
+ * Register Passport strategies and session (de)serialization -- Đăng ký các strategy của Passport và tuần tự hóa session
+ * Only the user ID is stored in the session -- Chỉ lưu ID người dùng trong session
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @return {Passport} Configured passport instance -- Đối tượng passport đã cấu hình
+ */
+export const configurePassport = (prisma) => {
+  passport.use(
+    new LocalStrategy(
+      { usernameField: "email", passwordField: "password" },
+      async (email, password, done) => {
+        try {
+          const user = await authenticateLocal(prisma, email, password);
+          if (!user) {
+            return done(null, false, { message: "Email hoặc mật khẩu không đúng" });
+          }
+          return done(null, user);
+        } catch (error) {
+          return done(error);
+        }
+      }
+    )
+  );
+
+  const googleOptions = googleOAuthOptions();
+
+  if (googleOptions) {
+    passport.use(
+      new GoogleStrategy(
+        googleOptions,
+        async (req, accessToken, refreshToken, profile, done) => {
+          try {
+            const user = await findOrCreateGoogleUser(prisma, profile, req.user);
+            assertActive(user);
+            return done(null, user);
+          } catch (error) {
+            return done(error);
+          }
+        }
+      )
+    );
+  } else {
+    logger.info("Google OAuth is disabled: GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET not set");
+  }
+
+  passport.serializeUser((user, done) => {
+    done(null, user.id);
+  });
+
+  passport.deserializeUser(async (id, done) => {
+    try {
+      const user = await prisma.user.findUnique({ where: { id } });
+      // false (not an error) logs out sessions of deleted or disabled users -- false (không phải lỗi) để đăng xuất session của người dùng đã bị xóa hoặc vô hiệu hóa
+      done(null, user && !user.disabledAt ? user : false);
+    } catch (error) {
+      done(error);
+    }
+  });
+
+  return passport;
+};
+
+export default passport;
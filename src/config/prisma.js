@@ -0,0 +1,56 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "../utils/logger.js";
+import { countQuery } from "../utils/requestContext.js";
+import { trackQuery } from "../utils/queryMetrics.js";
+
+// ==========================================
+//  PRISMA CLIENT -- Prisma client dùng chung
+// ==========================================
+//
+// Every query is logged through logDbQuery, slow ones at warn (DB_SLOW_QUERY_MS) -- Mọi truy vấn được ghi log qua logDbQuery, truy vấn chậm ở mức warn
+// Queries are counted per request and model to spot N+1 patterns (DB_N_PLUS_ONE_THRESHOLD) -- Truy vấn được đếm theo request và model để phát hiện N+1
+
+/**
+ * Create an instrumented Prisma client -- Tạo Prisma client có đo đạc truy vấn
+ *
+ * @param {Object} [options] - PrismaClient options, `log` is set here -- Tùy chọn của PrismaClient, `log` được đặt tại đây
+ * @return {PrismaClient} Extended client, `$on` is not available on it -- Client đã mở rộng, không có `$on`
+ */
+export const createPrismaClient = (options = {}) => {
+  const client = new PrismaClient({
+    ...options,
+    log: [
+      { emit: "event", level: "query" },
+      { emit: "event", level: "warn" },
+      { emit: "event", level: "error" },
+    ],
+  });
+
+  // Events are emitted by the query engine, outside the request's async context -- Sự kiện do query engine phát ra, nằm ngoài ngữ cảnh async của request
+  client.$on("query", (event) => {
+    trackQuery(event.query, Number(event.duration), { source: "prisma" });
+  });
+  client.$on("warn", (event) => {
+    logger.warn(event.message, { module: "database", source: "prisma" });
+  });
+  client.$on("error", (event) => {
+    logger.error(event.message, { module: "database", source: "prisma" });
+  });
+
+  // Counted here instead, since model calls run inside the request context -- Đếm tại đây vì lời gọi model chạy trong ngữ cảnh request
+  return client.$extends({
+    name: "queryCounts",
+    query: {
+      $allModels: {
+        $allOperations({ model, args, query }) {
+          countQuery(model);
+          return query(args);
+        },
+      },
+    },
+  });
+};
+
+const prisma = createPrismaClient();
+
+export default prisma;
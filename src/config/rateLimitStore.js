@@ -0,0 +1,177 @@
+import logger from "../utils/logger.js";
+
+// ==========================================
+//  PRISMA RATE LIMIT STORE -- Nơi lưu bộ đếm giới hạn tần suất bằng Prisma
+// ==========================================
+
+const DEFAULT_PRUNE_INTERVAL = 15 * 60 * 1000; // 15 minutes -- 15 phút
+
+/**
+ * express-rate-limit Store backed by the RateLimit model -- Store của express-rate-limit dựa trên model RateLimit
+ * Fixed windows: one row per key, `hits` restarts when `resetAt` has passed -- Cửa sổ cố định: mỗi khóa một bản ghi, `hits` đếm lại khi qua `resetAt`
+ * Counters survive restarts and are shared between instances -- Bộ đếm không mất khi khởi động lại và dùng chung giữa các instance
+ *
+ * express-rate-limit needs one store per limiter: derive them with withPrefix() -- express-rate-limit cần mỗi limiter một store: tạo bằng withPrefix()
+ *
+ * @example
+ * const store = new PrismaRateLimitStore(prisma);
+ * store.startPruning();
+ * const app = createApp({ prisma, rateLimitStore: store });
+ */
+export class PrismaRateLimitStore {
+  /**
+   * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Namespace of the keys, e.g. "login:" -- Tiền tố của khóa
+   * @param {number} [options.pruneInterval] - Expired-row sweep interval in ms, 0 disables -- Chu kỳ dọn bộ đếm hết hạn (ms), 0 để tắt
+   */
+  constructor(prisma, { prefix = "", pruneInterval = DEFAULT_PRUNE_INTERVAL } = {}) {
+    this.prisma = prisma;
+    this.prefix = prefix;
+    this.pruneInterval = pruneInterval;
+    this.pruneTimer = null;
+    this.windowMs = 60 * 1000;
+    this.localKeys = false; // Keys are shared, not per process -- Khóa dùng chung, không riêng từng tiến trình
+  }
+
+  /**
+   * Store for one limiter, sharing the same client -- Store cho một limiter, dùng chung client
+   * @param {string} prefix - Limiter name -- Tên limiter
+   * @return {PrismaRateLimitStore}
+   */
+  withPrefix(prefix) {
+    return new PrismaRateLimitStore(this.prisma, {
+      prefix: `${prefix}:`,
+      pruneInterval: 0,
+    });
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options -- Được express-rate-limit gọi với cấu hình của limiter
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const row = await this.prisma.rateLimit.findUnique({
+      where: { key: this.prefix + key },
+    });
+
+    if (!row || row.resetAt <= new Date()) {
+      return undefined;
+    }
+
+    return { totalHits: row.hits, resetTime: row.resetAt };
+  }
+
+  /**
+   * Count one hit -- Ghi nhận một lần truy cập
+   *
+   * Every step is a single conditional statement, so concurrent requests on -- Mỗi bước là một câu lệnh có điều kiện,
+   * several instances never lose a hit (same approach as reserveApiQuota) -- nên request đồng thời trên nhiều instance không bị mất lượt (giống reserveApiQuota)
+   *
+   * @param {string} key - Client key -- Khóa của client
+   * @return {Promise<{totalHits: number, resetTime: Date}>}
+   */
+  async increment(key) {
+    const id = this.prefix + key;
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const now = new Date();
+
+      // Current window -- Cửa sổ hiện tại
+      const { count } = await this.prisma.rateLimit.updateMany({
+        where: { key: id, resetAt: { gt: now } },
+        data: { hits: { increment: 1 } },
+      });
+
+      if (count === 1) {
+        const row = await this.prisma.rateLimit.findUnique({ where: { key: id } });
+        return { totalHits: row.hits, resetTime: row.resetAt };
+      }
+
+      // Expired window: start a new one -- Cửa sổ đã hết: bắt đầu cửa sổ mới
+      const resetTime = new Date(now.getTime() + this.windowMs);
+      const { count: restarted } = await this.prisma.rateLimit.updateMany({
+        where: { key: id, resetAt: { lte: now } },
+        data: { hits: 1, resetAt: resetTime },
+      });
+
+      if (restarted === 1) {
+        return { totalHits: 1, resetTime };
+      }
+
+      try {
+        await this.prisma.rateLimit.create({
+          data: { key: id, hits: 1, resetAt: resetTime },
+        });
+        return { totalHits: 1, resetTime };
+      } catch (error) {
+        // Another request created the row first: retry the increment -- Request khác đã tạo bản ghi trước: thử tăng lại
+        if (error.code !== "P2002") {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error(`Could not increment rate limit key ${id}`);
+  }
+
+  /**
+   * Undo a hit (skipSuccessfulRequests / skipFailedRequests) -- Hoàn lại một lượt
+   */
+  async decrement(key) {
+    await this.prisma.rateLimit.updateMany({
+      where: { key: this.prefix + key, resetAt: { gt: new Date() }, hits: { gt: 0 } },
+      data: { hits: { decrement: 1 } },
+    });
+  }
+
+  async resetKey(key) {
+    await this.prisma.rateLimit.deleteMany({ where: { key: this.prefix + key } });
+  }
+
+  /**
+   * Delete expired counters of every limiter -- Xóa bộ đếm hết hạn của mọi limiter
+   * @return {Promise<number>} Number of deleted rows -- Số bản ghi đã xóa
+   */
+  async pruneExpired() {
+    const { count } = await this.prisma.rateLimit.deleteMany({
+      where: { resetAt: { lte: new Date() } },
+    });
+
+    if (count) {
+      logger.debug("Pruned expired rate limits", { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Start the periodic sweep -- Bắt đầu dọn dẹp định kỳ
+   * The timer does not keep the process alive -- Bộ hẹn giờ không giữ tiến trình chạy
+   */
+  startPruning() {
+    if (this.pruneTimer || !this.pruneInterval) {
+      return;
+    }
+
+    this.pruneTimer = setInterval(() => {
+      this.pruneExpired().catch((error) =>
+        logger.error("Failed to prune rate limits", { error: error.message })
+      );
+    }, this.pruneInterval);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Stop the periodic sweep -- Dừng dọn dẹp định kỳ
+   */
+  stopPruning() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+}
+
+export default PrismaRateLimitStore;
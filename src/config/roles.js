@@ -0,0 +1,48 @@
+// ==========================================
+//  ROLES & PERMISSIONS -- Vai trò và quyền hạn
+// ==========================================
+//
+// User.role is compared case-insensitively: "admin", "Admin" and "ADMIN" are the same role -- User.role được so sánh không phân biệt hoa thường
+// Older rows created by scripts/database.sql hold "user" -- Các dòng cũ tạo bởi scripts/database.sql có giá trị "user"
+
+export const ROLES = Object.freeze({
+  USER: "USER",
+  MODERATOR: "MODERATOR",
+  ADMIN: "ADMIN",
+});
+
+export const PERMISSIONS = Object.freeze({
+  USERS_READ: "users:read",
+  USERS_DISABLE: "users:disable",
+  USERS_RESET_PASSWORD: "users:resetPassword",
+  API_USAGE_READ: "apiUsage:read",
+  AUDIT_LOG_READ: "auditLog:read",
+  LOGS_MANAGE: "logs:manage",
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.USER]: [],
+  [ROLES.MODERATOR]: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_DISABLE],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+});
+
+/**
+ * Canonical form of a stored role -- Dạng chuẩn của vai trò đã lưu
+ * Unknown or empty roles fall back to USER -- Vai trò không xác định hoặc rỗng được coi là USER
+ *
+ * @param {string|null} role - Stored role -- Vai trò đã lưu
+ * @return {string} One of ROLES -- Một giá trị trong ROLES
+ */
+export const normalizeRole = (role) => {
+  const upper = String(role ?? "").trim().toUpperCase();
+  return ROLES[upper] ?? ROLES.USER;
+};
+
+/**
+ * Check whether a role grants a permission -- Kiểm tra vai trò có quyền hay không
+ * @param {string|null} role - Stored role -- Vai trò đã lưu
+ * @param {string} permission - One of PERMISSIONS -- Một giá trị trong PERMISSIONS
+ * @return {boolean}
+ */
+export const hasPermission = (role, permission) =>
+  ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
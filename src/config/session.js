@@ -0,0 +1,44 @@
+import session from "express-session";
+import logger from "../utils/logger.js";
+
+// ==========================================
+//  SESSION CONFIGURATION -- Cấu hình session
+// ==========================================
+
+export const SESSION_COOKIE_NAME = "vocalpro.sid";
+export const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days -- 7 ngày
+
+/**
+ * Create the express-session middleware -- Tạo middleware express-session
+ *
+ * @param {Object} [options]
+ * @param {session.Store} [options.store] - Session store (memory store if omitted) -- Nơi lưu session (mặc định lưu trong bộ nhớ)
+ * @return {Function} Express middleware -- Middleware Express
+ */
+export const createSessionMiddleware = ({ store } = {}) => {
+  const isProduction = process.env.NODE_ENV === "production";
+  let secret = process.env.SESSION_SECRET;
+
+  if (!secret) {
+    if (isProduction) {
+      throw new Error("SESSION_SECRET is required in production");
+    }
+    logger.warn("SESSION_SECRET is not set, using an insecure development secret");
+    secret = "vocalpro-dev-secret";
+  }
+
+  return session({
+    name: SESSION_COOKIE_NAME,
+    secret,
+    store,
+    resave: false,
+    saveUninitialized: false, // No cookie until login -- Không tạo cookie cho đến khi đăng nhập
+    rolling: true, // Refresh expiry on activity -- Gia hạn khi có hoạt động
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: isProduction, // HTTPS only in production -- Chỉ HTTPS trên production
+      maxAge: SESSION_MAX_AGE,
+    },
+  });
+};
@@ -0,0 +1,141 @@
+import session from "express-session";
+import logger from "../utils/logger.js";
+
+// ==========================================
+//  PRISMA SESSION STORE -- Nơi lưu session bằng Prisma
+// ==========================================
+
+const DEFAULT_PRUNE_INTERVAL = 15 * 60 * 1000; // 15 minutes -- 15 phút
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // Used when the cookie has no expiry -- Dùng khi cookie không có hạn
+
+/**
+ * express-session Store backed by the Session model -- Store của express-session dựa trên model Session
+ * Logins survive restarts and are shared between instances -- Đăng nhập không mất khi khởi động lại và dùng chung giữa các instance
+ *
+ * - sid: express-session ID (secret, never returned by the API) -- ID session (bí mật, không bao giờ trả về qua API)
+ * - userId: Passport user, null before login (e.g. OAuth state) -- Người dùng của Passport, null trước khi đăng nhập
+ * - data: JSON of the session object -- JSON của đối tượng session
+ *
+ * @example
+ * const store = new PrismaSessionStore(prisma);
+ * store.startPruning();
+ * app.use(createSessionMiddleware({ store }));
+ */
+export class PrismaSessionStore extends session.Store {
+  /**
+   * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+   * @param {Object} [options]
+   * @param {number} [options.pruneInterval] - Expired-row sweep interval in ms, 0 disables -- Chu kỳ dọn session hết hạn (ms), 0 để tắt
+   */
+  constructor(prisma, { pruneInterval = DEFAULT_PRUNE_INTERVAL } = {}) {
+    super();
+    this.prisma = prisma;
+    this.pruneInterval = pruneInterval;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Expiry date of a session -- Thời điểm hết hạn của session
+   * @param {Object} sess - Session object -- Đối tượng session
+   * @return {Date}
+   */
+  static expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL);
+  }
+
+  get(sid, callback) {
+    this.prisma.session
+      .findUnique({ where: { sid } })
+      .then(async (row) => {
+        if (!row) {
+          return callback(null, null);
+        }
+
+        if (row.expiresAt <= new Date()) {
+          await this.prisma.session.deleteMany({ where: { sid } });
+          return callback(null, null);
+        }
+
+        return callback(null, JSON.parse(row.data));
+      })
+      .catch((error) => callback(error));
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const data = {
+      userId: sess?.passport?.user ?? null,
+      expiresAt: PrismaSessionStore.expiresAt(sess),
+      data: JSON.stringify(sess),
+    };
+
+    this.prisma.session
+      .upsert({
+        where: { sid },
+        update: data,
+        create: { sid, ...data },
+      })
+      .then(() => callback(null))
+      .catch((error) => callback(error));
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.prisma.session
+      .deleteMany({ where: { sid } })
+      .then(() => callback(null))
+      .catch((error) => callback(error));
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.prisma.session
+      .updateMany({
+        where: { sid },
+        data: { expiresAt: PrismaSessionStore.expiresAt(sess) },
+      })
+      .then(() => callback(null))
+      .catch((error) => callback(error));
+  }
+
+  /**
+   * Delete expired sessions -- Xóa các session đã hết hạn
+   * @return {Promise<number>} Number of deleted rows -- Số bản ghi đã xóa
+   */
+  async pruneExpired() {
+    const { count } = await this.prisma.session.deleteMany({
+      where: { expiresAt: { lte: new Date() } },
+    });
+
+    if (count) {
+      logger.debug("Pruned expired sessions", { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Start the periodic sweep -- Bắt đầu dọn dẹp định kỳ
+   * The timer does not keep the process alive -- Bộ hẹn giờ không giữ tiến trình chạy
+   */
+  startPruning() {
+    if (this.pruneTimer || !this.pruneInterval) {
+      return;
+    }
+
+    this.pruneTimer = setInterval(() => {
+      this.pruneExpired().catch((error) =>
+        logger.error("Failed to prune sessions", { error: error.message })
+      );
+    }, this.pruneInterval);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Stop the periodic sweep -- Dừng dọn dẹp định kỳ
+   */
+  stopPruning() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+}
+
+export default PrismaSessionStore;
@@ -0,0 +1,66 @@
+import { forbidden, unauthorized } from "../utils/errors.js";
+import { hasPermission, normalizeRole } from "../config/roles.js";
+
+// ==========================================
+//  AUTHENTICATION MIDDLEWARE -- Middleware xác thực người dùng
+// ==========================================
+
+/**
+ * Require a logged-in user -- Yêu cầu người dùng đã đăng nhập
+ * Passport puts the user on req.user -- Passport gắn người dùng vào req.user
+ *
+ * @example
+ * router.get("/", requireAuth, handler);
+ */
+export const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return next(unauthorized());
+  }
+  return next();
+};
+
+// ==========================================
+//  AUTHORIZATION MIDDLEWARE -- Middleware phân quyền
+// ==========================================
+
+/**
+ * Require one of the given roles (case-insensitive) -- Yêu cầu một trong các vai trò (không phân biệt hoa thường)
+ *
+ * @param {...string} roles - Allowed roles from ROLES -- Các vai trò được phép trong ROLES
+ * @return {Function} Express middleware
+ *
+ * @example
+ * router.use(requireAuth, requireRole(ROLES.ADMIN));
+ */
+export const requireRole = (...roles) => {
+  const allowed = roles.map(normalizeRole);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(unauthorized());
+    }
+    if (!allowed.includes(normalizeRole(req.user.role))) {
+      return next(forbidden());
+    }
+    return next();
+  };
+};
+
+/**
+ * Require a permission granted by the user's role -- Yêu cầu quyền được cấp theo vai trò của người dùng
+ *
+ * @param {string} permission - One of PERMISSIONS -- Một giá trị trong PERMISSIONS
+ * @return {Function} Express middleware
+ *
+ * @example
+ * router.get("/users", requirePermission(PERMISSIONS.USERS_READ), handler);
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(unauthorized());
+  }
+  if (!hasPermission(req.user.role, permission)) {
+    return next(forbidden());
+  }
+  return next();
+};
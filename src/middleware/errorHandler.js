@@ -0,0 +1,59 @@
+import multer from "multer";
+import logger from "../utils/logger.js";
+import { HttpError } from "../utils/errors.js";
+
+// ==========================================
+//  ERROR HANDLING MIDDLEWARE -- Middleware xử lý lỗi
+// ==========================================
+
+/**
+ * 404 for unknown routes -- 404 cho route không tồn tại
+ */
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: "Not Found",
+    message: `Không tìm thấy đường dẫn ${req.method} ${req.originalUrl}`,
+  });
+};
+
+/**
+ * Turn thrown errors into JSON responses -- Chuyển lỗi được ném ra thành phản hồi JSON
+ * HttpError keeps its status, anything else is logged and becomes 500 -- HttpError giữ nguyên mã trạng thái, lỗi khác được ghi log và trả 500
+ * Express needs 4 arguments to detect an error handler -- Express cần 4 tham số để nhận diện error handler
+ */
+export const errorHandler = (err, req, res, _next) => {
+  if (err instanceof HttpError) {
+    if (err.headers) {
+      res.set(err.headers);
+    }
+    return res.status(err.status).json(err.toJSON());
+  }
+
+  // Malformed JSON body from express.json() -- Body JSON không hợp lệ từ express.json()
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ error: "Bad Request", message: "Body JSON không hợp lệ" });
+  }
+
+  // Upload limits from multer -- Giới hạn tải lên của multer
+  if (err instanceof multer.MulterError) {
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? "Dung lượng tệp vượt quá giới hạn cho phép"
+        : `Tải tệp thất bại: ${err.message}`;
+    return res.status(400).json({ error: "Bad Request", message });
+  }
+
+  logger.error("Unhandled error", {
+    error: err.message,
+    stack: err.stack,
+    method: req.method,
+    url: req.originalUrl,
+  });
+
+  return res.status(500).json({
+    error: "Internal Server Error",
+    message: "Đã xảy ra lỗi, vui lòng thử lại sau",
+  });
+};
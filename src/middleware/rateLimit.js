@@ -0,0 +1,121 @@
+import { rateLimit as expressRateLimit, ipKeyGenerator } from "express-rate-limit";
+import logger from "../utils/logger.js";
+import { tooManyRequests } from "../utils/errors.js";
+import { routeOf } from "../utils/requestContext.js";
+
+// ==========================================
+//  RATE LIMITING MIDDLEWARE -- Middleware giới hạn tần suất
+// ==========================================
+//
+// Limiters are built once per app by createApp() from RATE_LIMITS -- Các limiter được createApp() tạo một lần cho mỗi app từ RATE_LIMITS
+// Counters live in PrismaRateLimitStore, or in memory when no store is given -- Bộ đếm nằm trong PrismaRateLimitStore, hoặc trong bộ nhớ nếu không truyền store
+// Responses carry RateLimit-Limit/-Remaining/-Reset, and Retry-After on 429 -- Phản hồi có RateLimit-Limit/-Remaining/-Reset, và Retry-After khi trả 429
+
+const MINUTE = 60 * 1000;
+
+// What a counter is keyed by -- Bộ đếm được tính theo
+//   ip: client address, IPv6 grouped by /56 -- địa chỉ client, IPv6 gộp theo /56
+//   user: logged-in user, IP for anonymous requests -- người dùng đã đăng nhập, IP nếu chưa đăng nhập
+//   route: method + route pattern -- phương thức + mẫu route
+const KEY_PARTS = {
+  ip: (req) => ipKeyGenerator(req.ip),
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${ipKeyGenerator(req.ip)}`),
+  route: (req) => `${req.method} ${routeOf(req) ?? req.path}`,
+};
+
+export const RATE_LIMITS = Object.freeze({
+  // Every /api request -- Mọi request tới /api
+  api: {
+    windowMs: 15 * MINUTE,
+    limit: 600,
+    keyBy: ["user"],
+    message: "Bạn gửi quá nhiều yêu cầu, vui lòng thử lại sau",
+  },
+  // Only failed logins count -- Chỉ tính các lần đăng nhập thất bại
+  login: {
+    windowMs: 15 * MINUTE,
+    limit: 10,
+    keyBy: ["ip"],
+    skipSuccessfulRequests: true,
+    message: "Đăng nhập sai quá nhiều lần, vui lòng thử lại sau 15 phút",
+  },
+  // Requesting and confirming are counted separately -- Yêu cầu và xác nhận được đếm riêng
+  passwordReset: {
+    windowMs: 60 * MINUTE,
+    limit: 5,
+    keyBy: ["ip", "route"],
+    message: "Bạn đã yêu cầu đặt lại mật khẩu quá nhiều lần, vui lòng thử lại sau 1 giờ",
+  },
+  // Each lookup may call the paid dictionary API -- Mỗi lần tra có thể gọi API từ điển trả phí
+  dictionary: {
+    windowMs: MINUTE,
+    limit: 20,
+    keyBy: ["user"],
+    message: "Bạn tra từ quá nhanh, vui lòng thử lại sau ít phút",
+  },
+});
+
+// express-rate-limit logs through this instead of the console -- express-rate-limit ghi log qua đây thay vì console
+const limiterLogger = {
+  warn: (error, message) => logger.warn(message || error.message, { code: error?.code }),
+  error: (error, message) =>
+    logger.error(message || "Rate limiter error", { error: error?.message }),
+};
+
+/**
+ * Build one express-rate-limit middleware -- Tạo một middleware express-rate-limit
+ *
+ * @param {string} name - Limiter name, also the key prefix -- Tên limiter, cũng là tiền tố khóa
+ * @param {Object} preset - Entry of RATE_LIMITS -- Một phần tử của RATE_LIMITS
+ * @param {PrismaRateLimitStore} [store] - Shared store, memory if omitted -- Store dùng chung, mặc định trong bộ nhớ
+ * @return {Function} Express middleware
+ */
+const createLimiter = (name, { keyBy, message, ...options }, store) =>
+  expressRateLimit({
+    ...options,
+    store: store?.withPrefix(name),
+    standardHeaders: "draft-6",
+    legacyHeaders: false,
+    passOnStoreError: true, // A database hiccup must not lock everyone out -- Lỗi CSDL tạm thời không được chặn mọi người
+    logger: limiterLogger,
+    keyGenerator: (req) => keyBy.map((part) => KEY_PARTS[part](req)).join("|"),
+    handler: (req, res, next) => {
+      const retryAfter = Math.max(
+        1,
+        Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+      );
+      logger.warn("Rate limit exceeded", {
+        limiter: name,
+        key: req.rateLimit.key,
+        url: req.originalUrl,
+      });
+      next(tooManyRequests(message, retryAfter));
+    },
+  });
+
+/**
+ * Build every limiter of RATE_LIMITS -- Tạo mọi limiter trong RATE_LIMITS
+ *
+ * @param {PrismaRateLimitStore} [store] - Shared store, memory if omitted -- Store dùng chung, mặc định trong bộ nhớ
+ * @return {Object<string, Function>} Middleware by name -- Middleware theo tên
+ */
+export const createRateLimiters = (store) =>
+  Object.fromEntries(
+    Object.entries(RATE_LIMITS).map(([name, preset]) => [
+      name,
+      createLimiter(name, preset, store),
+    ])
+  );
+
+/**
+ * Apply a limiter of the current app -- Áp dụng một limiter của app hiện tại
+ * Routers are shared between apps, so the limiter is looked up on req.app -- Router dùng chung giữa các app, nên limiter được lấy từ req.app
+ *
+ * @param {string} name - Key of RATE_LIMITS -- Khóa trong RATE_LIMITS
+ * @return {Function} Express middleware
+ *
+ * @example
+ * router.post("/login", rateLimit("login"), validate(loginSchema), handler);
+ */
+export const rateLimit = (name) => (req, res, next) =>
+  req.app.get("rateLimiters")[name](req, res, next);
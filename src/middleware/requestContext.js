@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import { logHttpRequest } from "../utils/logger.js";
+import {
+  getQueryCounts,
+  routeOf,
+  runWithRequestContext,
+} from "../utils/requestContext.js";
+import { reportQueryCounts } from "../utils/queryMetrics.js";
+
+// ==========================================
+//  REQUEST CONTEXT MIDDLEWARE -- Middleware ngữ cảnh request
+// ==========================================
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Incoming IDs from proxies/clients are kept only if they look safe to log -- ID gửi từ proxy/client chỉ được giữ nếu an toàn để ghi log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign or propagate X-Request-Id and open the request context -- Gán hoặc giữ lại X-Request-Id và mở ngữ cảnh request
+ * Must be the first middleware so every later log line carries the ID -- Phải là middleware đầu tiên để mọi dòng log sau đó có ID
+ *
+ * @example
+ * app.use(requestContext);
+ */
+export const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId =
+    incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  runWithRequestContext({ requestId, req, queryCounts: {} }, next);
+};
+
+/**
+ * One structured access-log line per request, with status and latency -- Một dòng log truy cập có cấu trúc cho mỗi request, kèm mã trạng thái và độ trễ
+ * Logged when the response is sent, or when the client disconnects first -- Ghi khi phản hồi đã gửi, hoặc khi client ngắt kết nối trước
+ * Includes the number of database queries, see src/utils/queryMetrics.js -- Kèm số truy vấn CSDL
+ */
+export const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const queryCounts = getQueryCounts() ?? {};
+  let logged = false;
+
+  const done = (aborted) => () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+    logHttpRequest(req, res, {
+      requestId: req.id,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      dbQueries: reportQueryCounts(queryCounts, {
+        requestId: req.id,
+        route: routeOf(req),
+      }),
+      aborted,
+    });
+  };
+
+  res.once("finish", done(false));
+  res.once("close", done(true));
+  next();
+};
@@ -0,0 +1,23 @@
+import multer from "multer";
+import { CSV_MAX_SIZE, APKG_MAX_SIZE } from "../utils/validation.js";
+
+// ==========================================
+//  FILE UPLOAD MIDDLEWARE -- Middleware tải tệp lên
+// ==========================================
+
+/**
+ * Single CSV file in the "file" field, kept in memory -- Một tệp CSV ở trường "file", lưu trong bộ nhớ
+ * Multer rejects bigger files before they are buffered -- Multer từ chối tệp lớn hơn trước khi đọc hết vào bộ nhớ
+ */
+export const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CSV_MAX_SIZE, files: 1 },
+}).single("file");
+
+/**
+ * Single Anki package in the "file" field, kept in memory -- Một gói Anki ở trường "file", lưu trong bộ nhớ
+ */
+export const apkgUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: APKG_MAX_SIZE, files: 1 },
+}).single("file");
@@ -0,0 +1,76 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import logger from "../utils/logger.js";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  validate,
+  deleteAccountSchema,
+  userSettingsSchema,
+} from "../utils/validation.js";
+import { exportUserData, deleteAccount } from "../services/account.js";
+import { getSettings, updateSettings } from "../services/settings.js";
+import { SESSION_COOKIE_NAME } from "../config/session.js";
+
+// ==========================================
+//  ACCOUNT ROUTES -- Các route tài khoản
+//  Mounted at /api/account -- Gắn tại /api/account
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/account/export -- downloads one JSON archive -- tải về một tệp JSON
+router.get("/export", async (req, res) => {
+  const archive = await exportUserData(req.app.get("prisma"), req.user.id);
+  const date = archive.exportedAt.slice(0, 10);
+
+  res.attachment(`vocalpro-export-${date}.json`);
+  res.json(archive);
+});
+
+// GET /api/account/settings -- always complete, defaults filled in -- luôn đầy đủ, đã điền giá trị mặc định
+router.get("/settings", async (req, res) => {
+  const settings = await getSettings(req.app.get("prisma"), req.user.id);
+  res.json({ data: settings });
+});
+
+// PATCH /api/account/settings -- partial, deep-merged -- một phần, gộp sâu
+router.patch("/settings", validate(userSettingsSchema), async (req, res) => {
+  const patch = matchedData(req, { locations: ["body"] });
+  const settings = await updateSettings(
+    req.app.get("prisma"),
+    req.user.id,
+    patch
+  );
+  res.json({ data: settings });
+});
+
+// DELETE /api/account -- body { password }, Google-only accounts first go through GET /api/auth/google/reauth -- tài khoản chỉ dùng Google cần qua GET /api/auth/google/reauth trước
+router.delete("/", validate(deleteAccountSchema), async (req, res, next) => {
+  const userId = req.user.id;
+  const { password } = matchedData(req, { locations: ["body"] });
+  await deleteAccount(req.app.get("prisma"), userId, {
+    password,
+    googleReauthAt: req.session.googleReauthAt,
+  });
+
+  req.logout((error) => {
+    if (error) {
+      return next(error);
+    }
+
+    req.session.destroy((err) => {
+      if (err) {
+        logger.warn("Failed to destroy session after account deletion", {
+          userId,
+          error: err.message,
+        });
+      }
+      res.clearCookie(SESSION_COOKIE_NAME);
+      res.status(204).end();
+    });
+  });
+});
+
+export default router;
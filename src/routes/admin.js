@@ -0,0 +1,151 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import { requireAuth, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/roles.js";
+import {
+  validate,
+  adminUserListSchema,
+  disableUserSchema,
+  auditLogQuerySchema,
+  logLevelsSchema,
+  dateRangeSchema,
+  uuidParamSchema,
+} from "../utils/validation.js";
+import {
+  listUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  getApiUsageTotals,
+  updateLogLevels,
+} from "../services/admin.js";
+import { getLogLevels } from "../utils/logger.js";
+import { listAuditLogs } from "../services/audit.js";
+
+// ==========================================
+//  ADMIN ROUTES -- Các route quản trị
+//  Mounted at /api/admin -- Gắn tại /api/admin
+//  Each route requires a permission (src/config/roles.js) -- Mỗi route yêu cầu một quyền (src/config/roles.js)
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+/**
+ * Who is acting, for the audit log -- Người thực hiện, dùng cho nhật ký
+ */
+const actorOf = (req) => ({ id: req.user.id, role: req.user.role, ip: req.ip });
+
+// GET /api/admin/users?page=&limit=&q=&role=&status=
+router.get(
+  "/users",
+  requirePermission(PERMISSIONS.USERS_READ),
+  validate(adminUserListSchema),
+  async (req, res) => {
+    const options = matchedData(req, { locations: ["query"] });
+    const result = await listUsers(req.app.get("prisma"), actorOf(req), options);
+    res.json(result);
+  }
+);
+
+// GET /api/admin/users/:id
+router.get(
+  "/users/:id",
+  requirePermission(PERMISSIONS.USERS_READ),
+  validate(uuidParamSchema),
+  async (req, res) => {
+    const user = await getUser(req.app.get("prisma"), actorOf(req), req.params.id);
+    res.json({ data: user });
+  }
+);
+
+// POST /api/admin/users/:id/disable -- body { reason? }
+router.post(
+  "/users/:id/disable",
+  requirePermission(PERMISSIONS.USERS_DISABLE),
+  validate([...uuidParamSchema, ...disableUserSchema]),
+  async (req, res) => {
+    const { reason } = matchedData(req, { locations: ["body"] });
+    const user = await disableUser(
+      req.app.get("prisma"),
+      actorOf(req),
+      req.params.id,
+      { reason }
+    );
+    res.json({ data: user });
+  }
+);
+
+// POST /api/admin/users/:id/enable
+router.post(
+  "/users/:id/enable",
+  requirePermission(PERMISSIONS.USERS_DISABLE),
+  validate(uuidParamSchema),
+  async (req, res) => {
+    const user = await enableUser(req.app.get("prisma"), actorOf(req), req.params.id);
+    res.json({ data: user });
+  }
+);
+
+// POST /api/admin/users/:id/force-password-reset
+router.post(
+  "/users/:id/force-password-reset",
+  requirePermission(PERMISSIONS.USERS_RESET_PASSWORD),
+  validate(uuidParamSchema),
+  async (req, res) => {
+    const user = await forcePasswordReset(
+      req.app.get("prisma"),
+      actorOf(req),
+      req.params.id
+    );
+    res.json({ data: user });
+  }
+);
+
+// GET /api/admin/api-usage?startDate=&endDate=
+router.get(
+  "/api-usage",
+  requirePermission(PERMISSIONS.API_USAGE_READ),
+  validate(dateRangeSchema),
+  async (req, res) => {
+    const range = matchedData(req, { locations: ["query"] });
+    const data = await getApiUsageTotals(req.app.get("prisma"), actorOf(req), range);
+    res.json({ data });
+  }
+);
+
+// GET /api/admin/audit-logs?page=&limit=&actorId=&action=&targetId=&startDate=&endDate=
+router.get(
+  "/audit-logs",
+  requirePermission(PERMISSIONS.AUDIT_LOG_READ),
+  validate(auditLogQuerySchema),
+  async (req, res) => {
+    const options = matchedData(req, { locations: ["query"] });
+    const result = await listAuditLogs(req.app.get("prisma"), actorOf(req), options);
+    res.json(result);
+  }
+);
+
+// GET /api/admin/log-levels
+router.get("/log-levels", requirePermission(PERMISSIONS.LOGS_MANAGE), (req, res) => {
+  res.json({ data: getLogLevels() });
+});
+
+// PATCH /api/admin/log-levels -- body { level?, modules?: { name: level | null } }, this instance only -- chỉ instance hiện tại
+router.patch(
+  "/log-levels",
+  requirePermission(PERMISSIONS.LOGS_MANAGE),
+  validate(logLevelsSchema),
+  async (req, res) => {
+    const { level, modules } = matchedData(req, { locations: ["body"] });
+    const data = await updateLogLevels(req.app.get("prisma"), actorOf(req), {
+      level,
+      modules,
+    });
+    res.json({ data });
+  }
+);
+
+export default router;
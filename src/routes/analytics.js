@@ -0,0 +1,62 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  validate,
+  dateRangeSchema,
+  hardestWordsSchema,
+} from "../utils/validation.js";
+import {
+  getRetention,
+  getReviewsPerDay,
+  getDueForecast,
+  getHardestWords,
+} from "../services/analytics.js";
+
+// ==========================================
+//  ANALYTICS ROUTES -- Các route thống kê
+//  Mounted at /api/analytics -- Gắn tại /api/analytics
+//  All accept ?startDate=&endDate= (dateRangeSchema) -- Tất cả nhận ?startDate=&endDate=
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/analytics/retention
+router.get("/retention", validate(dateRangeSchema), async (req, res) => {
+  const range = matchedData(req, { locations: ["query"] });
+  const data = await getRetention(req.app.get("prisma"), req.user.id, range);
+  res.json({ data });
+});
+
+// GET /api/analytics/reviews-per-day
+router.get("/reviews-per-day", validate(dateRangeSchema), async (req, res) => {
+  const range = matchedData(req, { locations: ["query"] });
+  const data = await getReviewsPerDay(req.app.get("prisma"), req.user.id, range);
+  res.json({ data });
+});
+
+// GET /api/analytics/forecast
+router.get("/forecast", validate(dateRangeSchema), async (req, res) => {
+  const range = matchedData(req, { locations: ["query"] });
+  const data = await getDueForecast(req.app.get("prisma"), req.user.id, range);
+  res.json({ data });
+});
+
+// GET /api/analytics/hardest-words?limit=
+router.get(
+  "/hardest-words",
+  validate(hardestWordsSchema),
+  async (req, res) => {
+    const options = matchedData(req, { locations: ["query"] });
+    const data = await getHardestWords(
+      req.app.get("prisma"),
+      req.user.id,
+      options
+    );
+    res.json({ data });
+  }
+);
+
+export default router;
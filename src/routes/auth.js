@@ -0,0 +1,249 @@
+import { Router } from "express";
+import passport from "passport";
+import logger from "../utils/logger.js";
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { HttpError, badRequest, unauthorized } from "../utils/errors.js";
+import {
+  validate,
+  registerSchema,
+  loginSchema,
+  passwordResetRequestSchema,
+  passwordResetConfirmationSchema,
+  emailVerificationSchema,
+} from "../utils/validation.js";
+import { registerUser, toPublicUser } from "../services/auth.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+} from "../services/authTokens.js";
+import { unlinkGoogle } from "../services/googleAuth.js";
+import { SESSION_COOKIE_NAME } from "../config/session.js";
+import { googleOAuthOptions } from "../config/passport.js";
+
+// ==========================================
+//  AUTH ROUTES -- Các route xác thực
+//  Mounted at /api/auth -- Gắn tại /api/auth
+// ==========================================
+
+const router = Router();
+
+/**
+ * Promisified req.login -- req.login dạng Promise
+ * Passport regenerates the session on login (prevents session fixation) -- Passport tạo lại session khi đăng nhập (chống session fixation)
+ * loginInfo is shown in the active sessions list -- loginInfo được hiển thị trong danh sách phiên đăng nhập
+ */
+const login = (req, user) =>
+  new Promise((resolve, reject) => {
+    req.login(user, (error) => {
+      if (error) {
+        return reject(error);
+      }
+      req.session.loginInfo = {
+        loggedInAt: new Date().toISOString(),
+        ip: req.ip,
+        userAgent: req.get("user-agent") || null,
+      };
+      return resolve();
+    });
+  });
+
+// POST /api/auth/register
+router.post("/register", validate(registerSchema), async (req, res) => {
+  const prisma = req.app.get("prisma");
+  const user = await registerUser(prisma, req.body);
+  await login(req, user);
+
+  // A mail failure must not fail the registration -- Lỗi gửi mail không được làm hỏng việc đăng ký
+  sendEmailVerification(prisma, user).catch((error) =>
+    logger.error("Failed to send verification email", {
+      userId: user.id,
+      error: error.message,
+    })
+  );
+
+  res.status(201).json({ data: toPublicUser(user) });
+});
+
+// POST /api/auth/login
+router.post("/login", rateLimit("login"), validate(loginSchema), (req, res, next) => {
+  passport.authenticate("local", async (error, user, info) => {
+    try {
+      if (error) {
+        throw error;
+      }
+      if (!user) {
+        throw unauthorized(info?.message || "Email hoặc mật khẩu không đúng");
+      }
+
+      await login(req, user);
+      logger.info("User logged in", { userId: user.id });
+      res.json({ data: toPublicUser(user) });
+    } catch (err) {
+      next(err);
+    }
+  })(req, res, next);
+});
+
+// POST /api/auth/logout
+router.post("/logout", requireAuth, (req, res, next) => {
+  const userId = req.user.id;
+
+  req.logout((error) => {
+    if (error) {
+      return next(error);
+    }
+
+    req.session.destroy((err) => {
+      if (err) {
+        return next(err);
+      }
+      logger.info("User logged out", { userId });
+      res.clearCookie(SESSION_COOKIE_NAME);
+      res.status(204).end();
+    });
+  });
+});
+
+// ==========================================
+//  PASSWORD RESET & EMAIL VERIFICATION -- Đặt lại mật khẩu và xác minh email
+// ==========================================
+
+// POST /api/auth/password-reset -- always 202, so emails cannot be probed -- luôn trả 202 để không dò được email
+router.post(
+  "/password-reset",
+  rateLimit("passwordReset"),
+  validate(passwordResetRequestSchema),
+  async (req, res) => {
+    await requestPasswordReset(req.app.get("prisma"), req.body.email);
+    res.status(202).json({
+      message: "Nếu email tồn tại, liên kết đặt lại mật khẩu đã được gửi",
+    });
+  }
+);
+
+// POST /api/auth/password-reset/confirm
+router.post(
+  "/password-reset/confirm",
+  rateLimit("passwordReset"),
+  validate(passwordResetConfirmationSchema),
+  async (req, res) => {
+    await resetPassword(
+      req.app.get("prisma"),
+      req.body.token,
+      req.body.newPassword,
+      req.user ? req.sessionID : null
+    );
+    res.json({ message: "Đặt lại mật khẩu thành công, vui lòng đăng nhập lại" });
+  }
+);
+
+// POST /api/auth/verify-email/resend
+router.post("/verify-email/resend", requireAuth, async (req, res) => {
+  await sendEmailVerification(req.app.get("prisma"), req.user);
+  res.status(202).json({ message: "Email xác minh đã được gửi" });
+});
+
+// POST /api/auth/verify-email
+router.post(
+  "/verify-email",
+  validate(emailVerificationSchema),
+  async (req, res) => {
+    const user = await verifyEmail(req.app.get("prisma"), req.body.token);
+    res.json({ data: toPublicUser(user) });
+  }
+);
+
+// ==========================================
+//  GOOGLE OAUTH -- Đăng nhập bằng Google
+// ==========================================
+
+// Where the browser lands after the Google flow -- Nơi trình duyệt được chuyển tới sau luồng Google
+const clientUrl = (path = "/") => `${process.env.CLIENT_URL || ""}${path}`;
+
+const requireGoogle = (req, res, next) => {
+  if (!googleOAuthOptions()) {
+    return next(
+      new HttpError(503, "Service Unavailable", "Đăng nhập Google chưa được cấu hình")
+    );
+  }
+  return next();
+};
+
+// GET /api/auth/google -- sign in, or link when already logged in -- đăng nhập, hoặc liên kết nếu đã đăng nhập
+router.get(
+  "/google",
+  requireGoogle,
+  passport.authenticate("google", { scope: ["profile", "email"] })
+);
+
+// GET /api/auth/google/reauth -- fresh Google sign-in before deleting a Google-only account -- đăng nhập Google lại trước khi xóa tài khoản chỉ dùng Google
+router.get("/google/reauth", requireAuth, requireGoogle, (req, res, next) => {
+  if (!req.user.googleId) {
+    return next(badRequest("Tài khoản chưa liên kết với Google"));
+  }
+
+  req.session.googleReauth = true;
+  // Google has no prompt=login, the account chooser makes the user act -- Google không hỗ trợ prompt=login, màn hình chọn tài khoản buộc người dùng thao tác
+  return passport.authenticate("google", {
+    scope: ["profile", "email"],
+    prompt: "select_account",
+  })(req, res, next);
+});
+
+// GET /api/auth/google/callback
+router.get("/google/callback", requireGoogle, (req, res, next) => {
+  // Read once, a later plain callback is a normal sign-in -- Chỉ đọc một lần, callback sau đó là đăng nhập bình thường
+  const reauth = Boolean(req.session.googleReauth && req.user);
+  delete req.session.googleReauth;
+
+  passport.authenticate("google", async (error, user) => {
+    try {
+      // Stamped on the current session, no new login so the session is kept -- Đóng dấu trên session hiện tại, không đăng nhập lại để giữ session
+      if (reauth) {
+        if (error && !(error instanceof HttpError)) {
+          throw error;
+        }
+        if (error || user?.id !== req.user.id) {
+          return res.redirect(clientUrl("/account?reauth=failed"));
+        }
+        req.session.googleReauthAt = Date.now();
+        logger.info("User re-authenticated with Google", { userId: user.id });
+        return res.redirect(clientUrl("/account?reauth=google"));
+      }
+
+      if (error instanceof HttpError) {
+        return res.redirect(
+          clientUrl(`/login?error=${encodeURIComponent(error.message)}`)
+        );
+      }
+      if (error) {
+        throw error;
+      }
+      if (!user) {
+        return res.redirect(clientUrl("/login?error=google"));
+      }
+
+      await login(req, user);
+      logger.info("User logged in with Google", { userId: user.id });
+      return res.redirect(clientUrl("/"));
+    } catch (err) {
+      return next(err);
+    }
+  })(req, res, next);
+});
+
+// DELETE /api/auth/google -- unlink Google -- hủy liên kết Google
+router.delete("/google", requireAuth, async (req, res) => {
+  const user = await unlinkGoogle(req.app.get("prisma"), req.user.id);
+  res.json({ data: toPublicUser(user) });
+});
+
+// GET /api/auth/me
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ data: toPublicUser(req.user) });
+});
+
+export default router;
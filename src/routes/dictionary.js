@@ -0,0 +1,27 @@
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate, wordParamSchema } from "../utils/validation.js";
+import { lookupWord } from "../services/dictionary.js";
+
+// ==========================================
+//  DICTIONARY ROUTES -- Các route từ điển
+//  Mounted at /api/dictionary -- Gắn tại /api/dictionary
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/dictionary/:word
+router.get(
+  "/:word",
+  rateLimit("dictionary"),
+  validate(wordParamSchema),
+  async (req, res) => {
+    const entry = await lookupWord(req.app.get("prisma"), req.params.word);
+    res.json({ data: entry });
+  }
+);
+
+export default router;
@@ -0,0 +1,49 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  validate,
+  reviewSchema,
+  batchReviewSchema,
+  tagQuerySchema,
+} from "../utils/validation.js";
+import { buildDailyQueue } from "../services/reviewQueue.js";
+import { applyReviewBatch } from "../services/scheduler.js";
+
+// ==========================================
+//  REVIEW ROUTES -- Các route ôn tập
+//  Mounted at /api/reviews -- Gắn tại /api/reviews
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/reviews/queue?tag=
+router.get("/queue", validate(tagQuerySchema), async (req, res) => {
+  const { tag } = matchedData(req, { locations: ["query"] });
+  const queue = await buildDailyQueue(req.app.get("prisma"), req.user.id, {
+    tag,
+  });
+  res.json({ data: queue });
+});
+
+// POST /api/reviews -- { vocabularyId, quality, responseTimeMs? }
+router.post("/", validate(reviewSchema), async (req, res) => {
+  const [review] = await applyReviewBatch(req.app.get("prisma"), req.user.id, [
+    req.body,
+  ]);
+  res.json({ data: review });
+});
+
+// POST /api/reviews/batch -- { reviews: [...] }
+router.post("/batch", validate(batchReviewSchema), async (req, res) => {
+  const reviews = await applyReviewBatch(
+    req.app.get("prisma"),
+    req.user.id,
+    req.body.reviews
+  );
+  res.json({ data: reviews });
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { validate, uuidParamSchema } from "../utils/validation.js";
+import {
+  listUserSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../services/sessions.js";
+
+// ==========================================
+//  SESSION ROUTES -- Các route phiên đăng nhập
+//  Mounted at /api/sessions -- Gắn tại /api/sessions
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/sessions
+router.get("/", async (req, res) => {
+  const sessions = await listUserSessions(
+    req.app.get("prisma"),
+    req.user.id,
+    req.sessionID
+  );
+  res.json({ data: sessions });
+});
+
+// DELETE /api/sessions -- revoke all other sessions -- thu hồi mọi phiên khác
+router.delete("/", async (req, res) => {
+  const revoked = await revokeOtherSessions(
+    req.app.get("prisma"),
+    req.user.id,
+    req.sessionID
+  );
+  res.json({ data: { revoked } });
+});
+
+// DELETE /api/sessions/:id
+router.delete("/:id", validate(uuidParamSchema), async (req, res) => {
+  await revokeSession(req.app.get("prisma"), req.user.id, req.params.id);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  validate,
+  dateRangeSchema,
+  streakFreezeSchema,
+  freezeDateParamSchema,
+} from "../utils/validation.js";
+import {
+  getStreak,
+  getHeatmap,
+  addStreakFreeze,
+  removeStreakFreeze,
+} from "../services/streaks.js";
+
+// ==========================================
+//  STREAK ROUTES -- Các route chuỗi ngày học
+//  Mounted at /api/streaks -- Gắn tại /api/streaks
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/streaks -- current/longest streak, today's progress, freezes
+router.get("/", async (req, res) => {
+  const data = await getStreak(req.app.get("prisma"), req.user.id);
+  res.json({ data });
+});
+
+// GET /api/streaks/heatmap?startDate=&endDate=
+router.get("/heatmap", validate(dateRangeSchema), async (req, res) => {
+  const range = matchedData(req, { locations: ["query"] });
+  const data = await getHeatmap(req.app.get("prisma"), req.user.id, range);
+  res.json({ data });
+});
+
+// POST /api/streaks/freezes -- { date: "YYYY-MM-DD" }
+router.post("/freezes", validate(streakFreezeSchema), async (req, res) => {
+  const freeze = await addStreakFreeze(
+    req.app.get("prisma"),
+    req.user.id,
+    req.body.date
+  );
+  res.status(201).json({ data: freeze });
+});
+
+// DELETE /api/streaks/freezes/:date
+router.delete(
+  "/freezes/:date",
+  validate(freezeDateParamSchema),
+  async (req, res) => {
+    await removeStreakFreeze(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.date
+    );
+    res.status(204).end();
+  }
+);
+
+export default router;
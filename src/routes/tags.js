@@ -0,0 +1,116 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  validate,
+  tagSchema,
+  tagVocabulariesSchema,
+  tagMergeSchema,
+  tagDeleteSchema,
+  uuidParamSchema,
+} from "../utils/validation.js";
+import {
+  listTags,
+  createTag,
+  updateTag,
+  attachTag,
+  detachTag,
+  mergeTags,
+} from "../services/tags.js";
+import { deleteTag } from "../services/deletion.js";
+
+// ==========================================
+//  TAG ROUTES -- Các route tag
+//  Mounted at /api/tags -- Gắn tại /api/tags
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/tags -- with wordCount and dueCount -- kèm wordCount và dueCount
+router.get("/", async (req, res) => {
+  const tags = await listTags(req.app.get("prisma"), req.user.id);
+  res.json({ data: tags });
+});
+
+// POST /api/tags
+router.post("/", validate(tagSchema), async (req, res) => {
+  const tag = await createTag(req.app.get("prisma"), req.user.id, req.body);
+  res.status(201).json({ data: tag });
+});
+
+// PUT /api/tags/:id
+router.put(
+  "/:id",
+  validate([...uuidParamSchema, ...tagSchema]),
+  async (req, res) => {
+    const tag = await updateTag(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+    res.json({ data: tag });
+  }
+);
+
+// DELETE /api/tags/:id?reassignTo= -- optionally move its words to another tag -- có thể chuyển từ vựng sang tag khác
+router.delete(
+  "/:id",
+  validate([...uuidParamSchema, ...tagDeleteSchema]),
+  async (req, res) => {
+    const { reassignTo } = matchedData(req, { locations: ["query"] });
+    await deleteTag(req.app.get("prisma"), req.user.id, req.params.id, {
+      reassignTo,
+    });
+    res.status(204).end();
+  }
+);
+
+// POST /api/tags/:id/vocabularies -- bulk attach -- gắn hàng loạt
+router.post(
+  "/:id/vocabularies",
+  validate([...uuidParamSchema, ...tagVocabulariesSchema]),
+  async (req, res) => {
+    const result = await attachTag(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.id,
+      req.body.vocabularyIds
+    );
+    res.json({ data: result });
+  }
+);
+
+// DELETE /api/tags/:id/vocabularies -- bulk detach -- gỡ hàng loạt
+router.delete(
+  "/:id/vocabularies",
+  validate([...uuidParamSchema, ...tagVocabulariesSchema]),
+  async (req, res) => {
+    const result = await detachTag(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.id,
+      req.body.vocabularyIds
+    );
+    res.json({ data: result });
+  }
+);
+
+// POST /api/tags/:id/merge -- merge :id into targetTagId -- gộp :id vào targetTagId
+router.post(
+  "/:id/merge",
+  validate([...uuidParamSchema, ...tagMergeSchema]),
+  async (req, res) => {
+    const tag = await mergeTags(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.id,
+      req.body.targetTagId
+    );
+    res.json({ data: tag });
+  }
+);
+
+export default router;
@@ -0,0 +1,168 @@
+import { Router } from "express";
+import { matchedData } from "express-validator";
+import { requireAuth } from "../middleware/auth.js";
+import { csvUpload, apkgUpload } from "../middleware/upload.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  validate,
+  vocabSchema,
+  paginationSchema,
+  searchSchema,
+  uuidParamSchema,
+  csvUploadSchema,
+  apkgUploadSchema,
+  tagQuerySchema,
+  vocabularySearchSchema,
+} from "../utils/validation.js";
+import {
+  listVocabularies,
+  getVocabulary,
+  createVocabulary,
+  updateVocabulary,
+  deleteVocabulary,
+} from "../services/vocabulary.js";
+import { searchVocabularies } from "../services/search.js";
+import { importVocabularyCsv } from "../services/vocabularyImport.js";
+import { autofillVocabulary } from "../services/dictionary.js";
+import { exportAnkiPackage, importAnkiPackage } from "../services/ankiPackage.js";
+
+// ==========================================
+//  VOCABULARY ROUTES -- Các route từ vựng
+//  Mounted at /api/vocabularies -- Gắn tại /api/vocabularies
+// ==========================================
+
+const router = Router();
+
+router.use(requireAuth);
+
+// GET /api/vocabularies?page=&limit=&sortBy=&sortOrder=&q=
+router.get(
+  "/",
+  validate([...paginationSchema, ...searchSchema]),
+  async (req, res) => {
+    const options = matchedData(req, { locations: ["query"] });
+    const result = await listVocabularies(
+      req.app.get("prisma"),
+      req.user.id,
+      options
+    );
+    res.json(result);
+  }
+);
+
+// GET /api/vocabularies/search?q=&tag=&partOfSpeech=&minDifficulty=&maxDifficulty=&page=&limit=
+router.get(
+  "/search",
+  validate([...paginationSchema, ...vocabularySearchSchema]),
+  async (req, res) => {
+    const options = matchedData(req, { locations: ["query"] });
+    const result = await searchVocabularies(
+      req.app.get("prisma"),
+      req.user.id,
+      options
+    );
+    res.json(result);
+  }
+);
+
+// GET /api/vocabularies/export/anki?tag= -- downloads an .apkg deck -- tải về bộ thẻ .apkg
+router.get("/export/anki", validate(tagQuerySchema), async (req, res) => {
+  const { tag } = matchedData(req, { locations: ["query"] });
+  const { buffer, filename } = await exportAnkiPackage(
+    req.app.get("prisma"),
+    req.user.id,
+    { tag }
+  );
+
+  res.attachment(filename);
+  res.type("application/octet-stream");
+  res.send(buffer);
+});
+
+// GET /api/vocabularies/:id
+router.get("/:id", validate(uuidParamSchema), async (req, res) => {
+  const vocabulary = await getVocabulary(
+    req.app.get("prisma"),
+    req.user.id,
+    req.params.id
+  );
+  res.json({ data: vocabulary });
+});
+
+// POST /api/vocabularies
+router.post("/", validate(vocabSchema), async (req, res) => {
+  const vocabulary = await createVocabulary(
+    req.app.get("prisma"),
+    req.user.id,
+    req.body
+  );
+  res.status(201).json({ data: vocabulary });
+});
+
+// POST /api/vocabularies/import -- multipart/form-data, field "file"
+router.post(
+  "/import",
+  csvUpload,
+  validate(csvUploadSchema),
+  async (req, res) => {
+    const report = await importVocabularyCsv(
+      req.app.get("prisma"),
+      req.user.id,
+      req.file.buffer
+    );
+    res.status(report.summary.imported ? 201 : 200).json({ data: report });
+  }
+);
+
+// POST /api/vocabularies/import/anki -- multipart/form-data, field "file"
+router.post(
+  "/import/anki",
+  apkgUpload,
+  validate(apkgUploadSchema),
+  async (req, res) => {
+    const report = await importAnkiPackage(
+      req.app.get("prisma"),
+      req.user.id,
+      req.file.buffer
+    );
+    res.status(report.summary.imported ? 201 : 200).json({ data: report });
+  }
+);
+
+// PUT /api/vocabularies/:id
+router.put(
+  "/:id",
+  validate([...uuidParamSchema, ...vocabSchema]),
+  async (req, res) => {
+    const vocabulary = await updateVocabulary(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+    res.json({ data: vocabulary });
+  }
+);
+
+// POST /api/vocabularies/:id/autofill -- Fill empty fields from the dictionary -- Điền các trường trống từ từ điển
+router.post(
+  "/:id/autofill",
+  rateLimit("dictionary"),
+  validate(uuidParamSchema),
+  async (req, res) => {
+    const result = await autofillVocabulary(
+      req.app.get("prisma"),
+      req.user.id,
+      req.params.id
+    );
+    res.json({ data: result });
+  }
+);
+
+// DELETE /api/vocabularies/:id
+router.delete("/:id", validate(uuidParamSchema), async (req, res) => {
+  await deleteVocabulary(req.app.get("prisma"), req.user.id, req.params.id);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import logger from "./utils/logger.js";
+import prisma from "./config/prisma.js";
+import { createApp } from "./app.js";
+import { PrismaSessionStore } from "./config/sessionStore.js";
+import { PrismaRateLimitStore } from "./config/rateLimitStore.js";
+
+// ==========================================
+//  HTTP SERVER -- Máy chủ HTTP
+// ==========================================
+
+const sessionStore = new PrismaSessionStore(prisma);
+const rateLimitStore = new PrismaRateLimitStore(prisma);
+const app = createApp({ prisma, sessionStore, rateLimitStore });
+const port = Number(process.env.PORT) || 3000;
+
+sessionStore.startPruning();
+rateLimitStore.startPruning();
+
+const server = app.listen(port, () => {
+  logger.info(`Server is listening on port ${port}`);
+});
+
+// Graceful shutdown -- Tắt máy chủ an toàn
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down...`);
+  sessionStore.stopPruning();
+  rateLimitStore.stopPruning();
+  server.close(async () => {
+    await prisma.$disconnect();
+    process.exit(0);
+  });
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
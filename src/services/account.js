@@ -0,0 +1,123 @@
+import logger from "../utils/logger.js";
+import { forbidden, notFound } from "../utils/errors.js";
+import { readSettings } from "../utils/settings.js";
+import { toPublicUser, verifyPassword } from "./auth.js";
+import { deleteUserAccount } from "./deletion.js";
+
+// ==========================================
+//  ACCOUNT SERVICE -- Dịch vụ tài khoản (xuất dữ liệu, xóa tài khoản)
+// ==========================================
+
+export const EXPORT_FORMAT = "vocalpro-export";
+export const EXPORT_VERSION = 1;
+
+// How long a Google re-authentication confirms a deletion -- Thời gian một lần đăng nhập lại Google còn hiệu lực để xác nhận xóa
+export const GOOGLE_REAUTH_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Bundle everything stored about a user into one JSON archive -- Gom mọi dữ liệu của người dùng vào một tệp JSON
+ * Secrets (password hash, token hashes, session IDs) are never included -- Không bao gồm thông tin bí mật (hash mật khẩu, hash token, ID session)
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Date} [now] - Export time -- Thời điểm xuất
+ * @return {Promise<Object>} Archive { format, version, exportedAt, profile, settings, vocabularies, tags, vocabularyTags, reviews, reviewLogs, dailyProgress, streakFreezes }
+ */
+export const exportUserData = async (prisma, userId, now = new Date()) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  const [
+    vocabularies,
+    tags,
+    vocabularyTags,
+    reviews,
+    reviewLogs,
+    dailyProgress,
+    streakFreezes,
+  ] = await Promise.all([
+    prisma.vocabulary.findMany({
+      where: { userId },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.tag.findMany({ where: { userId }, orderBy: { name: "asc" } }),
+    prisma.vocabularyTag.findMany({ where: { vocabulary: { userId } } }),
+    prisma.review.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+    prisma.reviewLog.findMany({
+      where: { userId },
+      orderBy: { reviewedAt: "asc" },
+    }),
+    prisma.dailyProgress.findMany({
+      where: { userId },
+      orderBy: { date: "asc" },
+    }),
+    prisma.streakFreeze.findMany({
+      where: { userId },
+      orderBy: { date: "asc" },
+    }),
+  ]);
+
+  logger.info("User data exported", { userId });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    profile: toPublicUser(user),
+    settings: readSettings(user.settings),
+    // searchText is derived and internal -- searchText là dữ liệu suy ra, chỉ dùng nội bộ
+    vocabularies: vocabularies.map(({ searchText, ...vocabulary }) => vocabulary),
+    tags,
+    vocabularyTags,
+    reviews,
+    reviewLogs,
+    dailyProgress,
+    streakFreezes,
+  };
+};
+
+/**
+ * Delete the caller's account after re-checking who they are -- Xóa tài khoản sau khi xác nhận lại danh tính
+ * Password accounts confirm with the password, -- Tài khoản có mật khẩu xác nhận bằng mật khẩu,
+ * Google-only accounts with a fresh Google sign-in (GET /api/auth/google/reauth) -- tài khoản chỉ dùng Google xác nhận bằng một lần đăng nhập Google mới
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} confirmation
+ * @param {string} [confirmation.password] - Current password -- Mật khẩu hiện tại
+ * @param {number} [confirmation.googleReauthAt] - When the session last re-authenticated with Google (ms) -- Thời điểm session đăng nhập lại Google gần nhất (ms)
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} Deleted row counts -- Số bản ghi đã xóa
+ * @throws {HttpError} 403 if the confirmation does not match or is too old -- 403 nếu xác nhận không khớp hoặc đã quá cũ
+ */
+export const deleteAccount = async (
+  prisma,
+  userId,
+  { password, googleReauthAt },
+  now = new Date()
+) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, passwordHash: true },
+  });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  if (user.passwordHash) {
+    if (!password || !(await verifyPassword(password, user.passwordHash))) {
+      throw forbidden("Mật khẩu không đúng");
+    }
+  } else {
+    const age = now.getTime() - (googleReauthAt ?? 0);
+    if (!googleReauthAt || age < 0 || age > GOOGLE_REAUTH_MAX_AGE_MS) {
+      throw forbidden("Vui lòng đăng nhập lại bằng Google để xác nhận xóa tài khoản");
+    }
+  }
+
+  return deleteUserAccount(prisma, userId);
+};
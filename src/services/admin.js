@@ -0,0 +1,316 @@
+import logger, { getLogLevels, setLogLevels } from "../utils/logger.js";
+import { conflict, forbidden, notFound } from "../utils/errors.js";
+import { DAY_MS } from "../utils/date.js";
+import { ROLES, normalizeRole } from "../config/roles.js";
+import { toPublicUser } from "./auth.js";
+import { sendPasswordResetLink } from "./authTokens.js";
+import { revokeOtherSessions } from "./sessions.js";
+import { startOfUtcDay } from "./apiUsage.js";
+import { recordAudit } from "./audit.js";
+
+// ==========================================
+//  ADMINISTRATION SERVICE -- Dịch vụ quản trị
+// ==========================================
+//
+// `actor` is { id, role, ip } of the administrator, every action is audited -- `actor` là { id, role, ip } của quản trị viên, mọi thao tác đều được ghi nhật ký
+// Moderators may only act on plain users -- Người kiểm duyệt chỉ được thao tác trên người dùng thường
+
+export const DEFAULT_USAGE_DAYS = 30;
+
+/**
+ * Load a user or fail with 404 -- Lấy người dùng hoặc trả về 404
+ */
+const findUser = async (prisma, id) => {
+  const user = await prisma.user.findUnique({ where: { id } });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  return user;
+};
+
+/**
+ * Refuse actions on oneself and, for non-admins, on staff accounts -- Từ chối thao tác trên chính mình và, với người không phải admin, trên tài khoản quản trị
+ */
+const assertCanManage = (actor, target) => {
+  if (actor.id === target.id) {
+    throw forbidden("Không thể thực hiện thao tác này trên chính tài khoản của bạn");
+  }
+  if (
+    normalizeRole(actor.role) !== ROLES.ADMIN &&
+    normalizeRole(target.role) !== ROLES.USER
+  ) {
+    throw forbidden();
+  }
+};
+
+// ==========================================
+//  USERS -- Người dùng
+// ==========================================
+
+/**
+ * List and search users -- Liệt kê và tìm kiếm người dùng
+ * The database collation is case-insensitive, so role and q match any case -- Collation của CSDL không phân biệt hoa thường, nên role và q khớp mọi kiểu chữ
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {Object} options - { page, limit, q, role, status } from adminUserListSchema
+ * @return {Promise<{data: Array, pagination: Object}>}
+ */
+export const listUsers = async (prisma, actor, { page, limit, q, role, status }) => {
+  const where = {
+    ...(q && {
+      OR: [{ email: { contains: q } }, { name: { contains: q } }],
+    }),
+    ...(role && { role }),
+    ...(status === "active" && { disabledAt: null }),
+    ...(status === "disabled" && { disabledAt: { not: null } }),
+  };
+
+  const [total, rows] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.findMany({
+      where,
+      orderBy: [{ email: "asc" }, { id: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  await recordAudit(prisma, {
+    actor,
+    action: "users.list",
+    details: { page, limit, q, role, status },
+  });
+
+  return {
+    data: rows.map(toPublicUser),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * One user with content counts -- Một người dùng kèm số lượng dữ liệu
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {string} id - User ID -- ID người dùng
+ * @return {Promise<Object>}
+ */
+export const getUser = async (prisma, actor, id) => {
+  const user = await prisma.user.findUnique({
+    where: { id },
+    include: {
+      _count: { select: { vocabularies: true, tags: true, sessions: true } },
+    },
+  });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  await recordAudit(prisma, {
+    actor,
+    action: "users.read",
+    targetType: "user",
+    targetId: id,
+  });
+
+  const { _count: counts, ...row } = user;
+  return { ...toPublicUser(row), counts };
+};
+
+/**
+ * Disable an account and sign it out everywhere -- Vô hiệu hóa tài khoản và đăng xuất khỏi mọi nơi
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {string} id - User ID -- ID người dùng
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Shown in the audit log -- Hiển thị trong nhật ký
+ * @return {Promise<Object>} Public user -- Thông tin người dùng công khai
+ */
+export const disableUser = async (prisma, actor, id, { reason } = {}) => {
+  const target = await findUser(prisma, id);
+  assertCanManage(actor, target);
+
+  if (target.disabledAt) {
+    throw conflict("Tài khoản đã bị vô hiệu hóa");
+  }
+
+  const user = await prisma.$transaction(async (tx) => {
+    const updated = await tx.user.update({
+      where: { id },
+      data: { disabledAt: new Date() },
+    });
+    await recordAudit(tx, {
+      actor,
+      action: "users.disable",
+      targetType: "user",
+      targetId: id,
+      details: { reason: reason ?? null },
+    });
+    return updated;
+  });
+
+  const revokedSessions = await revokeOtherSessions(prisma, id);
+  logger.info("User disabled", { userId: id, actorId: actor.id, revokedSessions });
+
+  return toPublicUser(user);
+};
+
+/**
+ * Re-enable a disabled account -- Kích hoạt lại tài khoản bị vô hiệu hóa
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {string} id - User ID -- ID người dùng
+ * @return {Promise<Object>} Public user -- Thông tin người dùng công khai
+ */
+export const enableUser = async (prisma, actor, id) => {
+  const target = await findUser(prisma, id);
+  assertCanManage(actor, target);
+
+  if (!target.disabledAt) {
+    throw conflict("Tài khoản đang hoạt động");
+  }
+
+  const user = await prisma.$transaction(async (tx) => {
+    const updated = await tx.user.update({
+      where: { id },
+      data: { disabledAt: null },
+    });
+    await recordAudit(tx, {
+      actor,
+      action: "users.enable",
+      targetType: "user",
+      targetId: id,
+    });
+    return updated;
+  });
+
+  logger.info("User enabled", { userId: id, actorId: actor.id });
+  return toPublicUser(user);
+};
+
+/**
+ * Force a password reset: sign out everywhere and email a reset link -- Bắt buộc đặt lại mật khẩu: đăng xuất khỏi mọi nơi và gửi liên kết đặt lại
+ * Password login is refused until the reset is done -- Đăng nhập bằng mật khẩu bị từ chối cho đến khi đặt lại xong
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {string} id - User ID -- ID người dùng
+ * @return {Promise<Object>} Public user -- Thông tin người dùng công khai
+ */
+export const forcePasswordReset = async (prisma, actor, id) => {
+  const target = await findUser(prisma, id);
+  assertCanManage(actor, target);
+
+  const user = await prisma.$transaction(async (tx) => {
+    const updated = await tx.user.update({
+      where: { id },
+      data: { mustResetPassword: true },
+    });
+    await recordAudit(tx, {
+      actor,
+      action: "users.forcePasswordReset",
+      targetType: "user",
+      targetId: id,
+    });
+    return updated;
+  });
+
+  await revokeOtherSessions(prisma, id);
+  await sendPasswordResetLink(prisma, user);
+  logger.info("Password reset forced", { userId: id, actorId: actor.id });
+
+  return toPublicUser(user);
+};
+
+// ==========================================
+//  API USAGE -- Sử dụng API bên ngoài
+// ==========================================
+
+/**
+ * ApiUsage totals per endpoint over UTC days -- Tổng ApiUsage theo endpoint trong các ngày UTC
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {Object} range - { startDate, endDate } from dateRangeSchema, default last 30 days -- mặc định 30 ngày gần nhất
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} { from, to, total, endpoints: [{ endpoint, count, days }] }
+ */
+export const getApiUsageTotals = async (
+  prisma,
+  actor,
+  { startDate, endDate } = {},
+  now = new Date()
+) => {
+  const to = startOfUtcDay(endDate ?? now);
+  const from = startOfUtcDay(
+    startDate ?? new Date(to.getTime() - (DEFAULT_USAGE_DAYS - 1) * DAY_MS)
+  );
+
+  const rows = await prisma.apiUsage.groupBy({
+    by: ["endpoint"],
+    where: { date: { gte: from, lte: to } },
+    _sum: { count: true },
+    _count: { _all: true },
+  });
+
+  await recordAudit(prisma, {
+    actor,
+    action: "apiUsage.read",
+    details: { from, to },
+  });
+
+  const endpoints = rows
+    .map((row) => ({
+      endpoint: row.endpoint,
+      count: row._sum.count ?? 0,
+      days: row._count._all,
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    total: endpoints.reduce((sum, row) => sum + row.count, 0),
+    endpoints,
+  };
+};
+
+// ==========================================
+//  LOGGING -- Ghi log
+// ==========================================
+
+/**
+ * Change log levels of this instance at runtime -- Đổi mức log của instance này khi đang chạy
+ * Other instances and restarts keep LOG_LEVEL / LOG_MODULE_LEVELS -- Các instance khác và lần khởi động lại vẫn dùng LOG_LEVEL / LOG_MODULE_LEVELS
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, role, ip }
+ * @param {Object} changes - { level, modules } from logLevelsSchema
+ * @return {Promise<Object>} Levels after the change -- Mức log sau khi đổi
+ */
+export const updateLogLevels = async (prisma, actor, changes) => {
+  const before = getLogLevels();
+  const after = setLogLevels(changes);
+
+  await recordAudit(prisma, {
+    actor,
+    action: "logs.setLevels",
+    details: {
+      before: { level: before.level, modules: before.modules },
+      after: { level: after.level, modules: after.modules },
+    },
+  });
+
+  return after;
+};
@@ -0,0 +1,141 @@
+import { addDays, daysBetween } from "../../utils/date.js";
+
+// ==========================================
+//  FSRS-STYLE MODEL -- Mô hình kiểu FSRS (stability/difficulty)
+// ==========================================
+
+// Default FSRS v4 weights -- Trọng số mặc định của FSRS v4
+const W = Object.freeze([
+  0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05,
+  0.34, 1.26, 0.29, 2.61,
+]);
+
+export const REQUEST_RETENTION = 0.9; // Target recall probability -- Xác suất nhớ mục tiêu
+const MAX_INTERVAL = 36500; // 100 years -- 100 năm
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Map the 0-5 SM-2 quality scale to FSRS grades -- Quy đổi thang 0-5 của SM-2 sang điểm FSRS
+ * 0-2 = Again(1), 3 = Hard(2), 4 = Good(3), 5 = Easy(4)
+ *
+ * @param {number} quality - Recall quality 0-5 -- Điểm chất lượng 0-5
+ * @return {number} FSRS grade 1-4 -- Điểm FSRS 1-4
+ */
+export const toGrade = (quality) => (quality < 3 ? 1 : quality - 1);
+
+const initialStability = (grade) => W[grade - 1];
+
+const initialDifficulty = (grade) => clamp(W[4] - (grade - 3) * W[5], 1, 10);
+
+/**
+ * Probability of recall after `elapsed` days -- Xác suất nhớ sau `elapsed` ngày
+ * @param {number} elapsed - Days since last review -- Số ngày kể từ lần ôn trước
+ * @param {number} stability - Memory stability -- Độ bền trí nhớ
+ * @return {number} Retrievability 0..1 -- Khả năng gợi nhớ
+ */
+export const retrievability = (elapsed, stability) =>
+  Math.pow(1 + elapsed / (9 * stability), -1);
+
+const nextInterval = (stability) =>
+  clamp(
+    Math.round(9 * stability * (1 / REQUEST_RETENTION - 1)),
+    1,
+    MAX_INTERVAL
+  );
+
+/**
+ * Update stability/difficulty after an answer -- Cập nhật độ bền/độ khó sau một câu trả lời
+ *
+ * @param {Object} review - Current Review fields (stability, fsrsDifficulty, lastReviewed) -- Trạng thái Review hiện tại
+ * @param {number} quality - Recall quality 0-5 -- Điểm chất lượng 0-5
+ * @param {Date} [now] - Review time -- Thời điểm ôn tập
+ * @return {Object} Fields to write -- Các trường cần ghi
+ */
+const next = (review, quality, now = new Date()) => {
+  const grade = toGrade(quality);
+  const repetitions = review?.repetitions ?? 0;
+
+  let stability;
+  let difficulty;
+
+  if (review?.stability == null || review?.fsrsDifficulty == null) {
+    // First answer -- Lần trả lời đầu tiên
+    stability = initialStability(grade);
+    difficulty = initialDifficulty(grade);
+  } else {
+    const elapsed = review.lastReviewed
+      ? daysBetween(new Date(review.lastReviewed), now)
+      : 0;
+    const r = retrievability(elapsed, review.stability);
+    const d = review.fsrsDifficulty;
+    const s = review.stability;
+
+    // Difficulty drifts with the grade and reverts to the mean -- Độ khó thay đổi theo điểm và hồi quy về trung bình
+    difficulty = clamp(
+      W[7] * initialDifficulty(3) + (1 - W[7]) * (d - W[6] * (grade - 3)),
+      1,
+      10
+    );
+
+    if (grade === 1) {
+      // Lapse -- Quên
+      stability =
+        W[11] *
+        Math.pow(d, -W[12]) *
+        (Math.pow(s + 1, W[13]) - 1) *
+        Math.exp(W[14] * (1 - r));
+    } else {
+      const hardPenalty = grade === 2 ? W[15] : 1;
+      const easyBonus = grade === 4 ? W[16] : 1;
+      stability =
+        s *
+        (Math.exp(W[8]) *
+          (11 - d) *
+          Math.pow(s, -W[9]) *
+          (Math.exp(W[10] * (1 - r)) - 1) *
+          hardPenalty *
+          easyBonus +
+          1);
+    }
+  }
+
+  const interval = nextInterval(stability);
+
+  return {
+    stability: Number(stability.toFixed(4)),
+    fsrsDifficulty: Number(difficulty.toFixed(4)),
+    interval,
+    repetitions: grade === 1 ? 0 : repetitions + 1,
+    nextReview: addDays(now, interval),
+    lastReviewed: now,
+    quality,
+  };
+};
+
+/**
+ * Seed stability/difficulty from SM-2 state -- Khởi tạo độ bền/độ khó từ trạng thái SM-2
+ * stability ≈ current interval, easeFactor 2.5 -> difficulty 5 -- độ bền ≈ khoảng ôn hiện tại, easeFactor 2.5 -> độ khó 5
+ *
+ * @param {Object} review - Existing Review row -- Bản ghi Review hiện có
+ * @return {Object} Fields to update -- Các trường cần cập nhật
+ */
+const migrate = (review) => {
+  if (!review.repetitions && !review.interval) {
+    // Never answered correctly: let the first answer seed the model -- Chưa từng nhớ đúng: để lần trả lời đầu khởi tạo
+    return { stability: null, fsrsDifficulty: null };
+  }
+
+  return {
+    stability: Math.max(review.interval ?? 0, initialStability(1)),
+    fsrsDifficulty: Number(
+      clamp(5 + (2.5 - (review.easeFactor ?? 2.5)) * 5, 1, 10).toFixed(4)
+    ),
+  };
+};
+
+export default {
+  name: "fsrs",
+  next,
+  migrate,
+};
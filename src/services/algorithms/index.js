@@ -0,0 +1,34 @@
+import sm2 from "./sm2.js";
+import fsrs from "./fsrs.js";
+import leitner from "./leitner.js";
+
+// ==========================================
+//  SCHEDULING ALGORITHM REGISTRY -- Danh sách thuật toán lập lịch
+// ==========================================
+
+/**
+ * Every algorithm implements the same interface -- Mọi thuật toán cùng cài đặt một interface
+ * - name: key stored in Review.algorithm and settings.reviewSettings.algorithm -- Khóa lưu trong Review.algorithm và settings
+ * - next(review, quality, now): fields to write after an answer -- Các trường cần ghi sau một câu trả lời
+ * - migrate(review): fields to write when a review switches to this algorithm -- Các trường cần ghi khi review chuyển sang thuật toán này
+ *
+ * All algorithms keep interval, repetitions, nextReview, lastReviewed and quality up to date, -- Mọi thuật toán đều cập nhật interval, repetitions, nextReview, lastReviewed và quality,
+ * so migrate() only has to derive its own fields from them -- nên migrate() chỉ cần suy ra các trường riêng từ chúng
+ */
+export const ALGORITHMS = Object.freeze({
+  [sm2.name]: sm2,
+  [fsrs.name]: fsrs,
+  [leitner.name]: leitner,
+});
+
+export const ALGORITHM_NAMES = Object.freeze(Object.keys(ALGORITHMS));
+
+export const DEFAULT_ALGORITHM = sm2.name;
+
+/**
+ * Look up an algorithm by name, falling back to SM-2 -- Tìm thuật toán theo tên, mặc định là SM-2
+ * @param {string} name - Algorithm name -- Tên thuật toán
+ * @return {Object} Algorithm implementation -- Cài đặt thuật toán
+ */
+export const getAlgorithm = (name) =>
+  ALGORITHMS[name] ?? ALGORITHMS[DEFAULT_ALGORITHM];
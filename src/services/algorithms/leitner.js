@@ -0,0 +1,63 @@
+import { addDays } from "../../utils/date.js";
+
+// ==========================================
+//  LEITNER BOXES -- Hệ thống hộp Leitner
+// ==========================================
+
+// Review interval (days) of each box, box 1 = every day -- Khoảng ôn (ngày) của từng hộp, hộp 1 = mỗi ngày
+export const BOX_INTERVALS = Object.freeze([1, 2, 4, 8, 16]);
+
+/**
+ * Box that matches an interval -- Hộp tương ứng với một khoảng ôn
+ * @param {number} interval - Interval in days -- Khoảng ôn tính bằng ngày
+ * @return {number} Box number 1..BOX_INTERVALS.length -- Số thứ tự hộp
+ */
+export const boxForInterval = (interval) => {
+  let box = 1;
+  BOX_INTERVALS.forEach((days, index) => {
+    if (interval >= days) {
+      box = index + 1;
+    }
+  });
+  return box;
+};
+
+/**
+ * Move the card between boxes -- Di chuyển thẻ giữa các hộp
+ * Correct (quality >= 3): up one box, wrong: back to box 1 -- Đúng: lên một hộp, sai: về hộp 1
+ *
+ * @param {Object} review - Current Review fields -- Trạng thái Review hiện tại
+ * @param {number} quality - Recall quality 0-5 -- Điểm chất lượng 0-5
+ * @param {Date} [now] - Review time -- Thời điểm ôn tập
+ * @return {Object} Fields to write -- Các trường cần ghi
+ */
+const next = (review, quality, now = new Date()) => {
+  const box = review?.box ?? 1;
+  const repetitions = review?.repetitions ?? 0;
+  const success = quality >= 3;
+
+  const nextBox = success ? Math.min(box + 1, BOX_INTERVALS.length) : 1;
+  const interval = BOX_INTERVALS[nextBox - 1];
+
+  return {
+    box: nextBox,
+    interval,
+    repetitions: success ? repetitions + 1 : 0,
+    nextReview: addDays(now, interval),
+    lastReviewed: now,
+    quality,
+  };
+};
+
+/**
+ * Place an existing review into the box closest to its interval -- Đặt review hiện có vào hộp gần nhất với khoảng ôn
+ * @param {Object} review - Existing Review row -- Bản ghi Review hiện có
+ * @return {Object} Fields to update -- Các trường cần cập nhật
+ */
+const migrate = (review) => ({ box: boxForInterval(review.interval ?? 0) });
+
+export default {
+  name: "leitner",
+  next,
+  migrate,
+};
@@ -0,0 +1,111 @@
+import { addDays } from "../../utils/date.js";
+
+// ==========================================
+//  SM-2 ALGORITHM -- Thuật toán SM-2
+// ==========================================
+
+export const SM2_DEFAULTS = Object.freeze({
+  easeFactor: 2.5, // Same as Review.easeFactor default -- Giống giá trị mặc định trong Review
+  interval: 0,
+  repetitions: 0,
+});
+
+export const MIN_EASE_FACTOR = 1.3; // SM-2 lower bound -- Giới hạn dưới của SM-2
+
+/**
+ * Reject a quality outside the 0-5 scale shared by every algorithm -- Từ chối điểm nằm ngoài thang 0-5 mà mọi thuật toán dùng chung
+ *
+ * @param {number} quality - Recall quality -- Điểm chất lượng
+ * @throws {RangeError} If not an integer between 0-5 -- Nếu không phải số nguyên trong khoảng 0-5
+ */
+export const assertQuality = (quality) => {
+  if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+    throw new RangeError(`Quality must be an integer between 0-5, got ${quality}`);
+  }
+};
+
+/**
+ * Compute the next SM-2 state for a review -- Tính trạng thái SM-2 tiếp theo cho một lượt ôn tập
+ *
+ * Quality >= 3 counts as a successful recall -- Điểm >= 3 được tính là nhớ đúng
+ * - 1st success: 1 day, 2nd success: 6 days, then interval * easeFactor -- Lần 1: 1 ngày, lần 2: 6 ngày, sau đó interval * easeFactor
+ * Quality < 3 resets repetitions and shows the card again tomorrow -- Điểm < 3 đặt lại số lần lặp và ôn lại vào ngày mai
+ *
+ * @param {Object} review - Current Review fields (easeFactor, interval, repetitions) -- Trạng thái Review hiện tại
+ * @param {number} quality - Recall quality 0-5 -- Điểm chất lượng 0-5
+ * @param {Date} [now] - Review time -- Thời điểm ôn tập
+ * @return {Object} { easeFactor, interval, repetitions, nextReview, lastReviewed, quality }
+ * @throws {RangeError} If quality is not an integer between 0-5 -- Nếu điểm không phải số nguyên trong khoảng 0-5
+ *
+ * @example
+ * calculateSm2({ easeFactor: 2.5, interval: 6, repetitions: 2 }, 4)
+ * // => { easeFactor: 2.5, interval: 15, repetitions: 3, ... }
+ */
+export const calculateSm2 = (review, quality, now = new Date()) => {
+  assertQuality(quality);
+
+  const easeFactor = review?.easeFactor ?? SM2_DEFAULTS.easeFactor;
+  const interval = review?.interval ?? SM2_DEFAULTS.interval;
+  const repetitions = review?.repetitions ?? SM2_DEFAULTS.repetitions;
+
+  let nextInterval;
+  let nextRepetitions;
+
+  if (quality >= 3) {
+    // Successful recall -- Nhớ đúng
+    if (repetitions === 0) {
+      nextInterval = 1;
+    } else if (repetitions === 1) {
+      nextInterval = 6;
+    } else {
+      nextInterval = Math.round(interval * easeFactor);
+    }
+    nextRepetitions = repetitions + 1;
+  } else {
+    // Failed recall -- start over -- Nhớ sai -- học lại từ đầu
+    nextInterval = 1;
+    nextRepetitions = 0;
+  }
+
+  // EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  const delta = 5 - quality;
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    Number((easeFactor + (0.1 - delta * (0.08 + delta * 0.02))).toFixed(2))
+  );
+
+  return {
+    easeFactor: nextEaseFactor,
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+    nextReview: addDays(now, nextInterval),
+    lastReviewed: now,
+    quality,
+  };
+};
+
+/**
+ * Derive SM-2 fields when a review switches to SM-2 -- Suy ra trường SM-2 khi chuyển sang SM-2
+ * FSRS difficulty 1..10 maps back onto easeFactor (5 -> 2.5) -- Độ khó FSRS 1..10 được quy đổi về easeFactor (5 -> 2.5)
+ *
+ * @param {Object} review - Existing Review row -- Bản ghi Review hiện có
+ * @return {Object} Fields to update -- Các trường cần cập nhật
+ */
+const migrate = (review) => {
+  if (review.fsrsDifficulty == null) {
+    return {};
+  }
+
+  return {
+    easeFactor: Math.max(
+      MIN_EASE_FACTOR,
+      Number((2.5 - (review.fsrsDifficulty - 5) / 5).toFixed(2))
+    ),
+  };
+};
+
+export default {
+  name: "sm2",
+  next: calculateSm2,
+  migrate,
+};
@@ -0,0 +1,244 @@
+import { notFound } from "../utils/errors.js";
+import {
+  localDatesBetween,
+  resolveLocalRange,
+  toLocalDateString,
+} from "../utils/date.js";
+import { queueOptionsFromSettings } from "./reviewQueue.js";
+
+// ==========================================
+//  LEARNING ANALYTICS -- Thống kê học tập
+// ==========================================
+//
+// Built on the append-only ReviewLog -- Dựa trên bảng ReviewLog chỉ ghi thêm
+// Days are the user's local days (settings.timezone) -- Ngày được tính theo múi giờ của người dùng (settings.timezone)
+
+export const DEFAULT_RANGE_DAYS = 30;
+export const PASSING_QUALITY = 3; // SM-2: 3+ counts as recalled -- SM-2: từ 3 trở lên là nhớ được
+export const MATURE_INTERVAL = 21; // Anki's "mature card" threshold in days -- Ngưỡng "thẻ trưởng thành" của Anki (ngày)
+
+/**
+ * User's timezone -- Múi giờ của người dùng
+ * @return {Promise<string>} IANA timezone
+ */
+const userTimeZone = async (prisma, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { settings: true },
+  });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  return queueOptionsFromSettings(user.settings).timezone;
+};
+
+const ratio = (part, total) => (total ? Number((part / total).toFixed(4)) : null);
+
+/**
+ * Retention: share of answers with quality >= 3 -- Tỉ lệ ghi nhớ: tỉ lệ câu trả lời có điểm >= 3
+ * Split into young and mature cards (previous interval < or >= 21 days) -- Chia theo thẻ non và thẻ trưởng thành (khoảng cách trước < hoặc >= 21 ngày)
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} range - { startDate, endDate } from dateRangeSchema, default last 30 days -- mặc định 30 ngày gần nhất
+ * @return {Promise<Object>} { from, to, total, correct, retention, young, mature }
+ */
+export const getRetention = async (prisma, userId, range = {}) => {
+  const timeZone = await userTimeZone(prisma, userId);
+  const { from, to, start, end } = resolveLocalRange(range, timeZone, {
+    days: DEFAULT_RANGE_DAYS,
+  });
+
+  const logs = await prisma.reviewLog.findMany({
+    where: { userId, reviewedAt: { gte: start, lt: end } },
+    select: { quality: true, previousInterval: true },
+  });
+
+  const tally = (rows) => {
+    const correct = rows.filter((log) => log.quality >= PASSING_QUALITY).length;
+    return {
+      total: rows.length,
+      correct,
+      retention: ratio(correct, rows.length),
+    };
+  };
+
+  return {
+    from,
+    to,
+    ...tally(logs),
+    young: tally(logs.filter((log) => log.previousInterval < MATURE_INTERVAL)),
+    mature: tally(logs.filter((log) => log.previousInterval >= MATURE_INTERVAL)),
+  };
+};
+
+/**
+ * Answers per local day, days without reviews included -- Số câu trả lời mỗi ngày, kể cả ngày không ôn
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} range - { startDate, endDate } from dateRangeSchema, default last 30 days -- mặc định 30 ngày gần nhất
+ * @return {Promise<Object>} { from, to, timezone, days: [{ date, reviews, correct, averageResponseMs }] }
+ */
+export const getReviewsPerDay = async (prisma, userId, range = {}) => {
+  const timeZone = await userTimeZone(prisma, userId);
+  const { from, to, start, end } = resolveLocalRange(range, timeZone, {
+    days: DEFAULT_RANGE_DAYS,
+  });
+
+  const logs = await prisma.reviewLog.findMany({
+    where: { userId, reviewedAt: { gte: start, lt: end } },
+    select: { reviewedAt: true, quality: true, responseTimeMs: true },
+  });
+
+  const days = new Map(
+    localDatesBetween(from, to).map((date) => [
+      date,
+      { date, reviews: 0, correct: 0, responseMs: 0, timed: 0 },
+    ])
+  );
+
+  for (const log of logs) {
+    const day = days.get(toLocalDateString(log.reviewedAt, timeZone));
+    if (!day) {
+      continue;
+    }
+    day.reviews += 1;
+    day.correct += log.quality >= PASSING_QUALITY ? 1 : 0;
+    if (log.responseTimeMs != null) {
+      day.responseMs += log.responseTimeMs;
+      day.timed += 1;
+    }
+  }
+
+  return {
+    from,
+    to,
+    timezone: timeZone,
+    days: [...days.values()].map(({ responseMs, timed, ...day }) => ({
+      ...day,
+      averageResponseMs: timed ? Math.round(responseMs / timed) : null,
+    })),
+  };
+};
+
+/**
+ * Upcoming due counts per local day -- Số review đến hạn sắp tới theo ngày
+ * Overdue reviews are counted on the first day -- Review quá hạn được tính vào ngày đầu tiên
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} range - { startDate, endDate } from dateRangeSchema, default today + 30 days -- mặc định hôm nay + 30 ngày
+ * @return {Promise<Object>} { from, to, timezone, overdue, days: [{ date, due }] }
+ */
+export const getDueForecast = async (prisma, userId, range = {}) => {
+  const timeZone = await userTimeZone(prisma, userId);
+  const { from, to, start, end } = resolveLocalRange(range, timeZone, {
+    days: DEFAULT_RANGE_DAYS + 1,
+    forward: true,
+  });
+
+  const reviews = await prisma.review.findMany({
+    where: { userId, nextReview: { lt: end } },
+    select: { nextReview: true },
+  });
+
+  const days = new Map(
+    localDatesBetween(from, to).map((date) => [date, { date, due: 0 }])
+  );
+  let overdue = 0;
+
+  for (const { nextReview } of reviews) {
+    if (nextReview < start) {
+      overdue += 1;
+      continue;
+    }
+    const day = days.get(toLocalDateString(nextReview, timeZone));
+    if (day) {
+      day.due += 1;
+    }
+  }
+
+  const list = [...days.values()];
+  if (list.length) {
+    list[0].due += overdue;
+  }
+
+  return { from, to, timezone: timeZone, overdue, days: list };
+};
+
+/**
+ * Words answered wrong most often -- Các từ bị trả lời sai nhiều nhất
+ * Ranked by lapse rate, then lapses, then average quality -- Xếp theo tỉ lệ quên, rồi số lần quên, rồi điểm trung bình
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} options - { startDate, endDate, limit } -- limit mặc định 10
+ * @return {Promise<Object>} { from, to, words: [{ vocabularyId, word, reviews, lapses, lapseRate, averageQuality }] }
+ */
+export const getHardestWords = async (
+  prisma,
+  userId,
+  { limit = 10, ...range } = {}
+) => {
+  const timeZone = await userTimeZone(prisma, userId);
+  const { from, to, start, end } = resolveLocalRange(range, timeZone, {
+    days: DEFAULT_RANGE_DAYS,
+  });
+  const where = { userId, reviewedAt: { gte: start, lt: end } };
+
+  const [totals, lapses] = await Promise.all([
+    prisma.reviewLog.groupBy({
+      by: ["vocabularyId"],
+      where,
+      _count: { _all: true },
+      _avg: { quality: true },
+    }),
+    prisma.reviewLog.groupBy({
+      by: ["vocabularyId"],
+      where: { ...where, quality: { lt: PASSING_QUALITY } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const lapsesById = new Map(
+    lapses.map((row) => [row.vocabularyId, row._count._all])
+  );
+
+  const ranked = totals
+    .map((row) => {
+      const lapseCount = lapsesById.get(row.vocabularyId) ?? 0;
+      return {
+        vocabularyId: row.vocabularyId,
+        reviews: row._count._all,
+        lapses: lapseCount,
+        lapseRate: ratio(lapseCount, row._count._all),
+        averageQuality: Number(row._avg.quality.toFixed(2)),
+      };
+    })
+    .filter((row) => row.lapses > 0)
+    .sort(
+      (a, b) =>
+        b.lapseRate - a.lapseRate ||
+        b.lapses - a.lapses ||
+        a.averageQuality - b.averageQuality
+    )
+    .slice(0, limit);
+
+  const vocabularies = await prisma.vocabulary.findMany({
+    where: { id: { in: ranked.map((row) => row.vocabularyId) }, userId },
+    select: { id: true, word: true },
+  });
+  const words = new Map(vocabularies.map((v) => [v.id, v.word]));
+
+  return {
+    from,
+    to,
+    words: ranked.map((row) => ({
+      ...row,
+      word: words.get(row.vocabularyId) ?? null,
+    })),
+  };
+};
@@ -0,0 +1,598 @@
+import crypto from "crypto";
+import initSqlJs from "sql.js";
+import JSZip from "jszip";
+import { badRequest, notFound } from "../utils/errors.js";
+import { DAY_MS } from "../utils/date.js";
+import { PARTS_OF_SPEECH, isValidUUID } from "../utils/validation.js";
+import { getAlgorithm } from "./algorithms/index.js";
+import { MIN_EASE_FACTOR } from "./algorithms/sm2.js";
+import { importVocabularyRows } from "./vocabularyImport.js";
+
+// ==========================================
+//  ANKI PACKAGE (.apkg) -- Xuất/nhập gói Anki
+// ==========================================
+//
+// An .apkg is a zip holding `collection.anki2` (SQLite, schema v11) and a `media` map -- Tệp .apkg là zip chứa `collection.anki2` (SQLite, schema v11) và tệp `media`
+// Anki, AnkiDroid and CrossAnki all read this legacy format -- Anki, AnkiDroid và CrossAnki đều đọc được định dạng này
+//
+// Note fields: Word, Pronunciation, Definition, Example, PartOfSpeech -- Các trường của note
+// SM-2 state maps to the card: easeFactor <-> factor (permille), interval <-> ivl, repetitions <-> reps, nextReview <-> due -- Trạng thái SM-2 ánh xạ sang thẻ
+
+const MODEL_ID = 1718064000001; // Fixed so re-exports reuse the same note type in Anki -- Cố định để Anki dùng lại cùng loại note
+const DECK_NAME = "VocalPro";
+const FIELD_NAMES = ["Word", "Pronunciation", "Definition", "Example", "PartOfSpeech"];
+const FIELD_SEPARATOR = "\x1f";
+
+// Card type/queue values used by Anki -- Giá trị type/queue của thẻ trong Anki
+const CARD_NEW = 0;
+const CARD_REVIEW = 2;
+
+const NOTE_COLUMNS = ["id", "guid", "mid", "mod", "usn", "tags", "flds", "sfld", "csum", "flags", "data"];
+const CARD_COLUMNS = [
+  "id", "nid", "did", "ord", "mod", "usn", "type", "queue", "due", "ivl",
+  "factor", "reps", "lapses", "left", "odue", "odid", "flags", "data",
+];
+const TEXT_COLUMNS = new Set(["guid", "tags", "flds", "sfld", "data"]);
+
+let sqlPromise = null;
+const loadSql = () => {
+  sqlPromise ??= initSqlJs();
+  return sqlPromise;
+};
+
+const ANKI_SCHEMA = `
+  CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+  CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+  CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+  CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn on notes (usn);
+  CREATE INDEX ix_cards_usn on cards (usn);
+  CREATE INDEX ix_revlog_usn on revlog (usn);
+  CREATE INDEX ix_cards_nid on cards (nid);
+  CREATE INDEX ix_cards_sched on cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid on revlog (cid);
+  CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// ==========================================
+//  HELPERS -- Hàm hỗ trợ
+// ==========================================
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+/**
+ * HTML field -> plain text -- Trường HTML -> văn bản thuần
+ * Sound/image references are dropped -- Bỏ tham chiếu âm thanh/hình ảnh
+ */
+const htmlToText = (value) =>
+  String(value ?? "")
+    .replace(/\[sound:[^\]]*\]/g, "")
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Anki first-field checksum: first 8 hex digits of SHA-1 -- Checksum trường đầu của Anki: 8 chữ số hex đầu của SHA-1
+ */
+const fieldChecksum = (text) =>
+  parseInt(crypto.createHash("sha1").update(text).digest("hex").slice(0, 8), 16);
+
+/**
+ * Stable numeric deck ID from its name -- ID bộ thẻ ổn định theo tên
+ */
+const deckId = (name) =>
+  parseInt(crypto.createHash("sha1").update(name).digest("hex").slice(0, 12), 16);
+
+/**
+ * Tag name -> Anki tag (no spaces allowed) -- Tên tag -> tag Anki (không cho phép khoảng trắng)
+ */
+const toAnkiTag = (name) => name.trim().replace(/\s+/g, "_");
+
+/**
+ * Anki tag -> tag name accepted by tagSchema -- Tag Anki -> tên tag hợp lệ với tagSchema
+ * Hierarchical tags (a::b) become a-b -- Tag phân cấp (a::b) thành a-b
+ */
+const fromAnkiTag = (tag) => tag.replace(/::/g, "-");
+
+/**
+ * Row object -> values in column order, missing columns default to 0 or "" -- Object -> giá trị theo thứ tự cột, cột thiếu mặc định 0 hoặc ""
+ */
+const toValues = (columns, row) =>
+  columns.map((column) => row[column] ?? (TEXT_COLUMNS.has(column) ? "" : 0));
+
+const startOfUtcDaySeconds = (date) =>
+  Math.floor(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 1000
+  );
+
+/**
+ * Review row -> SM-2 state, migrating FSRS/Leitner rows -- Bản ghi Review -> trạng thái SM-2, chuyển đổi từ FSRS/Leitner
+ */
+const sm2State = (review) =>
+  review.algorithm && review.algorithm !== "sm2"
+    ? { ...review, ...getAlgorithm("sm2").migrate(review) }
+    : review;
+
+// ==========================================
+//  EXPORT -- Xuất gói
+// ==========================================
+
+/**
+ * Anki collection metadata (col row) -- Siêu dữ liệu bộ sưu tập Anki (bản ghi col)
+ */
+const collectionRow = (crt, mod, did, deckName) => {
+  const model = {
+    id: MODEL_ID,
+    name: "VocalPro Vocabulary",
+    type: 0,
+    mod: Math.floor(mod / 1000),
+    usn: -1,
+    sortf: 0,
+    did,
+    tmpls: [
+      {
+        name: "Card 1",
+        ord: 0,
+        qfmt: "<div class=word>{{Word}}</div>{{#Pronunciation}}<div class=ipa>{{Pronunciation}}</div>{{/Pronunciation}}",
+        afmt: "{{FrontSide}}<hr id=answer>{{#PartOfSpeech}}<i>{{PartOfSpeech}}</i><br>{{/PartOfSpeech}}{{Definition}}{{#Example}}<br><br><i>{{Example}}</i>{{/Example}}",
+        did: null,
+        bqfmt: "",
+        bafmt: "",
+      },
+    ],
+    flds: FIELD_NAMES.map((name, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: "Arial",
+      size: 20,
+      media: [],
+    })),
+    css: ".card { font-family: arial; font-size: 20px; text-align: center; }\n.word { font-size: 32px; }\n.ipa { color: #666; }",
+    latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    tags: [],
+    vers: [],
+    req: [[0, "any", [0]]],
+  };
+
+  const deck = (id, name) => ({
+    id,
+    name,
+    desc: "",
+    mod: Math.floor(mod / 1000),
+    usn: -1,
+    collapsed: false,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50,
+  });
+
+  const deckConfig = {
+    id: 1,
+    name: "Default",
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: {
+      delays: [1, 10],
+      ints: [1, 4, 7],
+      initialFactor: 2500,
+      order: 1,
+      perDay: 20,
+      bury: true,
+      separate: true,
+    },
+    rev: {
+      perDay: 200,
+      ease4: 1.3,
+      fuzz: 0.05,
+      ivlFct: 1,
+      maxIvl: 36500,
+      minSpace: 1,
+      bury: true,
+    },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  };
+
+  return [
+    1,
+    crt,
+    mod,
+    mod,
+    11,
+    0,
+    0,
+    0,
+    JSON.stringify({
+      nextPos: 1,
+      activeDecks: [1],
+      curDeck: 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      sortType: "noteFld",
+      sortBackwards: false,
+      addToCur: true,
+    }),
+    JSON.stringify({ [MODEL_ID]: model }),
+    JSON.stringify({ 1: deck(1, "Default"), [did]: deck(did, deckName) }),
+    JSON.stringify({ 1: deckConfig }),
+    JSON.stringify({}),
+  ];
+};
+
+/**
+ * Export the user's vocabularies as an Anki package -- Xuất từ vựng của người dùng thành gói Anki
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only words with this tag (ID or name), also names the deck -- Chỉ các từ có tag này (ID hoặc tên), cũng là tên bộ thẻ
+ * @param {Date} [options.now] - Export time -- Thời điểm xuất
+ * @return {Promise<{buffer: Buffer, filename: string, count: number}>} .apkg file -- Tệp .apkg
+ */
+export const exportAnkiPackage = async (
+  prisma,
+  userId,
+  { tag, now = new Date() } = {}
+) => {
+  let tagRow = null;
+  if (tag) {
+    tagRow = await prisma.tag.findFirst({
+      where: {
+        userId,
+        ...(isValidUUID(tag) ? { id: tag } : { name: tag.trim().toUpperCase() }),
+      },
+    });
+    if (!tagRow) {
+      throw notFound("Không tìm thấy tag");
+    }
+  }
+
+  const vocabularies = await prisma.vocabulary.findMany({
+    where: {
+      userId,
+      ...(tagRow && { vocabularyTag: { some: { tagId: tagRow.id } } }),
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    include: {
+      vocabularyTag: { include: { tag: true } },
+      reviews: { where: { userId } },
+    },
+  });
+
+  const deckName = tagRow ? `${DECK_NAME}::${tagRow.name}` : DECK_NAME;
+  const did = deckId(deckName);
+  const mod = now.getTime();
+  const modSeconds = Math.floor(mod / 1000);
+
+  // Day 0 of the collection: no card may be due before it -- Ngày 0 của bộ sưu tập: không thẻ nào đến hạn trước ngày này
+  const earliest = vocabularies
+    .flatMap((vocabulary) => vocabulary.reviews)
+    .reduce((min, review) => Math.min(min, review.nextReview.getTime()), mod);
+  const crt = startOfUtcDaySeconds(new Date(earliest));
+
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+
+  try {
+    db.run(ANKI_SCHEMA);
+    db.run(
+      "INSERT INTO col VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)",
+      collectionRow(crt, mod, did, deckName)
+    );
+
+    const insertNote = db.prepare(
+      `INSERT INTO notes (${NOTE_COLUMNS}) VALUES (${NOTE_COLUMNS.map(() => "?")})`
+    );
+    const insertCard = db.prepare(
+      `INSERT INTO cards (${CARD_COLUMNS}) VALUES (${CARD_COLUMNS.map(() => "?")})`
+    );
+
+    vocabularies.forEach((vocabulary, index) => {
+      const noteId = mod + index;
+      const fields = [
+        vocabulary.word,
+        vocabulary.pronunciation,
+        vocabulary.definition,
+        vocabulary.example,
+        vocabulary.partOfSpeech,
+      ].map(escapeHtml);
+      const tags = vocabulary.vocabularyTag.map(({ tag: t }) => toAnkiTag(t.name));
+
+      insertNote.run(
+        toValues(NOTE_COLUMNS, {
+          id: noteId,
+          guid: vocabulary.id, // Re-importing into Anki updates the same note -- Nhập lại vào Anki sẽ cập nhật cùng note
+          mid: MODEL_ID,
+          mod: modSeconds,
+          usn: -1,
+          tags: tags.length ? ` ${tags.join(" ")} ` : "",
+          flds: fields.join(FIELD_SEPARATOR),
+          sfld: vocabulary.word,
+          csum: fieldChecksum(vocabulary.word),
+        })
+      );
+
+      const review = vocabulary.reviews[0];
+      const card = {
+        id: mod + vocabularies.length + index,
+        nid: noteId,
+        did,
+        mod: modSeconds,
+        usn: -1,
+        type: CARD_NEW,
+        queue: CARD_NEW,
+        due: index + 1, // New-card position -- Vị trí thẻ mới
+      };
+
+      if (review && review.interval >= 1) {
+        Object.assign(card, {
+          type: CARD_REVIEW,
+          queue: CARD_REVIEW,
+          due: Math.floor((review.nextReview.getTime() / 1000 - crt) / 86400), // Days since crt -- Số ngày tính từ crt
+          ivl: review.interval,
+          factor: Math.round(sm2State(review).easeFactor * 1000),
+          reps: review.repetitions,
+        });
+      }
+
+      insertCard.run(toValues(CARD_COLUMNS, card));
+    });
+
+    insertNote.free();
+    insertCard.free();
+
+    const zip = new JSZip();
+    zip.file("collection.anki2", db.export());
+    zip.file("media", "{}");
+
+    const buffer = await zip.generateAsync({
+      type: "nodebuffer",
+      compression: "DEFLATE",
+    });
+    const slug = deckName.replace(/::/g, "-").replace(/[^\w-]+/g, "_");
+
+    return { buffer, filename: `${slug}.apkg`, count: vocabularies.length };
+  } finally {
+    db.close();
+  }
+};
+
+// ==========================================
+//  IMPORT -- Nhập gói
+// ==========================================
+
+// Normalized Anki field name -> Vocabulary field -- Tên trường Anki đã chuẩn hóa -> trường Vocabulary
+const FIELD_MAP = {
+  word: "word",
+  front: "word",
+  term: "word",
+  expression: "word",
+  vocabulary: "word",
+  definition: "definition",
+  back: "definition",
+  meaning: "definition",
+  pronunciation: "pronunciation",
+  ipa: "pronunciation",
+  example: "example",
+  examplesentence: "example",
+  sentence: "example",
+  partofspeech: "partOfSpeech",
+  pos: "partOfSpeech",
+};
+
+/**
+ * Field index -> Vocabulary field for one note type -- Chỉ số trường -> trường Vocabulary cho một loại note
+ * Unknown note types fall back to first field = word, second = definition -- Loại note không xác định: trường 1 = từ, trường 2 = định nghĩa
+ */
+const fieldMapping = (model) => {
+  const names = (Array.isArray(model?.flds) ? [...model.flds] : [])
+    .sort((a, b) => a.ord - b.ord)
+    .map((field) => String(field?.name ?? ""));
+  const mapping = names.map(
+    (name) => FIELD_MAP[name.toLowerCase().replace(/[^a-z]/g, "")] ?? null
+  );
+
+  if (!mapping.includes("word")) {
+    mapping[0] = "word";
+  }
+  if (!mapping.includes("definition") && names.length > 1 && !mapping[1]) {
+    mapping[1] = "definition";
+  }
+
+  return mapping;
+};
+
+/**
+ * Open the SQLite collection inside an .apkg -- Mở bộ sưu tập SQLite trong tệp .apkg
+ */
+const openCollection = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw badRequest("Tệp .apkg không hợp lệ");
+  }
+
+  // Anki >= 2.1.50 writes a zstd collection (anki21b) plus a placeholder anki2 -- Anki >= 2.1.50 ghi collection nén zstd (anki21b) kèm một anki2 giữ chỗ
+  const file =
+    zip.file("collection.anki21") ??
+    (!zip.file("collection.anki21b") && zip.file("collection.anki2"));
+  if (!file) {
+    throw badRequest(
+      'Định dạng gói chưa được hỗ trợ, hãy xuất từ Anki với tùy chọn "Support older Anki versions"'
+    );
+  }
+
+  let data;
+  try {
+    data = await file.async("uint8array");
+  } catch {
+    throw badRequest("Tệp .apkg không hợp lệ"); // Corrupt zip entry -- Mục zip bị hỏng
+  }
+
+  const SQL = await loadSql();
+  const db = new SQL.Database(data);
+  try {
+    db.exec("SELECT count(*) FROM notes");
+  } catch {
+    db.close();
+    throw badRequest("Tệp .apkg không hợp lệ"); // Not SQLite, or no notes table -- Không phải SQLite, hoặc không có bảng notes
+  }
+  return db;
+};
+
+/**
+ * Read the col row, cards and notes of a collection -- Đọc bản ghi col, thẻ và note của bộ sưu tập
+ * Only the SQL and JSON parsing is turned into 400, anything else stays a 500 -- Chỉ lỗi SQL và phân tích JSON thành 400, lỗi khác vẫn là 500
+ *
+ * @return {{crt: number, models: Object[], cards: Object[], notes: Object[]}}
+ * @throws {HttpError} 400 for a missing table or col row, or malformed models JSON -- 400 nếu thiếu bảng hoặc bản ghi col, hoặc JSON models lỗi
+ */
+const readCollection = (db) => {
+  let col;
+  let cards;
+  let notes;
+  try {
+    [col] = selectAll(db, "SELECT crt, models FROM col");
+    cards = selectAll(db, "SELECT nid, type, due, ivl, factor, reps FROM cards WHERE ord = 0");
+    notes = selectAll(db, "SELECT id, mid, tags, flds FROM notes ORDER BY id");
+  } catch {
+    throw badRequest("Tệp .apkg không hợp lệ");
+  }
+
+  let models;
+  try {
+    models = JSON.parse(col?.models);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+  }
+
+  if (!models || typeof models !== "object") {
+    throw badRequest("Tệp .apkg không hợp lệ");
+  }
+
+  return { crt: col.crt, models: Object.values(models), cards, notes };
+};
+
+/**
+ * Rows of a query as objects -- Kết quả truy vấn dạng object
+ */
+const selectAll = (db, sql) => {
+  const statement = db.prepare(sql);
+  const rows = [];
+  while (statement.step()) {
+    rows.push(statement.getAsObject());
+  }
+  statement.free();
+  return rows;
+};
+
+/**
+ * Note -> raw vocabulary row for importVocabularyRows -- Note -> dòng từ vựng thô cho importVocabularyRows
+ */
+const noteToRow = (note, mapping, card, crt) => {
+  const values = String(note.flds ?? "").split(FIELD_SEPARATOR);
+  const row = {};
+
+  mapping.forEach((field, index) => {
+    const value = htmlToText(values[index]);
+    if (field && value && row[field] === undefined) {
+      row[field] = value;
+    }
+  });
+
+  // Light normalization toward vocabSchema -- Chuẩn hóa nhẹ theo vocabSchema
+  if (row.pronunciation) {
+    row.pronunciation = `/${row.pronunciation.replace(/^[/[]|[/\]]$/g, "")}/`;
+  }
+  if (row.definition) {
+    row.definition = row.definition.charAt(0).toUpperCase() + row.definition.slice(1);
+  }
+  if (row.partOfSpeech && !PARTS_OF_SPEECH.includes(row.partOfSpeech.toLowerCase())) {
+    delete row.partOfSpeech;
+  }
+
+  row.tags = String(note.tags ?? "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(fromAnkiTag)
+    .join(";");
+
+  // Review cards carry their SM-2 state -- Thẻ đang ôn mang theo trạng thái SM-2
+  if (card?.type === CARD_REVIEW && card.ivl > 0) {
+    const nextReview = new Date((crt + card.due * 86400) * 1000);
+    row.review = {
+      algorithm: "sm2",
+      easeFactor: Math.max(MIN_EASE_FACTOR, (card.factor || 2500) / 1000),
+      interval: card.ivl,
+      repetitions: card.reps,
+      nextReview,
+      lastReviewed: new Date(nextReview.getTime() - card.ivl * DAY_MS),
+    };
+  }
+
+  return row;
+};
+
+/**
+ * Import an Anki package -- Nhập gói Anki
+ * Rows go through the same validation and duplicate checks as the CSV import -- Các dòng được xác thực và kiểm tra trùng giống nhập CSV
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Buffer} buffer - Uploaded .apkg -- Tệp .apkg đã tải lên
+ * @return {Promise<Object>} Report { summary, imported, duplicates, rejected }, rows are note numbers -- Báo cáo, số dòng là thứ tự note
+ */
+export const importAnkiPackage = async (prisma, userId, buffer) => {
+  const db = await openCollection(buffer);
+
+  let collection;
+  try {
+    collection = readCollection(db);
+  } finally {
+    db.close();
+  }
+
+  const { crt, models, cards, notes } = collection;
+  const mappings = new Map(
+    models.map((model) => [String(model?.id), fieldMapping(model)])
+  );
+  const cardsByNote = new Map(cards.map((card) => [card.nid, card]));
+  const rows = notes.map((note) =>
+    noteToRow(
+      note,
+      mappings.get(String(note.mid)) ?? fieldMapping(null),
+      cardsByNote.get(note.id),
+      crt
+    )
+  );
+
+  return importVocabularyRows(prisma, userId, rows, { source: "anki" });
+};
@@ -0,0 +1,87 @@
+import { tooManyRequests } from "../utils/errors.js";
+import { DAY_MS } from "../utils/date.js";
+
+// ==========================================
+//  API USAGE QUOTA -- Hạn mức sử dụng API bên ngoài
+// ==========================================
+//
+// One ApiUsage row per (endpoint, UTC day), `count` is the number of calls -- Mỗi (endpoint, ngày UTC) một bản ghi ApiUsage, `count` là số lần gọi
+
+/**
+ * Midnight UTC of the day containing `date` -- Nửa đêm UTC của ngày chứa `date`
+ * @param {Date} [date]
+ * @return {Date}
+ */
+export const startOfUtcDay = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Atomically count one call against today's quota -- Ghi nhận một lần gọi vào hạn mức hôm nay một cách nguyên tử
+ *
+ * The conditional increment (count < limit) is a single UPDATE, -- Lệnh tăng có điều kiện (count < limit) là một câu UPDATE duy nhất,
+ * so concurrent requests can never go over the limit -- nên các request đồng thời không thể vượt hạn mức
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} endpoint - Quota key, e.g. "wordsapi:/words" -- Khóa hạn mức
+ * @param {number} limit - Calls allowed per UTC day -- Số lần gọi cho phép mỗi ngày UTC
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<void>}
+ * @throws {HttpError} 429 when the quota is used up -- 429 khi đã hết hạn mức
+ */
+export const reserveApiQuota = async (prisma, endpoint, limit, now = new Date()) => {
+  const date = startOfUtcDay(now);
+
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const { count } = await prisma.apiUsage.updateMany({
+      where: { endpoint, date, count: { lt: limit } },
+      data: { count: { increment: 1 } },
+    });
+
+    if (count === 1) {
+      return;
+    }
+
+    const existing = await prisma.apiUsage.findUnique({
+      where: { endpoint_date: { endpoint, date } },
+      select: { id: true },
+    });
+
+    if (existing) {
+      break; // Row exists and is full -- Bản ghi đã tồn tại và đã đầy
+    }
+
+    try {
+      await prisma.apiUsage.create({ data: { endpoint, date, count: 1 } });
+      return;
+    } catch (error) {
+      // Another request created the row first: retry the increment -- Request khác đã tạo bản ghi trước: thử tăng lại
+      if (error.code !== "P2002") {
+        throw error;
+      }
+    }
+  }
+
+  const retryAfter = Math.ceil(
+    (date.getTime() + DAY_MS - now.getTime()) / 1000
+  );
+  throw tooManyRequests(
+    "Đã hết hạn mức sử dụng hôm nay, vui lòng thử lại vào ngày mai",
+    retryAfter
+  );
+};
+
+/**
+ * Give back a call reserved by reserveApiQuota -- Trả lại một lần gọi đã giữ bằng reserveApiQuota
+ * Used when the provider call failed, so an outage does not use up the quota -- Dùng khi gọi nhà cung cấp thất bại, để sự cố không làm hết hạn mức
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} endpoint - Quota key -- Khóa hạn mức
+ * @param {Date} [now] - Time passed to reserveApiQuota -- Thời điểm đã truyền cho reserveApiQuota
+ * @return {Promise<void>}
+ */
+export const releaseApiQuota = async (prisma, endpoint, now = new Date()) => {
+  await prisma.apiUsage.updateMany({
+    where: { endpoint, date: startOfUtcDay(now), count: { gt: 0 } },
+    data: { count: { decrement: 1 } },
+  });
+};
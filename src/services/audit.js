@@ -0,0 +1,101 @@
+import logger, { logAuditEvent } from "../utils/logger.js";
+
+// ==========================================
+//  AUDIT LOG -- Nhật ký thao tác quản trị
+// ==========================================
+//
+// Append-only: rows are never updated or deleted by the API -- Chỉ ghi thêm: API không bao giờ sửa hoặc xóa bản ghi
+// actorId has no foreign key, so entries outlive deleted accounts -- actorId không có khóa ngoại, nên bản ghi còn lại khi tài khoản bị xóa
+
+/**
+ * Record one administrative action -- Ghi lại một thao tác quản trị
+ *
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {Object} entry
+ * @param {{id: string, ip?: string}} entry.actor - Who acted -- Người thực hiện
+ * @param {string} entry.action - e.g. "users.disable"
+ * @param {string} [entry.targetType] - e.g. "user"
+ * @param {string} [entry.targetId] - Affected record -- Bản ghi bị tác động
+ * @param {Object} [entry.details] - Extra data, stored as JSON -- Dữ liệu thêm, lưu dạng JSON
+ * @return {Promise<Object>} AuditLog row -- Bản ghi AuditLog
+ */
+export const recordAudit = async (
+  prisma,
+  { actor, action, targetType = null, targetId = null, details = null }
+) => {
+  const entry = await prisma.auditLog.create({
+    data: {
+      actorId: actor.id,
+      action,
+      targetType,
+      targetId,
+      details: details ? JSON.stringify(details) : null,
+      ip: actor.ip ?? null,
+    },
+  });
+
+  logger.info("Audit", { actorId: actor.id, action, targetType, targetId });
+  logAuditEvent({
+    actorId: actor.id,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: actor.ip ?? null,
+  });
+  return entry;
+};
+
+const parseDetails = (details) => {
+  try {
+    return details ? JSON.parse(details) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * List audit entries, newest first -- Liệt kê nhật ký, mới nhất trước
+ * Reading the log is itself audited -- Việc đọc nhật ký cũng được ghi lại
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} actor - { id, ip } of the reader -- của người đọc
+ * @param {Object} options - { page, limit, actorId, action, targetId, startDate, endDate } from auditLogQuerySchema
+ * @return {Promise<{data: Array, pagination: Object}>}
+ */
+export const listAuditLogs = async (prisma, actor, options) => {
+  const { page, limit, actorId, action, targetId, startDate, endDate } = options;
+  const where = {
+    ...(actorId && { actorId }),
+    ...(action && { action }),
+    ...(targetId && { targetId }),
+    ...((startDate || endDate) && {
+      createdAt: {
+        ...(startDate && { gte: startDate }),
+        ...(endDate && { lte: endDate }),
+      },
+    }),
+  };
+
+  const [total, rows] = await Promise.all([
+    prisma.auditLog.count({ where }),
+    prisma.auditLog.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  await recordAudit(prisma, { actor, action: "auditLogs.read", details: options });
+
+  return {
+    data: rows.map((row) => ({ ...row, details: parseDetails(row.details) })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
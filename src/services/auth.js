@@ -0,0 +1,121 @@
+import bcrypt from "bcryptjs";
+import logger from "../utils/logger.js";
+import { conflict, forbidden } from "../utils/errors.js";
+import { checkExists } from "../utils/validation.js";
+import { normalizeRole } from "../config/roles.js";
+
+// ==========================================
+//  LOCAL AUTHENTICATION SERVICE -- Dịch vụ xác thực email/mật khẩu
+// ==========================================
+
+export const BCRYPT_ROUNDS = 12; // bcrypt cost factor -- Hệ số chi phí bcrypt
+
+// Compared against when the email is unknown, so timing does not reveal registered emails -- Dùng để so sánh khi email không tồn tại, tránh lộ email đã đăng ký qua thời gian phản hồi
+let dummyHash = null;
+const getDummyHash = async () =>
+  (dummyHash ??= await bcrypt.hash("vocalpro-dummy-password", BCRYPT_ROUNDS));
+
+/**
+ * Hash a password with bcrypt -- Băm mật khẩu bằng bcrypt
+ * @param {string} password - Plain password -- Mật khẩu gốc
+ * @return {Promise<string>} bcrypt hash -- Chuỗi băm bcrypt
+ */
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Compare a password against a stored hash -- So sánh mật khẩu với chuỗi băm đã lưu
+ * @param {string} password - Plain password -- Mật khẩu gốc
+ * @param {string|null} passwordHash - Stored hash -- Chuỗi băm đã lưu
+ * @return {Promise<boolean>} True if they match -- true nếu khớp
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  const matches = await bcrypt.compare(
+    password,
+    passwordHash || (await getDummyHash())
+  );
+  return matches && !!passwordHash;
+};
+
+/**
+ * Strip secrets from a User row -- Loại bỏ thông tin bí mật khỏi bản ghi User
+ * @param {Object} user - User row -- Bản ghi User
+ * @return {Object} Public user -- Thông tin người dùng công khai
+ */
+export const toPublicUser = ({ passwordHash, googleId, settings, ...user }) => ({
+  ...user,
+  role: normalizeRole(user.role),
+  hasPassword: !!passwordHash,
+  googleLinked: !!googleId,
+});
+
+/**
+ * Refuse accounts disabled by an administrator -- Từ chối tài khoản bị quản trị viên vô hiệu hóa
+ * @param {Object} user - User row -- Bản ghi User
+ * @throws {HttpError} 403 if disabled -- 403 nếu bị vô hiệu hóa
+ */
+export const assertActive = (user) => {
+  if (user.disabledAt) {
+    throw forbidden("Tài khoản đã bị vô hiệu hóa");
+  }
+};
+
+/**
+ * Register a user with email/password -- Đăng ký người dùng bằng email/mật khẩu
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} data - Body validated by registerSchema -- Body đã xác thực bằng registerSchema
+ * @return {Promise<Object>} Created User row -- Bản ghi User vừa tạo
+ * @throws {HttpError} 409 if the email is taken -- 409 nếu email đã được dùng
+ */
+export const registerUser = async (prisma, { email, password, name }) => {
+  if (await checkExists(prisma, "user", "email", email)) {
+    throw conflict("Email đã được đăng ký");
+  }
+
+  try {
+    const user = await prisma.user.create({
+      data: {
+        email,
+        name: name || null,
+        passwordHash: await hashPassword(password),
+      },
+    });
+
+    logger.info("User registered", { userId: user.id });
+
+    return user;
+  } catch (error) {
+    // Two registrations racing for the same email -- Hai lượt đăng ký cùng email đồng thời
+    if (error.code === "P2002") {
+      throw conflict("Email đã được đăng ký");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the user matching email/password -- Tìm người dùng khớp email/mật khẩu
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} email - Normalized email -- Email đã chuẩn hóa
+ * @param {string} password - Plain password -- Mật khẩu gốc
+ * @return {Promise<Object|null>} User row, or null if the credentials are wrong -- Bản ghi User, hoặc null nếu sai thông tin
+ * @throws {HttpError} 403 if disabled or a password reset is required -- 403 nếu bị vô hiệu hóa hoặc phải đặt lại mật khẩu
+ */
+export const authenticateLocal = async (prisma, email, password) => {
+  const user = await prisma.user.findUnique({ where: { email } });
+
+  if (!(await verifyPassword(password, user?.passwordHash))) {
+    return null;
+  }
+
+  // Checked after the password so the status of unknown credentials is not revealed -- Kiểm tra sau mật khẩu để không lộ trạng thái tài khoản khi sai thông tin
+  assertActive(user);
+  if (user.mustResetPassword) {
+    throw forbidden(
+      "Bạn cần đặt lại mật khẩu trước khi đăng nhập, vui lòng kiểm tra email"
+    );
+  }
+
+  return user;
+};
@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+import { badRequest } from "../utils/errors.js";
+import { hashPassword } from "./auth.js";
+import { sendMail } from "./mailer.js";
+import { revokeOtherSessions } from "./sessions.js";
+
+// ==========================================
+//  AUTH TOKENS -- Token đặt lại mật khẩu và xác minh email
+// ==========================================
+//
+// Tokens are random 64-char hex strings (passwordResetConfirmationSchema accepts 32-64), -- Token là chuỗi hex ngẫu nhiên 64 ký tự,
+// only their SHA-256 hash is stored, and each one can be used once before it expires -- chỉ lưu SHA-256, mỗi token dùng được một lần trước khi hết hạn
+
+export const TOKEN_TYPES = Object.freeze({
+  PASSWORD_RESET: "PASSWORD_RESET",
+  EMAIL_VERIFICATION: "EMAIL_VERIFICATION",
+});
+
+export const TOKEN_TTL = Object.freeze({
+  [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000, // 1 hour -- 1 giờ
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000, // 24 hours -- 24 giờ
+});
+
+const INVALID_TOKEN_MESSAGE = "Token không hợp lệ hoặc đã hết hạn";
+
+/**
+ * SHA-256 of a token -- Băm SHA-256 của token
+ * @param {string} token - Raw token -- Token gốc
+ * @return {string} Hex digest -- Chuỗi hex
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a new token, revoking the user's older unused tokens of the same type -- Tạo token mới, thu hồi các token cũ chưa dùng cùng loại
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} type - One of TOKEN_TYPES -- Một trong TOKEN_TYPES
+ * @return {Promise<string>} Raw token (send it, never store it) -- Token gốc (chỉ gửi đi, không lưu)
+ */
+export const issueToken = async (prisma, userId, type) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now },
+    }),
+    prisma.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL[type]),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Redeem a token exactly once -- Sử dụng token đúng một lần
+ * The conditional update makes concurrent redemptions safe -- Câu lệnh update có điều kiện đảm bảo an toàn khi dùng đồng thời
+ *
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {string} token - Raw token -- Token gốc
+ * @param {string} type - One of TOKEN_TYPES -- Một trong TOKEN_TYPES
+ * @return {Promise<string>} userId of the token -- userId của token
+ * @throws {HttpError} 400 if invalid, used or expired -- 400 nếu không hợp lệ, đã dùng hoặc hết hạn
+ */
+export const consumeToken = async (prisma, token, type) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const { count } = await prisma.authToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now },
+  });
+
+  if (count !== 1) {
+    throw badRequest(INVALID_TOKEN_MESSAGE);
+  }
+
+  const { userId } = await prisma.authToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true },
+  });
+
+  return userId;
+};
+
+/**
+ * Link to a frontend page carrying the token -- Đường dẫn tới trang frontend kèm token
+ */
+const clientLink = (pathname, token) =>
+  `${process.env.CLIENT_URL || process.env.BASE_URL || ""}${pathname}?token=${token}`;
+
+// ==========================================
+//  PASSWORD RESET -- Đặt lại mật khẩu
+// ==========================================
+
+/**
+ * Email a password reset link -- Gửi email chứa liên kết đặt lại mật khẩu
+ * Unknown emails are ignored silently, so the API does not reveal who is registered -- Email không tồn tại được bỏ qua, để API không tiết lộ ai đã đăng ký
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} email - Normalized email -- Email đã chuẩn hóa
+ */
+export const requestPasswordReset = async (prisma, email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true, email: true },
+  });
+
+  if (!user) {
+    logger.debug("Password reset requested for unknown email");
+    return;
+  }
+
+  await sendPasswordResetLink(prisma, user);
+  logger.info("Password reset requested", { userId: user.id });
+};
+
+/**
+ * Issue a password reset token and email its link -- Tạo token đặt lại mật khẩu và gửi liên kết qua email
+ * Also used when an administrator forces a reset -- Cũng được dùng khi quản trị viên bắt buộc đặt lại mật khẩu
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {{id: string, email: string}} user - Recipient -- Người nhận
+ */
+export const sendPasswordResetLink = async (prisma, user) => {
+  const token = await issueToken(prisma, user.id, TOKEN_TYPES.PASSWORD_RESET);
+  const link = clientLink("/reset-password", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "VocalPro - Đặt lại mật khẩu",
+    text: `Nhấn vào liên kết sau để đặt lại mật khẩu (hết hạn sau 1 giờ): ${link}\n\nNếu bạn không yêu cầu, hãy bỏ qua email này.`,
+  });
+};
+
+/**
+ * Set a new password from a reset token -- Đặt mật khẩu mới bằng token đặt lại
+ * Every other session of the user is revoked -- Mọi phiên đăng nhập khác của người dùng bị thu hồi
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} token - Raw token -- Token gốc
+ * @param {string} newPassword - New password -- Mật khẩu mới
+ * @param {string|null} [keepSid] - Caller's session to keep -- Phiên hiện tại cần giữ lại
+ * @return {Promise<string>} userId
+ */
+export const resetPassword = async (prisma, token, newPassword, keepSid = null) => {
+  const passwordHash = await hashPassword(newPassword);
+
+  const userId = await prisma.$transaction(async (tx) => {
+    const id = await consumeToken(tx, token, TOKEN_TYPES.PASSWORD_RESET);
+    await tx.user.update({
+      where: { id },
+      data: { passwordHash, mustResetPassword: false },
+    });
+    return id;
+  });
+
+  await revokeOtherSessions(prisma, userId, keepSid);
+  logger.info("Password reset completed", { userId });
+
+  return userId;
+};
+
+// ==========================================
+//  EMAIL VERIFICATION -- Xác minh email
+// ==========================================
+
+/**
+ * Email a verification link -- Gửi email chứa liên kết xác minh
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} user - User row -- Bản ghi User
+ */
+export const sendEmailVerification = async (prisma, user) => {
+  if (user.emailVerified) {
+    throw badRequest("Email đã được xác minh");
+  }
+
+  const token = await issueToken(prisma, user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+  const link = clientLink("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "VocalPro - Xác minh email",
+    text: `Nhấn vào liên kết sau để xác minh email (hết hạn sau 24 giờ): ${link}`,
+  });
+
+  logger.info("Email verification sent", { userId: user.id });
+};
+
+/**
+ * Mark the email as verified from a token -- Đánh dấu email đã xác minh bằng token
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} token - Raw token -- Token gốc
+ * @return {Promise<Object>} Updated User row -- Bản ghi User sau cập nhật
+ */
+export const verifyEmail = async (prisma, token) =>
+  prisma.$transaction(async (tx) => {
+    const userId = await consumeToken(tx, token, TOKEN_TYPES.EMAIL_VERIFICATION);
+    const user = await tx.user.update({
+      where: { id: userId },
+      data: { emailVerified: true },
+    });
+    logger.info("Email verified", { userId });
+    return user;
+  });
@@ -0,0 +1,106 @@
+import logger from "../utils/logger.js";
+import { notFound } from "../utils/errors.js";
+import { findOwnTag, moveTagLinks } from "./tags.js";
+
+// ==========================================
+//  DELETION SERVICE -- Dịch vụ xóa dữ liệu
+// ==========================================
+//
+// Three relations in schema.prisma do not cascade -- Ba quan hệ trong schema.prisma không cascade:
+//   Tag -> VocabularyTag (NoAction): links must go before the tag -- liên kết phải xóa trước tag
+//   User -> Review (NoAction): reviews must go before the user -- review phải xóa trước user
+//   User -> ReviewLog (NoAction): review logs must go before the user -- lịch sử ôn tập phải xóa trước user
+// Everything below deletes dependents first, inside one transaction -- Mọi hàm dưới đây xóa bản ghi phụ thuộc trước, trong một transaction
+
+/**
+ * Delete a tag, detaching it or moving its words to another tag -- Xóa tag, gỡ khỏi từ vựng hoặc chuyển từ vựng sang tag khác
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Tag to delete -- Tag cần xóa
+ * @param {Object} [options]
+ * @param {string} [options.reassignTo] - Tag that takes over the links -- Tag nhận lại các liên kết
+ * @return {Promise<{detached: number, reassigned: number}>} Links removed and links moved -- Số liên kết bị gỡ và được chuyển
+ */
+export const deleteTag = async (prisma, userId, id, { reassignTo } = {}) => {
+  const result = await prisma.$transaction(async (tx) => {
+    await findOwnTag(tx, userId, id);
+
+    let reassigned = 0;
+    let detached;
+    if (reassignTo) {
+      await findOwnTag(tx, userId, reassignTo);
+      reassigned = await moveTagLinks(tx, id, reassignTo);
+      detached = 0;
+    } else {
+      ({ count: detached } = await tx.vocabularyTag.deleteMany({
+        where: { tagId: id },
+      }));
+    }
+
+    await tx.tag.delete({ where: { id } });
+    return { detached, reassigned };
+  });
+
+  logger.info("Tag deleted", { userId, tagId: id, reassignTo, ...result });
+  return result;
+};
+
+/**
+ * Delete a user and everything they own -- Xóa người dùng và mọi dữ liệu của họ
+ *
+ * Order -- Thứ tự:
+ * 1. VocabularyTag of the user's tags (NoAction) -- liên kết tag của người dùng
+ * 2. Review, ReviewLog (NoAction on User) -- review và lịch sử ôn tập
+ * 3. Vocabulary, Tag, DailyProgress, StreakFreeze, Session, AuthToken
+ * 4. User
+ * Progress, freezes, sessions and tokens would cascade, they are listed so the order never depends on SQL Server -- Session và token vốn cascade, được xóa rõ ràng để thứ tự không phụ thuộc SQL Server
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @return {Promise<Object>} Deleted row counts per model -- Số bản ghi đã xóa theo model
+ */
+export const deleteUserAccount = async (prisma, userId) => {
+  const counts = await prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!user) {
+      throw notFound("Không tìm thấy người dùng");
+    }
+
+    const vocabularyTags = await tx.vocabularyTag.deleteMany({
+      where: { OR: [{ tag: { userId } }, { vocabulary: { userId } }] },
+    });
+    const reviews = await tx.review.deleteMany({ where: { userId } });
+    const reviewLogs = await tx.reviewLog.deleteMany({ where: { userId } });
+    const vocabularies = await tx.vocabulary.deleteMany({ where: { userId } });
+    const tags = await tx.tag.deleteMany({ where: { userId } });
+    const dailyProgress = await tx.dailyProgress.deleteMany({
+      where: { userId },
+    });
+    const streakFreezes = await tx.streakFreeze.deleteMany({
+      where: { userId },
+    });
+    const sessions = await tx.session.deleteMany({ where: { userId } });
+    const authTokens = await tx.authToken.deleteMany({ where: { userId } });
+    await tx.user.delete({ where: { id: userId } });
+
+    return {
+      vocabularyTags: vocabularyTags.count,
+      reviews: reviews.count,
+      reviewLogs: reviewLogs.count,
+      vocabularies: vocabularies.count,
+      tags: tags.count,
+      dailyProgress: dailyProgress.count,
+      streakFreezes: streakFreezes.count,
+      sessions: sessions.count,
+      authTokens: authTokens.count,
+    };
+  });
+
+  logger.info("User account deleted", { userId, ...counts });
+  return counts;
+};
@@ -0,0 +1,196 @@
+import fetch from "node-fetch";
+import logger from "../utils/logger.js";
+import { HttpError, notFound } from "../utils/errors.js";
+import { DAY_MS } from "../utils/date.js";
+import { PARTS_OF_SPEECH } from "../utils/validation.js";
+import { releaseApiQuota, reserveApiQuota } from "./apiUsage.js";
+import { getVocabulary, withSearchText } from "./vocabulary.js";
+
+// ==========================================
+//  DICTIONARY LOOKUP -- Tra từ điển
+// ==========================================
+//
+// Provider: WordsAPI via RapidAPI (RAPIDAPI_KEY) -- Nhà cung cấp: WordsAPI qua RapidAPI
+// DICTIONARY_API_URL points it at a local fixture server (scripts/dictionary-fixture-server.js) -- trỏ tới server dữ liệu mẫu cục bộ
+// Results are cached in DictionaryCache, and every answered provider call counts against ApiUsage -- Kết quả được cache trong DictionaryCache, mỗi lần provider trả lời được tính vào ApiUsage
+
+const WORDSAPI_URL = "https://wordsapiv1.p.rapidapi.com";
+const WORDSAPI_HOST = "wordsapiv1.p.rapidapi.com";
+
+export const DICTIONARY_ENDPOINT = "wordsapi:/words"; // ApiUsage.endpoint
+export const CACHE_TTL = 30 * DAY_MS; // Found words -- Từ tìm thấy
+export const MISS_TTL = DAY_MS; // Unknown words -- Từ không tìm thấy
+
+const dailyQuota = () => Number(process.env.DICTIONARY_DAILY_QUOTA) || 2500; // WordsAPI free plan -- Gói miễn phí WordsAPI
+
+/**
+ * Map a WordsAPI response to Vocabulary fields -- Chuyển phản hồi WordsAPI sang các trường Vocabulary
+ * Values follow vocabSchema: IPA in slashes, capitalized definition, known part of speech -- Giá trị theo vocabSchema
+ *
+ * @param {Object} json - WordsAPI /words/{word} body
+ * @return {Object} { pronunciation, definition, partOfSpeech, example }
+ */
+export const mapWordsApiEntry = (json) => {
+  const word = String(json.word || "").toLowerCase();
+  const results = json.results ?? [];
+  const first = results.find((result) => result.definition) ?? {};
+  const ipa =
+    typeof json.pronunciation === "string"
+      ? json.pronunciation
+      : json.pronunciation?.all ?? Object.values(json.pronunciation ?? {})[0];
+  const definition = first.definition?.trim();
+  const example = results
+    .flatMap((result) => result.examples ?? [])
+    .find((sentence) => sentence.toLowerCase().includes(word));
+
+  return {
+    pronunciation: ipa ? `/${ipa.replace(/^\/|\/$/g, "")}/` : null,
+    definition: definition
+      ? definition.charAt(0).toUpperCase() + definition.slice(1)
+      : null,
+    partOfSpeech: PARTS_OF_SPEECH.includes(first.partOfSpeech)
+      ? first.partOfSpeech
+      : null,
+    example: example
+      ? example.charAt(0).toUpperCase() + example.slice(1)
+      : null,
+  };
+};
+
+/**
+ * WordsAPI provider -- Nhà cung cấp WordsAPI
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API base URL (fixture server in tests) -- URL gốc (server mẫu khi kiểm thử)
+ * @param {string} [options.apiKey] - RapidAPI key
+ * @return {{name: string, lookup: Function}} lookup(word) resolves to fields or null if unknown -- lookup(word) trả về các trường hoặc null nếu không có
+ */
+export const createWordsApiProvider = ({
+  baseUrl = process.env.DICTIONARY_API_URL || WORDSAPI_URL,
+  apiKey = process.env.RAPIDAPI_KEY,
+} = {}) => ({
+  name: "wordsapi",
+  lookup: async (word) => {
+    const response = await fetch(
+      `${baseUrl.replace(/\/$/, "")}/words/${encodeURIComponent(word)}`,
+      {
+        headers: {
+          "X-RapidAPI-Key": apiKey || "",
+          "X-RapidAPI-Host": WORDSAPI_HOST,
+        },
+      }
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Dictionary provider responded ${response.status}`);
+    }
+
+    return mapWordsApiEntry(await response.json());
+  },
+});
+
+let provider = createWordsApiProvider();
+
+/**
+ * Replace the dictionary provider -- Thay nhà cung cấp từ điển
+ * @param {{lookup: Function}} nextProvider - Object with lookup(word) -- Object có lookup(word)
+ */
+export const setDictionaryProvider = (nextProvider) => {
+  if (typeof nextProvider?.lookup !== "function") {
+    throw new TypeError("Dictionary provider must implement lookup(word)");
+  }
+  provider = nextProvider;
+};
+
+/**
+ * Look up a word, cache first -- Tra một từ, ưu tiên cache
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} rawWord - Word to look up -- Từ cần tra
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} { word, pronunciation, definition, partOfSpeech, example, cached }
+ * @throws {HttpError} 404 unknown word, 429 quota reached, 502 provider failure -- 404 không có từ, 429 hết hạn mức, 502 lỗi nhà cung cấp
+ */
+export const lookupWord = async (prisma, rawWord, now = new Date()) => {
+  const word = rawWord.trim().toLowerCase();
+
+  const cached = await prisma.dictionaryCache.findUnique({ where: { word } });
+  if (cached && cached.expiresAt > now) {
+    if (!cached.found) {
+      throw notFound(`Không tìm thấy từ "${word}" trong từ điển`);
+    }
+    return { word, ...JSON.parse(cached.data), cached: true };
+  }
+
+  await reserveApiQuota(prisma, DICTIONARY_ENDPOINT, dailyQuota(), now);
+
+  let entry;
+  try {
+    entry = await provider.lookup(word);
+  } catch (error) {
+    logger.error("Dictionary lookup failed", { word, error: error.message });
+    // Network errors and 5xx are not counted against the quota -- Lỗi mạng và 5xx không bị tính vào hạn mức
+    await releaseApiQuota(prisma, DICTIONARY_ENDPOINT, now).catch((releaseError) =>
+      logger.error("Could not release dictionary quota", { error: releaseError.message })
+    );
+    throw new HttpError(502, "Bad Gateway", "Không thể kết nối tới dịch vụ từ điển");
+  }
+
+  const data = {
+    found: !!entry,
+    data: entry ? JSON.stringify(entry) : null,
+    expiresAt: new Date(now.getTime() + (entry ? CACHE_TTL : MISS_TTL)),
+  };
+  await prisma.dictionaryCache.upsert({
+    where: { word },
+    update: data,
+    create: { word, ...data },
+  });
+
+  if (!entry) {
+    throw notFound(`Không tìm thấy từ "${word}" trong từ điển`);
+  }
+
+  return { word, ...entry, cached: false };
+};
+
+/**
+ * Fill the empty dictionary fields of a vocabulary -- Điền các trường từ điển còn trống của một từ vựng
+ * Fields the user already wrote are never overwritten -- Không ghi đè các trường người dùng đã nhập
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} vocabularyId - Vocabulary ID -- ID từ vựng
+ * @return {Promise<{vocabulary: Object, filled: string[]}>} Updated vocabulary and filled fields -- Từ vựng sau cập nhật và các trường đã điền
+ */
+export const autofillVocabulary = async (prisma, userId, vocabularyId) => {
+  const vocabulary = await prisma.vocabulary.findFirst({
+    where: { id: vocabularyId, userId },
+  });
+
+  if (!vocabulary) {
+    throw notFound("Không tìm thấy từ vựng");
+  }
+
+  const entry = await lookupWord(prisma, vocabulary.word);
+  const data = Object.fromEntries(
+    ["pronunciation", "definition", "partOfSpeech", "example"]
+      .filter((field) => !vocabulary[field] && entry[field])
+      .map((field) => [field, entry[field]])
+  );
+
+  if (Object.keys(data).length) {
+    await prisma.vocabulary.update({
+      where: { id: vocabularyId },
+      data: withSearchText(data, vocabulary),
+    });
+  }
+
+  return {
+    vocabulary: await getVocabulary(prisma, userId, vocabularyId),
+    filled: Object.keys(data),
+  };
+};
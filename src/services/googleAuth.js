@@ -0,0 +1,123 @@
+import logger from "../utils/logger.js";
+import { badRequest, conflict, notFound } from "../utils/errors.js";
+
+// ==========================================
+//  GOOGLE ACCOUNT SERVICE -- Dịch vụ tài khoản Google
+// ==========================================
+
+/**
+ * Read the primary email of a Google profile -- Đọc email chính của hồ sơ Google
+ * @param {Object} profile - passport-google-oauth20 profile -- Hồ sơ từ passport-google-oauth20
+ * @return {{email: string|null, verified: boolean}}
+ */
+const primaryEmail = (profile) => {
+  const entry = profile.emails?.[0];
+  return {
+    email: entry?.value ? entry.value.trim().toLowerCase() : null,
+    // Google sends a boolean, some mocks send "true" -- Google gửi boolean, một số mock gửi "true"
+    verified: entry?.verified === true || entry?.verified === "true",
+  };
+};
+
+/**
+ * Find, link or create the user for a Google sign-in -- Tìm, liên kết hoặc tạo người dùng khi đăng nhập Google
+ *
+ * 1. Logged-in user: link Google to the current account -- Đã đăng nhập: liên kết Google với tài khoản hiện tại
+ * 2. Known googleId: sign in -- googleId đã biết: đăng nhập
+ * 3. Verified email of an existing account: link it -- Email đã xác minh trùng tài khoản có sẵn: liên kết
+ * 4. Otherwise create a new account -- Ngược lại tạo tài khoản mới
+ * Unverified Google emails are never used to link or create accounts -- Email Google chưa xác minh không bao giờ được dùng để liên kết hoặc tạo tài khoản
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} profile - Google profile -- Hồ sơ Google
+ * @param {Object|null} [currentUser] - Logged-in user, if any -- Người dùng đang đăng nhập (nếu có)
+ * @return {Promise<Object>} User row -- Bản ghi User
+ */
+export const findOrCreateGoogleUser = async (prisma, profile, currentUser = null) => {
+  const googleId = profile.id;
+  const owner = await prisma.user.findFirst({ where: { googleId } });
+
+  if (currentUser) {
+    if (owner && owner.id !== currentUser.id) {
+      throw conflict("Tài khoản Google này đã được liên kết với người dùng khác");
+    }
+    if (currentUser.googleId && currentUser.googleId !== googleId) {
+      throw conflict("Tài khoản của bạn đã liên kết với một tài khoản Google khác");
+    }
+    if (currentUser.googleId === googleId) {
+      return currentUser; // Already linked, e.g. a re-authentication -- Đã liên kết, ví dụ khi đăng nhập lại
+    }
+
+    const user = await prisma.user.update({
+      where: { id: currentUser.id },
+      data: { googleId },
+    });
+    logger.info("Google account linked", { userId: user.id });
+    return user;
+  }
+
+  if (owner) {
+    return owner;
+  }
+
+  const { email, verified } = primaryEmail(profile);
+
+  if (!email || !verified) {
+    throw badRequest("Email Google chưa được xác minh");
+  }
+
+  const existing = await prisma.user.findUnique({ where: { email } });
+
+  if (existing) {
+    if (existing.googleId) {
+      throw conflict("Email này đã liên kết với một tài khoản Google khác");
+    }
+
+    const user = await prisma.user.update({
+      where: { id: existing.id },
+      data: { googleId, emailVerified: true },
+    });
+    logger.info("Google account linked by verified email", { userId: user.id });
+    return user;
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      email,
+      name: profile.displayName || null,
+      googleId,
+      emailVerified: true,
+    },
+  });
+  logger.info("User registered with Google", { userId: user.id });
+  return user;
+};
+
+/**
+ * Unlink Google from an account -- Hủy liên kết Google khỏi tài khoản
+ * Only allowed while a password is set, so the user can still log in -- Chỉ cho phép khi đã có mật khẩu, để người dùng vẫn đăng nhập được
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @return {Promise<Object>} Updated User row -- Bản ghi User sau cập nhật
+ */
+export const unlinkGoogle = async (prisma, userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+  if (!user.googleId) {
+    throw badRequest("Tài khoản chưa liên kết với Google");
+  }
+  if (!user.passwordHash) {
+    throw badRequest("Bạn cần đặt mật khẩu trước khi hủy liên kết Google");
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { googleId: null },
+  });
+  logger.info("Google account unlinked", { userId });
+  return updated;
+};
@@ -0,0 +1,84 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "../utils/logger.js";
+
+// ==========================================
+//  MAILER -- Gửi email
+// ==========================================
+//
+// A transport is any object with `send(message)` returning a Promise -- Transport là object bất kỳ có `send(message)` trả về Promise
+// message = { from, to, subject, text, html }
+//
+// MAIL_TRANSPORT=console (default) | file -- mặc định là console
+// Production can plug in an SMTP/API transport with setMailTransport() -- Production có thể gắn transport SMTP/API bằng setMailTransport()
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Console transport: log the email instead of sending it -- Transport console: ghi log email thay vì gửi
+ * Tokens in links are redacted by the logger, use MAIL_TRANSPORT=file to open them -- Token trong liên kết bị logger che, dùng MAIL_TRANSPORT=file để mở liên kết
+ * @return {Object} Transport
+ */
+export const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    logger.info("Email (console transport)", {
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+});
+
+/**
+ * File transport: write each email as JSON into a directory -- Transport file: ghi mỗi email thành file JSON trong thư mục
+ * @param {string} [dir] - Output directory -- Thư mục lưu
+ * @return {Object} Transport
+ */
+export const createFileTransport = (
+  dir = process.env.MAIL_DIR || path.join(__dirname, "../../tmp/mail")
+) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    logger.debug("Email written to file", { file });
+  },
+});
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let transport =
+  (TRANSPORTS[process.env.MAIL_TRANSPORT] ?? TRANSPORTS.console)();
+
+/**
+ * Replace the active transport -- Thay transport đang dùng
+ * @param {Object} nextTransport - Object with send(message) -- Object có send(message)
+ */
+export const setMailTransport = (nextTransport) => {
+  if (typeof nextTransport?.send !== "function") {
+    throw new TypeError("Mail transport must implement send(message)");
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Send an email through the active transport -- Gửi email qua transport đang dùng
+ * @param {Object} message - { to, subject, text, html? }
+ * @return {Promise<void>}
+ */
+export const sendMail = async (message) => {
+  await transport.send({
+    from: process.env.MAIL_FROM || "VocalPro <no-reply@vocalpro.local>",
+    ...message,
+  });
+};
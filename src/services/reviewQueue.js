@@ -0,0 +1,153 @@
+import logger from "../utils/logger.js";
+import { notFound } from "../utils/errors.js";
+import { readSettings } from "../utils/settings.js";
+import { localDayBounds } from "../utils/date.js";
+import { isValidUUID } from "../utils/validation.js";
+import { INCLUDE_TAGS, toVocabularyResponse } from "./vocabulary.js";
+
+// ==========================================
+//  DAILY REVIEW QUEUE -- Hàng đợi ôn tập hằng ngày
+// ==========================================
+
+// Vocabulary.difficulty (1-5) range used for new words -- Khoảng Vocabulary.difficulty (1-5) dùng cho từ mới
+export const DIFFICULTY_RANGES = Object.freeze({
+  easy: { gte: 1, lte: 2 },
+  medium: { gte: 1, lte: 4 },
+  hard: { gte: 3, lte: 5 },
+});
+
+/**
+ * Resolve queue options from User.settings -- Lấy tùy chọn hàng đợi từ User.settings
+ * @param {string|null} raw - Stored settings JSON -- Chuỗi JSON cài đặt
+ * @return {{cardsPerDay: number, dailyGoal: number, difficulty: string, timezone: string}}
+ */
+export const queueOptionsFromSettings = (raw) => {
+  const { reviewSettings, dailyGoal, timezone } = readSettings(raw);
+
+  return {
+    cardsPerDay: reviewSettings.cardsPerDay,
+    dailyGoal,
+    difficulty: reviewSettings.difficulty,
+    timezone,
+  };
+};
+
+/**
+ * Build a Prisma filter for a tag given by ID or name -- Tạo bộ lọc Prisma cho tag theo ID hoặc tên
+ * @param {string} [tag] - Tag UUID or name -- UUID hoặc tên tag
+ * @return {Object} Vocabulary where clause -- Điều kiện where của Vocabulary
+ */
+export const tagFilter = (tag) => {
+  if (!tag) {
+    return {};
+  }
+
+  const where = isValidUUID(tag)
+    ? { tagId: tag }
+    : { tag: { name: tag.trim().toUpperCase() } }; // Tag names are stored upper-case -- Tên tag được lưu chữ hoa
+
+  return { vocabularyTag: { some: where } };
+};
+
+/**
+ * Build today's study session -- Tạo phiên học của hôm nay
+ *
+ * 1. "Today" is the user's local day (settings.timezone) -- "Hôm nay" là ngày địa phương của người dùng
+ * 2. Due reviews (nextReview before the end of today), oldest first -- Các review đến hạn (nextReview trước cuối ngày), cũ nhất trước
+ * 3. New words (no Review row yet) fill the rest, capped by cardsPerDay -- Từ mới (chưa có Review) lấp phần còn lại, tối đa cardsPerDay
+ *    minus new words already started today, filtered by reviewSettings.difficulty -- trừ số từ mới đã bắt đầu hôm nay, lọc theo reviewSettings.difficulty
+ * The session is sized by dailyGoal minus answers given today (DailyProgress) -- Kích thước phiên = dailyGoal trừ số câu đã trả lời hôm nay (DailyProgress)
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Only words with this tag (ID or name) -- Chỉ các từ có tag này (ID hoặc tên)
+ * @param {Date} [options.now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} { date, timezone, due, new, progress } -- Hàng đợi của hôm nay
+ */
+export const buildDailyQueue = async (prisma, userId, { tag, now = new Date() } = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { settings: true },
+  });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  const options = queueOptionsFromSettings(user.settings);
+  const { date, start, end } = localDayBounds(now, options.timezone);
+  const vocabularyFilter = tagFilter(tag);
+
+  const [progress, startedToday] = await Promise.all([
+    // Same counter as the streak and goal endpoints (recordDailyProgress) -- Cùng bộ đếm với các endpoint chuỗi ngày và mục tiêu
+    prisma.dailyProgress.findUnique({
+      where: { userId_date: { userId, date } },
+      select: { reviews: true },
+    }),
+    prisma.review.count({
+      where: { userId, createdAt: { gte: start, lt: end } },
+    }),
+  ]);
+
+  const reviewedToday = progress?.reviews ?? 0;
+
+  const remaining = Math.max(0, options.dailyGoal - reviewedToday);
+
+  // Due reviews -- served by IX_reviews_nextReview -- Review đến hạn -- dùng IX_reviews_nextReview
+  const due = remaining
+    ? await prisma.review.findMany({
+        where: {
+          userId,
+          nextReview: { lt: end },
+          vocabulary: vocabularyFilter,
+        },
+        orderBy: { nextReview: "asc" },
+        take: remaining,
+        include: { vocabulary: { include: INCLUDE_TAGS } },
+      })
+    : [];
+
+  const newLimit = Math.min(
+    remaining - due.length,
+    Math.max(0, options.cardsPerDay - startedToday)
+  );
+
+  const fresh =
+    newLimit > 0
+      ? await prisma.vocabulary.findMany({
+          where: {
+            userId,
+            difficulty: DIFFICULTY_RANGES[options.difficulty],
+            reviews: { none: { userId } },
+            ...vocabularyFilter,
+          },
+          orderBy: { createdAt: "asc" },
+          take: newLimit,
+          include: INCLUDE_TAGS,
+        })
+      : [];
+
+  logger.debug("Built daily review queue", {
+    userId,
+    date,
+    due: due.length,
+    new: fresh.length,
+  });
+
+  return {
+    date,
+    timezone: options.timezone,
+    // Same vocabulary shape as the vocabulary API, without internal columns -- Cùng dạng từ vựng với API từ vựng, không có cột nội bộ
+    due: due.map((review) => ({
+      ...review,
+      vocabulary: toVocabularyResponse(review.vocabulary),
+    })),
+    new: fresh.map(toVocabularyResponse),
+    progress: {
+      reviewedToday,
+      dailyGoal: options.dailyGoal,
+      remaining,
+    },
+  };
+};
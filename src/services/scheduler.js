@@ -0,0 +1,169 @@
+import { createChildLogger } from "../utils/logger.js";
+import { badRequest, notFound } from "../utils/errors.js";
+import { readSettings } from "../utils/settings.js";
+import { ALGORITHM_NAMES, getAlgorithm } from "./algorithms/index.js";
+import { assertQuality } from "./algorithms/sm2.js";
+import { recordDailyProgress } from "./streaks.js";
+
+// ==========================================
+//  REVIEW SCHEDULER -- Bộ lập lịch ôn tập
+// ==========================================
+
+const logger = createChildLogger({ module: "scheduler" }); // Level: LOG_MODULE_LEVELS=scheduler=debug -- Mức log riêng
+
+/**
+ * Get the scheduling algorithm a user picked -- Lấy thuật toán lập lịch người dùng đã chọn
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {string} userId - User ID -- ID người dùng
+ * @return {Promise<Object>} Algorithm implementation -- Cài đặt thuật toán
+ */
+export const getUserAlgorithm = async (prisma, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { settings: true },
+  });
+
+  return getAlgorithm(readSettings(user?.settings).reviewSettings.algorithm);
+};
+
+/**
+ * Compute the next state of a review with a given algorithm -- Tính trạng thái tiếp theo của review bằng một thuật toán
+ * Reviews still stored under another algorithm are migrated first -- Review còn lưu theo thuật toán khác sẽ được chuyển đổi trước
+ *
+ * @param {Object} algorithm - Algorithm implementation -- Cài đặt thuật toán
+ * @param {Object|null} review - Current Review row -- Bản ghi Review hiện tại
+ * @param {number} quality - Recall quality 0-5 -- Điểm chất lượng 0-5
+ * @param {Date} [now] - Review time -- Thời điểm ôn tập
+ * @return {Object} Fields to write, including `algorithm` -- Các trường cần ghi, gồm cả `algorithm`
+ */
+export const scheduleReview = (algorithm, review, quality, now = new Date()) => {
+  assertQuality(quality);
+
+  const current =
+    review && review.algorithm !== algorithm.name
+      ? { ...review, ...algorithm.migrate(review) }
+      : review;
+
+  return { ...algorithm.next(current, quality, now), algorithm: algorithm.name };
+};
+
+/**
+ * Apply a batchReviewSchema payload in one transaction -- Áp dụng payload batchReviewSchema trong một transaction
+ *
+ * Every vocabulary must belong to the user, otherwise the whole batch is rolled back -- Mọi từ vựng phải thuộc về người dùng, nếu không toàn bộ lô bị hoàn tác
+ * Items are applied in order, so repeated vocabularyIds build on each other -- Các phần tử được áp dụng theo thứ tự, vocabularyId lặp lại sẽ cộng dồn
+ * Every answer is also appended to ReviewLog and counted towards today's goal -- Mỗi câu trả lời cũng được ghi thêm vào ReviewLog và tính vào mục tiêu hôm nay
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - Owner of the reviews -- Chủ sở hữu các lượt ôn tập
+ * @param {Array<{vocabularyId: string, quality: number, responseTimeMs?: number}>} reviews - Validated batch -- Lô đã được xác thực
+ * @param {Date} [now] - Review time -- Thời điểm ôn tập
+ * @return {Promise<Array>} Updated Review rows -- Các bản ghi Review sau cập nhật
+ */
+export const applyReviewBatch = async (prisma, userId, reviews, now = new Date()) => {
+  const results = await prisma.$transaction(async (tx) => {
+    const algorithm = await getUserAlgorithm(tx, userId);
+    const updated = [];
+    const logs = [];
+
+    for (const { vocabularyId, quality, responseTimeMs } of reviews) {
+      const vocabulary = await tx.vocabulary.findFirst({
+        where: { id: vocabularyId, userId },
+        select: { id: true },
+      });
+
+      if (!vocabulary) {
+        throw notFound(`Không tìm thấy từ vựng: ${vocabularyId}`);
+      }
+
+      const where = { userId_vocabularyId: { userId, vocabularyId } };
+      const current = await tx.review.findUnique({ where });
+      const next = scheduleReview(algorithm, current, quality, now);
+
+      updated.push(
+        await tx.review.upsert({
+          where,
+          update: next,
+          create: { userId, vocabularyId, ...next },
+        })
+      );
+      logs.push({
+        userId,
+        vocabularyId,
+        quality,
+        previousInterval: current?.interval ?? 0,
+        newInterval: next.interval,
+        algorithm: algorithm.name,
+        responseTimeMs: responseTimeMs ?? null,
+        reviewedAt: now,
+      });
+    }
+
+    await tx.reviewLog.createMany({ data: logs });
+    await recordDailyProgress(tx, userId, logs.length, now);
+
+    return updated;
+  });
+
+  logger.debug("Applied review batch", { userId, count: results.length });
+
+  return results;
+};
+
+// Reviews are migrated with one updateMany per group of identical new values -- Review được chuyển đổi bằng một updateMany cho mỗi nhóm có cùng giá trị mới
+const MIGRATION_CHUNK_SIZE = 1000; // SQL Server allows 2100 parameters per query -- SQL Server cho phép 2100 tham số mỗi truy vấn
+export const MIGRATION_TIMEOUT_MS = 60 * 1000; // Prisma's default of 5 s is too short for large collections -- Mặc định 5 giây của Prisma quá ngắn với bộ sưu tập lớn
+
+/**
+ * Migrate every review of a user to an algorithm -- Chuyển đổi mọi review của người dùng sang một thuật toán
+ * Must run inside the transaction that stores the new algorithm, see updateSettings -- Phải chạy trong transaction lưu thuật toán mới, xem updateSettings
+ *
+ * Progress is kept: interval, repetitions and nextReview are untouched, -- Giữ nguyên tiến độ: interval, repetitions và nextReview không đổi,
+ * only the target algorithm's own fields are derived from them -- chỉ suy ra các trường riêng của thuật toán đích
+ *
+ * @param {PrismaClient} tx - Prisma transaction -- Transaction Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} name - Target algorithm name -- Tên thuật toán đích
+ * @return {Promise<number>} Migrated reviews -- Số review đã chuyển đổi
+ * @throws {HttpError} 400 for an unknown algorithm -- 400 nếu thuật toán không tồn tại
+ */
+export const migrateReviews = async (tx, userId, name) => {
+  if (!ALGORITHM_NAMES.includes(name)) {
+    throw badRequest(`Thuật toán không hợp lệ: ${name}`);
+  }
+
+  const algorithm = getAlgorithm(name);
+  const reviews = await tx.review.findMany({
+    where: { userId, algorithm: { not: name } },
+    select: {
+      id: true,
+      algorithm: true,
+      easeFactor: true,
+      interval: true,
+      repetitions: true,
+      stability: true,
+      fsrsDifficulty: true,
+      box: true,
+    },
+  });
+
+  const groups = new Map();
+  for (const review of reviews) {
+    const data = { ...algorithm.migrate(review), algorithm: name };
+    const key = JSON.stringify(data);
+    const group = groups.get(key) ?? { data, ids: [] };
+    group.ids.push(review.id);
+    groups.set(key, group);
+  }
+
+  for (const { data, ids } of groups.values()) {
+    for (let i = 0; i < ids.length; i += MIGRATION_CHUNK_SIZE) {
+      await tx.review.updateMany({
+        where: { id: { in: ids.slice(i, i + MIGRATION_CHUNK_SIZE) } },
+        data,
+      });
+    }
+  }
+
+  return reviews.length;
+};
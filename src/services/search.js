@@ -0,0 +1,183 @@
+import { normalizeSearchText } from "../utils/text.js";
+import { tagFilter } from "./reviewQueue.js";
+import { INCLUDE_TAGS, toVocabularyResponse } from "./vocabulary.js";
+
+// ==========================================
+//  VOCABULARY SEARCH -- Tìm kiếm từ vựng
+// ==========================================
+//
+// Matching uses Vocabulary.searchText, folded in JS (src/utils/text.js) -- So khớp dùng Vocabulary.searchText, đã chuẩn hóa trong JS
+// so a plain `contains` behaves the same on SQL Server and SQLite -- nên `contains` thông thường chạy giống nhau trên SQL Server và SQLite
+// Without `q` the database pages and counts -- Không có `q` thì CSDL tự phân trang và đếm
+// With `q` ranking runs in JS over { id, word } of at most SEARCH_CANDIDATE_LIMIT matches -- Có `q` thì xếp hạng trong JS trên { id, word } của tối đa SEARCH_CANDIDATE_LIMIT kết quả
+
+// Best first -- Tốt nhất trước
+export const MATCH_TYPES = ["exact", "prefix", "word", "text"];
+
+// Most matches ranked for one query -- Số kết quả tối đa được xếp hạng cho một truy vấn
+export const SEARCH_CANDIDATE_LIMIT = 1000;
+
+/**
+ * How well a word matches the search term -- Mức độ khớp của từ với từ khóa
+ * @param {string} word - Vocabulary word -- Từ vựng
+ * @param {string} term - Folded search term -- Từ khóa đã chuẩn hóa
+ * @return {string} One of MATCH_TYPES -- Một giá trị trong MATCH_TYPES
+ */
+const matchType = (word, term) => {
+  const folded = normalizeSearchText(word);
+
+  if (folded === term) {
+    return "exact";
+  }
+  if (folded.startsWith(term)) {
+    return "prefix";
+  }
+  if (term.split(" ").every((token) => folded.includes(token))) {
+    return "word";
+  }
+  return "text"; // Only definition/example matched -- Chỉ khớp định nghĩa/ví dụ
+};
+
+/**
+ * Prisma filter for the tag, difficulty and partOfSpeech options -- Bộ lọc Prisma cho tag, độ khó và từ loại
+ * @return {Object} Vocabulary where clause -- Điều kiện where của Vocabulary
+ */
+const filterWhere = ({ tag, minDifficulty, maxDifficulty, partOfSpeech }) => ({
+  ...tagFilter(tag),
+  ...(partOfSpeech && { partOfSpeech }),
+  ...((minDifficulty || maxDifficulty) && {
+    difficulty: {
+      ...(minDifficulty && { gte: minDifficulty }),
+      ...(maxDifficulty && { lte: maxDifficulty }),
+    },
+  }),
+});
+
+/**
+ * Load { id, word } of the matches to rank, at most SEARCH_CANDIDATE_LIMIT -- Lấy { id, word } của các kết quả cần xếp hạng, tối đa SEARCH_CANDIDATE_LIMIT
+ * searchText starts with the folded word, so rows whose searchText starts with `term` -- searchText bắt đầu bằng từ đã chuẩn hóa, nên các dòng có searchText bắt đầu bằng `term`
+ * hold every exact and prefix match and are loaded first; the cap only cuts weaker matches -- chứa mọi kết quả trùng và tiền tố, được lấy trước; giới hạn chỉ cắt bớt kết quả yếu hơn
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {Object} where - Vocabulary where clause -- Điều kiện where của Vocabulary
+ * @param {string} term - Folded search term -- Từ khóa đã chuẩn hóa
+ * @return {Promise<{candidates: Array, truncated: boolean}>} `truncated` when matches were left out -- `truncated` khi có kết quả bị bỏ qua
+ */
+const findCandidates = async (prisma, where, term) => {
+  const leading = { searchText: { startsWith: term } };
+  const query = {
+    select: { id: true, word: true },
+    orderBy: [{ word: "asc" }, { id: "asc" }],
+  };
+
+  // One extra row tells whether more exist -- Thêm một dòng để biết còn kết quả khác không
+  const first = await prisma.vocabulary.findMany({
+    ...query,
+    where: { ...where, ...leading },
+    take: SEARCH_CANDIDATE_LIMIT + 1,
+  });
+  if (first.length > SEARCH_CANDIDATE_LIMIT) {
+    return { candidates: first.slice(0, SEARCH_CANDIDATE_LIMIT), truncated: true };
+  }
+
+  const room = SEARCH_CANDIDATE_LIMIT - first.length;
+  const rest = await prisma.vocabulary.findMany({
+    ...query,
+    where: { ...where, NOT: leading },
+    take: room + 1,
+  });
+
+  return {
+    candidates: [...first, ...rest.slice(0, room)],
+    truncated: rest.length > room,
+  };
+};
+
+/**
+ * Search the user's vocabularies -- Tìm kiếm từ vựng của người dùng
+ *
+ * Every word of `q` must appear in word, definition or example, ignoring case and accents -- Mọi từ trong `q` phải có trong word, definition hoặc example, không phân biệt hoa thường và dấu
+ * Results are ranked exact word > word prefix > inside word > definition/example only -- Kết quả xếp hạng: trùng từ > tiền tố > nằm trong từ > chỉ khớp định nghĩa/ví dụ
+ * Only the first SEARCH_CANDIDATE_LIMIT matches are ranked; pagination.truncated tells the client to refine `q` -- Chỉ xếp hạng SEARCH_CANDIDATE_LIMIT kết quả đầu; pagination.truncated báo client thu hẹp `q`
+ * Without `q` the filters alone apply and sortBy/sortOrder are used -- Không có `q` thì chỉ áp dụng bộ lọc và dùng sortBy/sortOrder
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} options - From paginationSchema + vocabularySearchSchema -- Từ paginationSchema + vocabularySearchSchema
+ * @return {Promise<{data: Array, pagination: Object}>} Each item carries `match` when `q` is set -- Mỗi phần tử có `match` khi có `q`
+ */
+export const searchVocabularies = async (
+  prisma,
+  userId,
+  { q, page, limit, sortBy, sortOrder, ...filters }
+) => {
+  const term = normalizeSearchText(q);
+  const where = {
+    userId,
+    ...filterWhere(filters),
+    ...(term && {
+      AND: term
+        .split(" ")
+        .map((token) => ({ searchText: { contains: token } })),
+    }),
+  };
+
+  if (!term) {
+    const [total, rows] = await Promise.all([
+      prisma.vocabulary.count({ where }),
+      prisma.vocabulary.findMany({
+        where,
+        orderBy: [{ [sortBy]: sortOrder }, { id: "asc" }], // id keeps paging stable -- id giúp phân trang ổn định
+        skip: (page - 1) * limit,
+        take: limit,
+        include: INCLUDE_TAGS,
+      }),
+    ]);
+
+    return {
+      data: rows.map(toVocabularyResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        truncated: false,
+      },
+    };
+  }
+
+  const { candidates, truncated } = await findCandidates(prisma, where, term);
+  const ranked = candidates
+    .map((candidate) => ({
+      ...candidate,
+      match: matchType(candidate.word, term),
+    }))
+    .sort(
+      (a, b) =>
+        MATCH_TYPES.indexOf(a.match) - MATCH_TYPES.indexOf(b.match) ||
+        a.word.length - b.word.length // Shorter words are closer matches -- Từ ngắn hơn khớp sát hơn
+    );
+
+  const pageItems = ranked.slice((page - 1) * limit, page * limit);
+  const rows = await prisma.vocabulary.findMany({
+    where: { id: { in: pageItems.map((item) => item.id) } },
+    include: INCLUDE_TAGS,
+  });
+  const byId = new Map(rows.map((row) => [row.id, row]));
+
+  return {
+    data: pageItems
+      .filter((item) => byId.has(item.id))
+      .map((item) => ({
+        ...toVocabularyResponse(byId.get(item.id)),
+        match: item.match,
+      })),
+    pagination: {
+      page,
+      limit,
+      total: ranked.length, // Ranked matches only when truncated -- Chỉ tính kết quả đã xếp hạng khi bị cắt
+      totalPages: Math.ceil(ranked.length / limit),
+      truncated,
+    },
+  };
+};
@@ -0,0 +1,84 @@
+import logger from "../utils/logger.js";
+import { notFound } from "../utils/errors.js";
+
+// ==========================================
+//  USER SESSIONS SERVICE -- Dịch vụ quản lý phiên đăng nhập
+// ==========================================
+
+/**
+ * Public view of a Session row -- Thông tin công khai của bản ghi Session
+ * The sid is a secret and is never returned -- sid là bí mật và không bao giờ được trả về
+ *
+ * @param {Object} row - Session row -- Bản ghi Session
+ * @param {string} currentSid - sid of the caller's session -- sid của session hiện tại
+ * @return {Object}
+ */
+const toSessionResponse = (row, currentSid) => {
+  let info = {};
+  try {
+    info = JSON.parse(row.data).loginInfo ?? {};
+  } catch {
+    // Unreadable data: still list the session -- Dữ liệu lỗi: vẫn liệt kê session
+  }
+
+  return {
+    id: row.id,
+    current: row.sid === currentSid,
+    expiresAt: row.expiresAt,
+    loggedInAt: info.loggedInAt ?? null,
+    ip: info.ip ?? null,
+    userAgent: info.userAgent ?? null,
+  };
+};
+
+/**
+ * List the user's active sessions -- Liệt kê các phiên đăng nhập còn hiệu lực của người dùng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} currentSid - sid of the caller's session -- sid của session hiện tại
+ * @return {Promise<Array>}
+ */
+export const listUserSessions = async (prisma, userId, currentSid) => {
+  const rows = await prisma.session.findMany({
+    where: { userId, expiresAt: { gt: new Date() } },
+    orderBy: { expiresAt: "desc" },
+  });
+
+  return rows.map((row) => toSessionResponse(row, currentSid));
+};
+
+/**
+ * Revoke one of the user's sessions -- Thu hồi một phiên đăng nhập của người dùng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Session.id (not sid) -- Session.id (không phải sid)
+ */
+export const revokeSession = async (prisma, userId, id) => {
+  const { count } = await prisma.session.deleteMany({ where: { id, userId } });
+
+  if (!count) {
+    throw notFound("Không tìm thấy phiên đăng nhập");
+  }
+
+  logger.info("Session revoked", { userId, sessionId: id });
+};
+
+/**
+ * Revoke every session of the user except the current one -- Thu hồi mọi phiên của người dùng trừ phiên hiện tại
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string|null} [keepSid] - sid to keep, null revokes all -- sid cần giữ lại, null để thu hồi tất cả
+ * @return {Promise<number>} Number of revoked sessions -- Số phiên đã thu hồi
+ */
+export const revokeOtherSessions = async (prisma, userId, keepSid = null) => {
+  const { count } = await prisma.session.deleteMany({
+    where: { userId, ...(keepSid && { sid: { not: keepSid } }) },
+  });
+
+  logger.info("Sessions revoked", { userId, count });
+
+  return count;
+};
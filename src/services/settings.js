@@ -0,0 +1,120 @@
+import logger from "../utils/logger.js";
+import { conflict, notFound } from "../utils/errors.js";
+import {
+  mergeSettings,
+  readSettings,
+  serializeSettings,
+} from "../utils/settings.js";
+import { MIGRATION_TIMEOUT_MS, migrateReviews } from "./scheduler.js";
+
+// ==========================================
+//  SETTINGS SERVICE -- Dịch vụ cài đặt người dùng
+// ==========================================
+//
+// The shape, defaults and migrations live in src/utils/settings.js -- Cấu trúc, giá trị mặc định và migration nằm trong src/utils/settings.js
+
+/**
+ * Read a user's stored settings JSON -- Đọc chuỗi JSON cài đặt đã lưu của người dùng
+ *
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {string} userId - User ID -- ID người dùng
+ * @return {Promise<string|null>} Stored settings -- Cài đặt đã lưu
+ */
+const findStoredSettings = async (prisma, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { settings: true },
+  });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  return user.settings;
+};
+
+/**
+ * Get the user's settings, storing the migrated form when it changed -- Lấy cài đặt người dùng, lưu lại dạng đã nâng cấp nếu có thay đổi
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @return {Promise<Object>} Typed settings -- Cài đặt đúng kiểu
+ */
+export const getSettings = async (prisma, userId) => {
+  const stored = await findStoredSettings(prisma, userId);
+  const settings = readSettings(stored);
+  const serialized = serializeSettings(settings);
+
+  // Old, partial or malformed JSON is rewritten once -- JSON cũ, thiếu hoặc lỗi được ghi lại một lần
+  if (stored !== serialized) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { settings: serialized },
+    });
+    logger.info("User settings migrated", { userId, version: settings.version });
+  }
+
+  return settings;
+};
+
+// Tries before a patch racing other writers gives up with 409 -- Số lần thử trước khi bản vá tranh chấp với lượt ghi khác trả về 409
+const UPDATE_ATTEMPTS = 3;
+
+/**
+ * Apply a partial settings update -- Áp dụng cập nhật cài đặt một phần
+ *
+ * Nested objects are merged, so { notifications: { push: true } } keeps email and reviewReminder -- Object lồng nhau được gộp, nên { notifications: { push: true } } giữ nguyên email và reviewReminder
+ * Read, merge, write and review migration share one transaction, so a failed migration keeps the old algorithm -- Đọc, gộp, ghi và chuyển đổi review dùng chung một transaction, nên chuyển đổi thất bại sẽ giữ thuật toán cũ
+ *
+ * READ COMMITTED lets two patches read the same JSON, so the write is a compare-and-set -- READ COMMITTED cho phép hai bản vá đọc cùng một JSON, nên lượt ghi là compare-and-set
+ * on the JSON that was read; the loser rolls back and merges again on the new value -- trên JSON đã đọc; bên thua hoàn tác và gộp lại trên giá trị mới
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} patch - Fields validated by userSettingsSchema -- Các trường đã xác thực bằng userSettingsSchema
+ * @return {Promise<Object>} Updated settings -- Cài đặt sau cập nhật
+ * @throws {HttpError} 409 if other writers keep winning -- 409 nếu lượt ghi khác liên tục thắng
+ */
+export const updateSettings = async (prisma, userId, patch) => {
+  for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+    const result = await prisma.$transaction(
+      async (tx) => {
+        const stored = await findStoredSettings(tx, userId);
+        const current = readSettings(stored);
+        const next = mergeSettings(current, patch);
+        const { algorithm } = next.reviewSettings;
+
+        const { count } = await tx.user.updateMany({
+          where: { id: userId, settings: stored },
+          data: { settings: serializeSettings(next) },
+        });
+
+        if (count === 0) {
+          return null; // Changed since it was read -- Đã bị thay đổi sau khi đọc
+        }
+
+        return {
+          settings: next,
+          migrated:
+            algorithm === current.reviewSettings.algorithm
+              ? 0
+              : await migrateReviews(tx, userId, algorithm),
+        };
+      },
+      { timeout: MIGRATION_TIMEOUT_MS }
+    );
+
+    if (result) {
+      logger.info("User settings updated", {
+        userId,
+        fields: Object.keys(patch),
+        migratedReviews: result.migrated,
+      });
+      return result.settings;
+    }
+
+    logger.debug("Settings changed concurrently, retrying", { userId, attempt });
+  }
+
+  throw conflict("Cài đặt vừa được thay đổi ở nơi khác, vui lòng thử lại");
+};
@@ -0,0 +1,309 @@
+import logger from "../utils/logger.js";
+import { badRequest, conflict, notFound } from "../utils/errors.js";
+import {
+  localDatesBetween,
+  resolveLocalRange,
+  shiftLocalDate,
+  toLocalDateString,
+} from "../utils/date.js";
+import { queueOptionsFromSettings } from "./reviewQueue.js";
+
+// ==========================================
+//  STREAKS & DAILY GOAL -- Chuỗi ngày học và mục tiêu hằng ngày
+// ==========================================
+//
+// A day counts when its answers reach the dailyGoal saved that day -- Một ngày được tính khi số câu trả lời đạt dailyGoal đã lưu hôm đó
+// Days are "YYYY-MM-DD" in the user's timezone -- Ngày là "YYYY-MM-DD" theo múi giờ của người dùng
+// A frozen day keeps the streak alive but does not lengthen it -- Ngày đóng băng giữ chuỗi không bị đứt nhưng không làm chuỗi dài thêm
+
+export const FREEZES_PER_MONTH = 2; // Per calendar month of the frozen day -- Theo tháng của ngày được đóng băng
+export const MAX_FREEZE_AHEAD_DAYS = 30;
+export const HEATMAP_DAYS = 365;
+
+const FREEZE_EXISTS_MESSAGE = "Ngày này đã được đóng băng";
+
+// Serializable transactions that collide are rolled back by SQL Server (P2034) and tried again -- Transaction serializable xung đột bị SQL Server hoàn tác (P2034) và được thử lại
+const FREEZE_ATTEMPTS = 3;
+
+/**
+ * Daily goal and timezone of a user -- Mục tiêu hằng ngày và múi giờ của người dùng
+ * @return {Promise<{dailyGoal: number, timezone: string}>}
+ */
+const userGoal = async (prisma, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { settings: true },
+  });
+
+  if (!user) {
+    throw notFound("Không tìm thấy người dùng");
+  }
+
+  const { dailyGoal, timezone } = queueOptionsFromSettings(user.settings);
+  return { dailyGoal, timezone };
+};
+
+const goalMet = (progress) => Boolean(progress && progress.reviews >= progress.goal);
+
+/**
+ * Count answers towards today's goal -- Cộng câu trả lời vào mục tiêu hôm nay
+ * Called inside the review transaction -- Được gọi bên trong transaction ôn tập
+ *
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {number} count - Answers given -- Số câu trả lời
+ * @param {Date} [now] - Review time -- Thời điểm ôn tập
+ * @return {Promise<Object>} DailyProgress row -- Bản ghi DailyProgress
+ */
+export const recordDailyProgress = async (prisma, userId, count, now = new Date()) => {
+  const { dailyGoal, timezone } = await userGoal(prisma, userId);
+  const date = toLocalDateString(now, timezone);
+
+  return prisma.dailyProgress.upsert({
+    where: { userId_date: { userId, date } },
+    create: { userId, date, reviews: count, goal: dailyGoal },
+    update: { reviews: { increment: count }, goal: dailyGoal },
+  });
+};
+
+/**
+ * Heatmap intensity 0-4 -- Mức độ đậm của heatmap 0-4
+ * 0 = no reviews, 4 = goal reached -- 0 = không ôn, 4 = đạt mục tiêu
+ */
+const heatLevel = (progress) =>
+  progress?.reviews
+    ? Math.min(4, Math.ceil((4 * progress.reviews) / progress.goal))
+    : 0;
+
+/**
+ * Current and longest streak from goal days and frozen days -- Chuỗi hiện tại và dài nhất từ các ngày đạt mục tiêu và ngày đóng băng
+ * An unfinished today does not break yesterday's streak -- Hôm nay chưa xong không làm đứt chuỗi của hôm qua
+ *
+ * @param {Set<string>} metDates - Days that reached the goal -- Các ngày đạt mục tiêu
+ * @param {Set<string>} frozenDates - Frozen days -- Các ngày đóng băng
+ * @param {string} today - Local "YYYY-MM-DD"
+ * @return {{current: number, longest: number}}
+ */
+export const computeStreaks = (metDates, frozenDates, today) => {
+  const dates = [...new Set([...metDates, ...frozenDates])]
+    .filter((date) => date <= today)
+    .sort();
+
+  let longest = 0;
+  let length = 0;
+  let previous = null;
+
+  for (const date of dates) {
+    const consecutive = previous && shiftLocalDate(previous, 1) === date;
+    length = (consecutive ? length : 0) + (metDates.has(date) ? 1 : 0);
+    longest = Math.max(longest, length);
+    previous = date;
+  }
+
+  const alive = previous && previous >= shiftLocalDate(today, -1);
+  return { current: alive ? length : 0, longest };
+};
+
+/**
+ * Streak summary for the user -- Tóm tắt chuỗi ngày học của người dùng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} { timezone, dailyGoal, current, longest, today, freezes }
+ */
+export const getStreak = async (prisma, userId, now = new Date()) => {
+  const { dailyGoal, timezone } = await userGoal(prisma, userId);
+  const today = toLocalDateString(now, timezone);
+
+  const [progress, freezes] = await Promise.all([
+    prisma.dailyProgress.findMany({
+      where: { userId },
+      select: { date: true, reviews: true, goal: true },
+    }),
+    prisma.streakFreeze.findMany({
+      where: { userId },
+      select: { date: true },
+      orderBy: { date: "asc" },
+    }),
+  ]);
+
+  const metDates = new Set(progress.filter(goalMet).map((day) => day.date));
+  const frozenDates = new Set(freezes.map((freeze) => freeze.date));
+  const todayProgress = progress.find((day) => day.date === today);
+  const usedThisMonth = freezes.filter((freeze) =>
+    freeze.date.startsWith(today.slice(0, 7))
+  ).length;
+
+  return {
+    timezone,
+    dailyGoal,
+    ...computeStreaks(metDates, frozenDates, today),
+    today: {
+      date: today,
+      reviews: todayProgress?.reviews ?? 0,
+      goal: todayProgress?.goal ?? dailyGoal,
+      goalMet: goalMet(todayProgress),
+      frozen: frozenDates.has(today),
+    },
+    freezes: {
+      perMonth: FREEZES_PER_MONTH,
+      usedThisMonth,
+      remainingThisMonth: Math.max(0, FREEZES_PER_MONTH - usedThisMonth),
+      upcoming: [...frozenDates].filter((date) => date >= today),
+    },
+  };
+};
+
+/**
+ * Calendar heatmap, one entry per local day -- Heatmap dạng lịch, mỗi ngày địa phương một phần tử
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} range - { startDate, endDate } from dateRangeSchema, default last 365 days -- mặc định 365 ngày gần nhất
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} { from, to, timezone, days: [{ date, reviews, goal, goalMet, frozen, level }] }
+ */
+export const getHeatmap = async (prisma, userId, range = {}, now = new Date()) => {
+  const { timezone } = await userGoal(prisma, userId);
+  const { from, to } = resolveLocalRange(
+    range,
+    timezone,
+    { days: HEATMAP_DAYS },
+    now
+  );
+  const where = { userId, date: { gte: from, lte: to } };
+
+  const [progress, freezes] = await Promise.all([
+    prisma.dailyProgress.findMany({
+      where,
+      select: { date: true, reviews: true, goal: true },
+    }),
+    prisma.streakFreeze.findMany({ where, select: { date: true } }),
+  ]);
+
+  const byDate = new Map(progress.map((day) => [day.date, day]));
+  const frozenDates = new Set(freezes.map((freeze) => freeze.date));
+
+  return {
+    from,
+    to,
+    timezone,
+    days: localDatesBetween(from, to).map((date) => {
+      const day = byDate.get(date);
+      return {
+        date,
+        reviews: day?.reviews ?? 0,
+        goal: day?.goal ?? null,
+        goalMet: goalMet(day),
+        frozen: frozenDates.has(date),
+        level: heatLevel(day),
+      };
+    }),
+  };
+};
+
+/**
+ * Freeze a day so missing the goal does not break the streak -- Đóng băng một ngày để không đạt mục tiêu cũng không đứt chuỗi
+ * Only today or the next 30 days, at most 2 per calendar month -- Chỉ hôm nay hoặc 30 ngày tới, tối đa 2 ngày mỗi tháng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} date - Local "YYYY-MM-DD"
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<Object>} Created freeze { id, date, createdAt } -- Ngày đóng băng đã tạo
+ */
+export const addStreakFreeze = async (prisma, userId, date, now = new Date()) => {
+  const { timezone } = await userGoal(prisma, userId);
+  const today = toLocalDateString(now, timezone);
+
+  if (date < today) {
+    throw badRequest("Không thể đóng băng ngày đã qua");
+  }
+  if (date > shiftLocalDate(today, MAX_FREEZE_AHEAD_DAYS)) {
+    throw badRequest(
+      `Chỉ có thể đóng băng trong vòng ${MAX_FREEZE_AHEAD_DAYS} ngày tới`
+    );
+  }
+
+  // Serializable, so two requests in the same month cannot both pass the monthly cap -- Serializable, để hai request trong cùng tháng không thể cùng vượt qua giới hạn tháng
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const freeze = await prisma.$transaction(
+        async (tx) => {
+          const existing = await tx.streakFreeze.findUnique({
+            where: { userId_date: { userId, date } },
+            select: { id: true },
+          });
+
+          if (existing) {
+            throw conflict(FREEZE_EXISTS_MESSAGE);
+          }
+
+          const used = await tx.streakFreeze.count({
+            where: { userId, date: { startsWith: date.slice(0, 7) } },
+          });
+
+          if (used >= FREEZES_PER_MONTH) {
+            throw conflict(
+              `Đã dùng hết ${FREEZES_PER_MONTH} lượt đóng băng của tháng này`
+            );
+          }
+
+          return tx.streakFreeze.create({
+            data: { userId, date },
+            select: { id: true, date: true, createdAt: true },
+          });
+        },
+        { isolationLevel: "Serializable" }
+      );
+
+      logger.info("Streak freeze added", { userId, date });
+      return freeze;
+    } catch (error) {
+      if (error.code === "P2002") {
+        throw conflict(FREEZE_EXISTS_MESSAGE);
+      }
+      if (error.code === "P2034") {
+        if (attempt < FREEZE_ATTEMPTS) {
+          logger.debug("Streak freeze transaction collided, retrying", {
+            userId,
+            date,
+            attempt,
+          });
+          continue;
+        }
+        throw conflict("Đang có yêu cầu đóng băng khác, vui lòng thử lại");
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Cancel a freeze for today or a future day -- Hủy đóng băng cho hôm nay hoặc một ngày sắp tới
+ * Past freezes are history and stay -- Ngày đóng băng đã qua là lịch sử và được giữ nguyên
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} date - Local "YYYY-MM-DD"
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {Promise<void>}
+ */
+export const removeStreakFreeze = async (prisma, userId, date, now = new Date()) => {
+  const { timezone } = await userGoal(prisma, userId);
+
+  if (date < toLocalDateString(now, timezone)) {
+    throw badRequest("Không thể hủy đóng băng ngày đã qua");
+  }
+
+  const { count } = await prisma.streakFreeze.deleteMany({
+    where: { userId, date },
+  });
+
+  if (!count) {
+    throw notFound("Không tìm thấy ngày đóng băng");
+  }
+
+  logger.info("Streak freeze removed", { userId, date });
+};
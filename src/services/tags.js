@@ -0,0 +1,244 @@
+import { conflict, notFound } from "../utils/errors.js";
+
+// ==========================================
+//  TAG SERVICE -- Dịch vụ tag
+// ==========================================
+//
+// Tag -> VocabularyTag is onDelete: NoAction, so links are always removed -- Tag -> VocabularyTag là onDelete: NoAction, nên liên kết luôn được xóa
+// before the tag itself (deleting a tag lives in services/deletion.js) -- trước khi xóa tag (xóa tag nằm trong services/deletion.js)
+
+const TAG_EXISTS_MESSAGE = "Tag đã tồn tại";
+
+/**
+ * Tag response with counts -- Tag trả về kèm số lượng
+ * @param {Object} tag - Tag with _count.vocabularyTag -- Tag kèm _count.vocabularyTag
+ * @param {number} [dueCount] - Due reviews -- Số review đến hạn
+ * @return {Object} { id, name, color, createdAt, wordCount, dueCount }
+ */
+const toTagResponse = ({ _count, userId, ...tag }, dueCount = 0) => ({
+  ...tag,
+  wordCount: _count?.vocabularyTag ?? 0,
+  dueCount,
+});
+
+/**
+ * Find one of the user's tags or throw 404 -- Tìm tag của người dùng hoặc báo 404
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Tag ID -- ID tag
+ * @return {Promise<Object>} Tag
+ */
+export const findOwnTag = async (prisma, userId, id) => {
+  const tag = await prisma.tag.findFirst({ where: { id, userId } });
+
+  if (!tag) {
+    throw notFound("Không tìm thấy tag");
+  }
+
+  return tag;
+};
+
+/**
+ * Map a unique (userId, name) violation to 409 -- Chuyển lỗi trùng (userId, name) thành 409
+ */
+const rethrowDuplicate = (error) => {
+  if (error.code === "P2002") {
+    throw conflict(TAG_EXISTS_MESSAGE);
+  }
+  throw error;
+};
+
+/**
+ * List the user's tags with word and due-review counts -- Liệt kê tag của người dùng kèm số từ và số review đến hạn
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Date} [now] - Reviews with nextReview <= now are due -- Review có nextReview <= now là đến hạn
+ * @return {Promise<Array>} Tags sorted by name -- Tag sắp xếp theo tên
+ */
+export const listTags = async (prisma, userId, now = new Date()) => {
+  const [tags, due] = await Promise.all([
+    prisma.tag.findMany({
+      where: { userId },
+      orderBy: { name: "asc" },
+      include: { _count: { select: { vocabularyTag: true } } },
+    }),
+    prisma.vocabularyTag.groupBy({
+      by: ["tagId"],
+      where: {
+        tag: { userId },
+        vocabulary: {
+          reviews: { some: { userId, nextReview: { lte: now } } },
+        },
+      },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const dueByTag = new Map(due.map((row) => [row.tagId, row._count._all]));
+
+  return tags.map((tag) => toTagResponse(tag, dueByTag.get(tag.id) ?? 0));
+};
+
+/**
+ * Create a tag -- Tạo tag
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} body - Body validated by tagSchema -- Body đã xác thực bằng tagSchema
+ * @return {Promise<Object>} Created tag -- Tag vừa tạo
+ */
+export const createTag = async (prisma, userId, { name, color }) => {
+  const tag = await prisma.tag
+    .create({ data: { userId, name, color: color || null } })
+    .catch(rethrowDuplicate);
+
+  return toTagResponse(tag);
+};
+
+/**
+ * Rename or recolor a tag -- Đổi tên hoặc màu tag
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Tag ID -- ID tag
+ * @param {Object} body - Body validated by tagSchema -- Body đã xác thực bằng tagSchema
+ * @return {Promise<Object>} Updated tag -- Tag sau cập nhật
+ */
+export const updateTag = async (prisma, userId, id, { name, color }) => {
+  await findOwnTag(prisma, userId, id);
+
+  const tag = await prisma.tag
+    .update({
+      where: { id },
+      data: { name, color: color || null },
+      include: { _count: { select: { vocabularyTag: true } } },
+    })
+    .catch(rethrowDuplicate);
+
+  return toTagResponse(tag);
+};
+
+/**
+ * Keep only the user's vocabulary IDs -- Chỉ giữ ID từ vựng của người dùng
+ * @throws {HttpError} 404 if any ID is not the user's -- 404 nếu có ID không thuộc người dùng
+ */
+const assertOwnVocabularies = async (prisma, userId, vocabularyIds) => {
+  const unique = [...new Set(vocabularyIds)];
+  const count = await prisma.vocabulary.count({
+    where: { id: { in: unique }, userId },
+  });
+
+  if (count !== unique.length) {
+    throw notFound("Không tìm thấy từ vựng");
+  }
+
+  return unique;
+};
+
+/**
+ * Attach a tag to many vocabularies -- Gắn tag cho nhiều từ vựng
+ * Words that already have the tag are skipped -- Bỏ qua các từ đã có tag
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Tag ID -- ID tag
+ * @param {string[]} vocabularyIds - Vocabulary IDs -- Danh sách ID từ vựng
+ * @return {Promise<{attached: number}>} Number of new links -- Số liên kết mới
+ */
+export const attachTag = async (prisma, userId, id, vocabularyIds) =>
+  prisma.$transaction(async (tx) => {
+    await findOwnTag(tx, userId, id);
+    const ids = await assertOwnVocabularies(tx, userId, vocabularyIds);
+
+    const existing = await tx.vocabularyTag.findMany({
+      where: { tagId: id, vocabularyId: { in: ids } },
+      select: { vocabularyId: true },
+    });
+    const linked = new Set(existing.map((link) => link.vocabularyId));
+
+    const { count } = await tx.vocabularyTag.createMany({
+      data: ids
+        .filter((vocabularyId) => !linked.has(vocabularyId))
+        .map((vocabularyId) => ({ vocabularyId, tagId: id })),
+    });
+
+    return { attached: count };
+  });
+
+/**
+ * Detach a tag from many vocabularies -- Gỡ tag khỏi nhiều từ vựng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Tag ID -- ID tag
+ * @param {string[]} vocabularyIds - Vocabulary IDs -- Danh sách ID từ vựng
+ * @return {Promise<{detached: number}>} Number of removed links -- Số liên kết đã gỡ
+ */
+export const detachTag = async (prisma, userId, id, vocabularyIds) => {
+  await findOwnTag(prisma, userId, id);
+
+  const { count } = await prisma.vocabularyTag.deleteMany({
+    where: {
+      tagId: id,
+      vocabularyId: { in: vocabularyIds },
+      vocabulary: { userId },
+    },
+  });
+
+  return { detached: count };
+};
+
+/**
+ * Move every link of a tag to another tag -- Chuyển mọi liên kết của một tag sang tag khác
+ * Words that already have the target only lose the source link -- Từ đã có tag đích chỉ bị gỡ liên kết nguồn
+ *
+ * @param {PrismaClient} tx - Transaction -- Transaction
+ * @param {string} sourceId - Tag to empty -- Tag cần làm rỗng
+ * @param {string} targetId - Tag receiving the links -- Tag nhận liên kết
+ * @return {Promise<number>} Links moved to the target -- Số liên kết chuyển sang tag đích
+ */
+export const moveTagLinks = async (tx, sourceId, targetId) => {
+  const [sourceLinks, targetLinks] = await Promise.all([
+    tx.vocabularyTag.findMany({
+      where: { tagId: sourceId },
+      select: { vocabularyId: true },
+    }),
+    tx.vocabularyTag.findMany({
+      where: { tagId: targetId },
+      select: { vocabularyId: true },
+    }),
+  ]);
+  const linked = new Set(targetLinks.map((link) => link.vocabularyId));
+
+  const { count } = await tx.vocabularyTag.createMany({
+    data: sourceLinks
+      .filter((link) => !linked.has(link.vocabularyId))
+      .map((link) => ({ vocabularyId: link.vocabularyId, tagId: targetId })),
+  });
+  await tx.vocabularyTag.deleteMany({ where: { tagId: sourceId } });
+
+  return count;
+};
+
+/**
+ * Merge a tag into another, then delete it -- Gộp một tag vào tag khác rồi xóa nó
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} sourceId - Tag to merge and delete -- Tag bị gộp và xóa
+ * @param {string} targetId - Tag to keep -- Tag được giữ lại
+ * @return {Promise<Object>} Target tag with its new counts -- Tag đích kèm số lượng mới
+ */
+export const mergeTags = async (prisma, userId, sourceId, targetId) => {
+  await prisma.$transaction(async (tx) => {
+    await findOwnTag(tx, userId, sourceId);
+    await findOwnTag(tx, userId, targetId);
+
+    await moveTagLinks(tx, sourceId, targetId);
+    await tx.tag.delete({ where: { id: sourceId } });
+  });
+
+  const tags = await listTags(prisma, userId);
+  return tags.find((tag) => tag.id === targetId);
+};
@@ -0,0 +1,232 @@
+import { notFound } from "../utils/errors.js";
+import { checkOwnership } from "../utils/validation.js";
+import { buildSearchText } from "../utils/text.js";
+
+// ==========================================
+//  VOCABULARY SERVICE -- Dịch vụ từ vựng
+// ==========================================
+
+// Fields a client may write -- Các trường client được phép ghi
+const WRITABLE_FIELDS = [
+  "word",
+  "pronunciation",
+  "definition",
+  "example",
+  "partOfSpeech",
+  "difficulty",
+  "imageUrl",
+  "audioUrl",
+];
+
+// Fields folded into Vocabulary.searchText -- Các trường được gộp vào Vocabulary.searchText
+const SEARCH_FIELDS = ["word", "definition", "example"];
+
+// Tags are returned as plain objects instead of join rows -- Tag được trả về dạng object thay vì bản ghi bảng nối
+export const INCLUDE_TAGS = {
+  vocabularyTag: { include: { tag: true } },
+};
+
+/**
+ * Flatten VocabularyTag links into a `tags` array -- Chuyển liên kết VocabularyTag thành mảng `tags`
+ * searchText is internal and never returned -- searchText là dữ liệu nội bộ, không trả về
+ * @param {Object} vocabulary - Vocabulary with vocabularyTag included -- Từ vựng kèm vocabularyTag
+ * @return {Object} Vocabulary with `tags` -- Từ vựng kèm `tags`
+ */
+export const toVocabularyResponse = ({
+  vocabularyTag,
+  searchText,
+  ...vocabulary
+}) => ({
+  ...vocabulary,
+  tags: (vocabularyTag ?? []).map(({ tag }) => ({
+    id: tag.id,
+    name: tag.name,
+    color: tag.color,
+  })),
+});
+
+/**
+ * Pick writable fields from a validated body -- Lấy các trường được phép ghi từ body đã xác thực
+ * @param {Object} body - Validated request body -- Body đã xác thực
+ * @return {Object} Prisma data -- Dữ liệu cho Prisma
+ */
+const pickWritable = (body) =>
+  Object.fromEntries(
+    WRITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field] === "" ? null : body[field],
+    ])
+  );
+
+/**
+ * Add a fresh searchText when a searched field changes -- Thêm searchText mới khi một trường tìm kiếm thay đổi
+ * @param {Object} data - Prisma data -- Dữ liệu cho Prisma
+ * @param {Object} [current] - Stored { word, definition, example } -- Giá trị đang lưu
+ * @return {Object} Data, with searchText when needed -- Dữ liệu, kèm searchText khi cần
+ */
+export const withSearchText = (data, current = {}) =>
+  SEARCH_FIELDS.some((field) => data[field] !== undefined)
+    ? { ...data, searchText: buildSearchText({ ...current, ...data }) }
+    : data;
+
+/**
+ * Make sure every tag belongs to the user -- Đảm bảo mọi tag thuộc về người dùng
+ * @param {PrismaClient} prisma - Prisma client or transaction -- Prisma client hoặc transaction
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string[]} tagIds - Tag IDs -- Danh sách ID tag
+ */
+const assertOwnTags = async (prisma, userId, tagIds) => {
+  const unique = [...new Set(tagIds)];
+  const count = await prisma.tag.count({
+    where: { id: { in: unique }, userId },
+  });
+
+  if (count !== unique.length) {
+    throw notFound("Không tìm thấy tag");
+  }
+
+  return unique;
+};
+
+/**
+ * List the user's vocabularies with pagination -- Liệt kê từ vựng của người dùng có phân trang
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} options - { page, limit, sortBy, sortOrder, q } from paginationSchema/searchSchema
+ * @return {Promise<{data: Array, pagination: Object}>}
+ */
+export const listVocabularies = async (
+  prisma,
+  userId,
+  { page, limit, sortBy, sortOrder, q }
+) => {
+  const where = {
+    userId,
+    ...(q && { word: { startsWith: q } }), // Prefix lookup on IX_vocabularies_word -- Tìm theo tiền tố dùng IX_vocabularies_word
+  };
+
+  const [total, rows] = await Promise.all([
+    prisma.vocabulary.count({ where }),
+    prisma.vocabulary.findMany({
+      where,
+      orderBy: [{ [sortBy]: sortOrder }, { id: "asc" }], // id keeps paging stable -- id giúp phân trang ổn định
+      skip: (page - 1) * limit,
+      take: limit,
+      include: INCLUDE_TAGS,
+    }),
+  ]);
+
+  return {
+    data: rows.map(toVocabularyResponse),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get one of the user's vocabularies -- Lấy một từ vựng của người dùng
+ * Other users' IDs answer 404 -- ID của người khác trả về 404
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Vocabulary ID -- ID từ vựng
+ * @return {Promise<Object>} Vocabulary -- Từ vựng
+ */
+export const getVocabulary = async (prisma, userId, id) => {
+  const vocabulary = await prisma.vocabulary.findFirst({
+    where: { id, userId },
+    include: INCLUDE_TAGS,
+  });
+
+  if (!vocabulary) {
+    throw notFound("Không tìm thấy từ vựng");
+  }
+
+  return toVocabularyResponse(vocabulary);
+};
+
+/**
+ * Create a vocabulary -- Tạo từ vựng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Object} body - Body validated by vocabSchema -- Body đã xác thực bằng vocabSchema
+ * @return {Promise<Object>} Created vocabulary -- Từ vựng vừa tạo
+ */
+export const createVocabulary = async (prisma, userId, body) => {
+  const tagIds = body.tags?.length
+    ? await assertOwnTags(prisma, userId, body.tags)
+    : [];
+
+  const vocabulary = await prisma.vocabulary.create({
+    data: {
+      ...withSearchText(pickWritable(body)),
+      userId,
+      vocabularyTag: { create: tagIds.map((tagId) => ({ tagId })) },
+    },
+    include: INCLUDE_TAGS,
+  });
+
+  return toVocabularyResponse(vocabulary);
+};
+
+/**
+ * Update a vocabulary, replacing its tags when `tags` is sent -- Cập nhật từ vựng, thay toàn bộ tag nếu gửi `tags`
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Vocabulary ID -- ID từ vựng
+ * @param {Object} body - Body validated by vocabSchema -- Body đã xác thực bằng vocabSchema
+ * @return {Promise<Object>} Updated vocabulary -- Từ vựng sau cập nhật
+ */
+export const updateVocabulary = async (prisma, userId, id, body) => {
+  if (!(await checkOwnership(prisma, "vocabulary", id, userId))) {
+    throw notFound("Không tìm thấy từ vựng");
+  }
+
+  const vocabulary = await prisma.$transaction(async (tx) => {
+    if (body.tags) {
+      const tagIds = await assertOwnTags(tx, userId, body.tags);
+      await tx.vocabularyTag.deleteMany({ where: { vocabularyId: id } });
+      await tx.vocabularyTag.createMany({
+        data: tagIds.map((tagId) => ({ vocabularyId: id, tagId })),
+      });
+    }
+
+    const data = pickWritable(body);
+    const current = SEARCH_FIELDS.some((field) => data[field] !== undefined)
+      ? await tx.vocabulary.findUnique({
+          where: { id },
+          select: { word: true, definition: true, example: true },
+        })
+      : undefined;
+
+    return tx.vocabulary.update({
+      where: { id },
+      data: withSearchText(data, current),
+      include: INCLUDE_TAGS,
+    });
+  });
+
+  return toVocabularyResponse(vocabulary);
+};
+
+/**
+ * Delete a vocabulary (reviews and tag links cascade) -- Xóa từ vựng (review và liên kết tag bị xóa theo)
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {string} id - Vocabulary ID -- ID từ vựng
+ */
+export const deleteVocabulary = async (prisma, userId, id) => {
+  const { count } = await prisma.vocabulary.deleteMany({ where: { id, userId } });
+
+  if (!count) {
+    throw notFound("Không tìm thấy từ vựng");
+  }
+};
@@ -0,0 +1,333 @@
+import crypto from "crypto";
+import { Readable } from "stream";
+import csv from "csv-parser";
+import { validationResult } from "express-validator";
+import logger from "../utils/logger.js";
+import { badRequest } from "../utils/errors.js";
+import { vocabSchema, tagSchema } from "../utils/validation.js";
+import { withSearchText } from "./vocabulary.js";
+
+// ==========================================
+//  CSV VOCABULARY IMPORT -- Nhập từ vựng từ CSV
+// ==========================================
+//
+// Expected header (case/spacing insensitive) -- Tiêu đề cột (không phân biệt hoa thường/khoảng trắng):
+//   word, definition, example, pronunciation, partOfSpeech, difficulty, imageUrl, audioUrl, tags
+// `tags` holds tag names separated by "," or ";" -- `tags` chứa tên tag cách nhau bởi "," hoặc ";"
+
+export const IMPORT_CHUNK_SIZE = 100; // Rows per insert transaction -- Số dòng mỗi transaction
+export const CSV_MAX_ROW_BYTES = 64 * 1024; // Longer rows make the file invalid -- Dòng dài hơn làm tệp không hợp lệ
+const CSV_READ_BYTES = 16 * 1024; // Slice of the upload fed to the parser at a time -- Phần tệp đưa vào parser mỗi lần
+
+// Normalized header -> field -- Tiêu đề đã chuẩn hóa -> trường
+const HEADER_MAP = {
+  word: "word",
+  definition: "definition",
+  example: "example",
+  pronunciation: "pronunciation",
+  partofspeech: "partOfSpeech",
+  pos: "partOfSpeech",
+  difficulty: "difficulty",
+  imageurl: "imageUrl",
+  audiourl: "audioUrl",
+  tags: "tags",
+};
+
+const VOCAB_FIELDS = [
+  "word",
+  "definition",
+  "example",
+  "pronunciation",
+  "partOfSpeech",
+  "difficulty",
+  "imageUrl",
+  "audioUrl",
+];
+
+/**
+ * Map a CSV header to a Vocabulary field -- Ánh xạ tiêu đề CSV sang trường Vocabulary
+ * Unknown columns are dropped (null) -- Cột không xác định bị bỏ qua (null)
+ */
+const mapHeader = ({ header }) => {
+  const key = header
+    .replace(/^\uFEFF/, "") // Excel adds a BOM -- Excel thêm BOM vào đầu tệp
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  return HEADER_MAP[key] ?? null;
+};
+
+/**
+ * Run express-validator chains against a plain object -- Chạy chuỗi express-validator trên một object
+ * The same rules as the REST API, sanitizers included -- Dùng đúng quy tắc của REST API, kể cả bộ chuẩn hóa
+ *
+ * @param {Array} chains - Validation chains -- Chuỗi xác thực
+ * @param {Object} body - Data to validate -- Dữ liệu cần xác thực
+ * @return {Promise<{body: Object, errors: Array}>} Sanitized body and errors -- Body đã chuẩn hóa và lỗi
+ */
+const runSchema = async (chains, body) => {
+  const req = { body: { ...body } };
+  await Promise.all(chains.map((chain) => chain.run(req)));
+
+  return {
+    body: req.body,
+    errors: validationResult(req)
+      .array()
+      .map((err) => ({ field: err.path, message: err.msg })),
+  };
+};
+
+/**
+ * Validate one CSV row -- Xác thực một dòng CSV
+ * @param {Object} raw - Row from csv-parser -- Dòng từ csv-parser
+ * @return {Promise<{data: Object, tags: string[], errors: Array}>}
+ */
+const validateRow = async (raw) => {
+  const { tags: rawTags = "", ...cells } = raw;
+
+  // Blank cells mean "not provided" -- Ô trống nghĩa là "không cung cấp"
+  const fields = Object.fromEntries(
+    Object.entries(cells).filter(([, value]) => value !== "")
+  );
+  const { body, errors } = await runSchema(vocabSchema, fields);
+
+  const names = String(rawTags)
+    .split(/[,;]/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const tags = [];
+  for (const name of names) {
+    const result = await runSchema(tagSchema, { name });
+    if (result.errors.length) {
+      errors.push(...result.errors.map((err) => ({ ...err, field: "tags" })));
+    } else if (!tags.includes(result.body.name)) {
+      tags.push(result.body.name);
+    }
+  }
+
+  if (tags.length > 10) {
+    errors.push({ field: "tags", message: "Tối đa 10 tag mỗi từ vựng" });
+  }
+
+  const data = Object.fromEntries(
+    VOCAB_FIELDS.filter(
+      (field) => body[field] !== undefined && body[field] !== ""
+    ).map((field) => [field, body[field]])
+  );
+
+  return { data, tags, errors };
+};
+
+/**
+ * Find or create the user's tags by name -- Tìm hoặc tạo tag của người dùng theo tên
+ * @return {Promise<Map<string, string>>} name -> tag ID -- tên -> ID tag
+ */
+const resolveTags = async (tx, userId, names) => {
+  const ids = new Map();
+  if (!names.length) {
+    return ids;
+  }
+
+  const existing = await tx.tag.findMany({
+    where: { userId, name: { in: names } },
+    select: { id: true, name: true },
+  });
+  existing.forEach((tag) => ids.set(tag.name, tag.id));
+
+  const missing = names
+    .filter((name) => !ids.has(name))
+    .map((name) => ({ id: crypto.randomUUID(), userId, name }));
+
+  if (missing.length) {
+    await tx.tag.createMany({ data: missing });
+    missing.forEach((tag) => ids.set(tag.name, tag.id));
+  }
+
+  return ids;
+};
+
+/**
+ * Insert one chunk of valid rows with their tag links and review state -- Chèn một nhóm dòng hợp lệ kèm liên kết tag và trạng thái ôn tập
+ */
+const insertChunk = async (prisma, userId, rows) =>
+  prisma.$transaction(async (tx) => {
+    const tagIds = await resolveTags(tx, userId, [
+      ...new Set(rows.flatMap((row) => row.tags)),
+    ]);
+
+    await tx.vocabulary.createMany({
+      data: rows.map((row) => ({
+        id: row.id,
+        userId,
+        ...withSearchText(row.data),
+      })),
+    });
+
+    const links = rows.flatMap((row) =>
+      row.tags.map((name) => ({ vocabularyId: row.id, tagId: tagIds.get(name) }))
+    );
+    if (links.length) {
+      await tx.vocabularyTag.createMany({ data: links });
+    }
+
+    const reviews = rows
+      .filter((row) => row.review)
+      .map((row) => ({ ...row.review, userId, vocabularyId: row.id }));
+    if (reviews.length) {
+      await tx.review.createMany({ data: reviews });
+    }
+  });
+
+/**
+ * Import raw vocabulary rows -- Nhập các dòng từ vựng thô
+ *
+ * Rows are validated one by one, valid rows are inserted in chunks -- Từng dòng được xác thực, dòng hợp lệ được chèn theo nhóm
+ * Shared by the CSV and Anki importers -- Dùng chung cho bộ nhập CSV và Anki
+ *
+ * Each chunk commits on its own. If reading or inserting fails after a chunk was committed, -- Mỗi nhóm được commit riêng. Nếu đọc hoặc chèn lỗi sau khi đã commit một nhóm,
+ * the report keeps what was imported and `stopped` gives the first row that was not -- báo cáo giữ những gì đã nhập và `stopped` cho biết dòng đầu tiên chưa được nhập
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Iterable<Object>|AsyncIterable<Object>} rows - { word, definition, ..., tags: "a;b", review? } -- review: trusted Review fields -- review: các trường Review tin cậy
+ * @param {Object} [options]
+ * @param {number} [options.firstRow] - Number of the first row in the report -- Số thứ tự của dòng đầu tiên trong báo cáo
+ * @param {string} [options.source] - Source name for the log -- Tên nguồn cho log
+ * @return {Promise<Object>} Report { summary, imported, duplicates, rejected, stopped } -- Báo cáo kết quả
+ * @throws {Error} The read or insert error when nothing was committed -- Lỗi đọc hoặc chèn khi chưa commit được gì
+ */
+export const importVocabularyRows = async (
+  prisma,
+  userId,
+  rows,
+  { firstRow = 1, source = "rows" } = {}
+) => {
+  const existingWords = new Set(
+    (
+      await prisma.vocabulary.findMany({
+        where: { userId },
+        select: { word: true },
+      })
+    ).map(({ word }) => word.toLowerCase())
+  );
+
+  const report = { imported: [], duplicates: [], rejected: [], stopped: null };
+  let pending = [];
+  let total = 0;
+
+  // The chunk stays pending until it is committed -- Nhóm vẫn chờ cho đến khi được commit
+  const flush = async () => {
+    if (!pending.length) {
+      return;
+    }
+    await insertChunk(prisma, userId, pending);
+    report.imported.push(
+      ...pending.map(({ row, id, data }) => ({ row, id, word: data.word }))
+    );
+    pending = [];
+  };
+
+  try {
+    for await (const { review, ...raw } of rows) {
+      const row = firstRow + total;
+      total += 1;
+      const { data, tags, errors } = await validateRow(raw);
+
+      if (errors.length) {
+        report.rejected.push({ row, word: raw.word ?? null, errors });
+        continue;
+      }
+
+      const key = data.word.toLowerCase();
+      if (existingWords.has(key)) {
+        report.duplicates.push({ row, word: data.word });
+        continue;
+      }
+      existingWords.add(key); // Also catches duplicates inside the file -- Bắt cả từ trùng trong cùng tệp
+
+      pending.push({ row, id: crypto.randomUUID(), data, tags, review });
+      if (pending.length >= IMPORT_CHUNK_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+  } catch (error) {
+    // Nothing committed yet: the import fails as a whole -- Chưa commit gì: toàn bộ lần nhập thất bại
+    if (!report.imported.length) {
+      throw error;
+    }
+
+    // Earlier chunks are kept, the report says where it stopped -- Các nhóm trước được giữ, báo cáo cho biết dừng ở đâu
+    report.stopped = {
+      row: pending[0]?.row ?? firstRow + total,
+      reason: error.status
+        ? error.details?.reason ?? error.message
+        : "Không thể lưu các dòng từ đây trở đi",
+    };
+    logger.error("Vocabulary import stopped", {
+      userId,
+      source,
+      row: report.stopped.row,
+      error,
+    });
+  }
+
+  const summary = {
+    total,
+    imported: report.imported.length,
+    duplicates: report.duplicates.length,
+    rejected: report.rejected.length,
+    complete: !report.stopped,
+  };
+
+  logger.info("Vocabulary import finished", { userId, source, ...summary });
+
+  return { summary, ...report };
+};
+
+/**
+ * Rows of a CSV, parsed as they are read -- Các dòng của CSV, được phân tích trong lúc đọc
+ *
+ * @param {Buffer} buffer - Uploaded CSV -- Tệp CSV đã tải lên
+ * @return {AsyncGenerator<Object>} Rows keyed by Vocabulary field -- Các dòng theo trường Vocabulary
+ * @throws {HttpError} 400 when csv-parser rejects the file -- 400 khi csv-parser từ chối tệp
+ */
+async function* csvRows(buffer) {
+  // Sliced, so backpressure stops the parser a few slices ahead of the import -- Chia nhỏ, để backpressure giữ parser chỉ đi trước phần nhập vài đoạn
+  const slices = function* () {
+    for (let start = 0; start < buffer.length; start += CSV_READ_BYTES) {
+      yield buffer.subarray(start, start + CSV_READ_BYTES);
+    }
+  };
+  const parser = Readable.from(slices(), { objectMode: false }).pipe(
+    csv({
+      mapHeaders: mapHeader,
+      mapValues: ({ value }) => value.trim(),
+      maxRowBytes: CSV_MAX_ROW_BYTES,
+    })
+  );
+
+  try {
+    for await (const row of parser) {
+      yield row; // Pulled one at a time, so rows are imported while the file is parsed -- Lấy từng dòng, nên các dòng được nhập trong lúc tệp đang được phân tích
+    }
+  } catch (error) {
+    logger.warn("CSV import rejected", { error: error.message });
+    throw badRequest("Tệp CSV không hợp lệ", { reason: error.message });
+  }
+}
+
+/**
+ * Import vocabularies from a CSV buffer -- Nhập từ vựng từ buffer CSV
+ * Row numbers match the spreadsheet (header = row 1) -- Số dòng khớp với bảng tính (tiêu đề = dòng 1)
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} userId - User ID -- ID người dùng
+ * @param {Buffer} buffer - Uploaded CSV -- Tệp CSV đã tải lên
+ * @return {Promise<Object>} Report, see importVocabularyRows -- Báo cáo, xem importVocabularyRows
+ */
+export const importVocabularyCsv = async (prisma, userId, buffer) =>
+  importVocabularyRows(prisma, userId, csvRows(buffer), {
+    firstRow: 2, // Row 1 is the header -- Dòng 1 là tiêu đề
+    source: "csv",
+  });
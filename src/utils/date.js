@@ -0,0 +1,184 @@
+// ==========================================
+//  DATE HELPERS -- Các hàm hỗ trợ ngày giờ
+// ==========================================
+
+export const DAY_MS = 24 * 60 * 60 * 1000; // One day in milliseconds -- Một ngày tính bằng ms
+
+/**
+ * Add a (possibly fractional) number of days -- Cộng thêm số ngày (có thể là số thập phân)
+ * @param {Date} date - Start date -- Ngày bắt đầu
+ * @param {number} days - Days to add -- Số ngày cần cộng
+ * @return {Date} New date -- Ngày mới
+ */
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Days elapsed between two dates -- Số ngày trôi qua giữa hai thời điểm
+ * @param {Date} from - Earlier date -- Thời điểm trước
+ * @param {Date} to - Later date -- Thời điểm sau
+ * @return {number} Elapsed days, never negative -- Số ngày, không âm
+ */
+export const daysBetween = (from, to) =>
+  Math.max(0, (to.getTime() - from.getTime()) / DAY_MS);
+
+/**
+ * Check that a timezone is a valid IANA name -- Kiểm tra múi giờ có phải tên IANA hợp lệ
+ * @param {string} timeZone - e.g. "Asia/Ho_Chi_Minh" -- Ví dụ "Asia/Ho_Chi_Minh"
+ * @return {boolean} True if supported by Intl -- true nếu Intl hỗ trợ
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar date of an instant in a timezone -- Ngày lịch của một thời điểm theo múi giờ
+ * @param {Date} date - Instant -- Thời điểm
+ * @param {string} timeZone - IANA timezone -- Múi giờ IANA
+ * @return {string} "YYYY-MM-DD"
+ */
+export const toLocalDateString = (date, timeZone) =>
+  // en-CA formats as YYYY-MM-DD -- en-CA định dạng YYYY-MM-DD
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+/**
+ * Offset (ms) of a timezone from UTC at an instant -- Độ lệch (ms) của múi giờ so với UTC tại một thời điểm
+ * @param {Date} date - Instant -- Thời điểm
+ * @param {string} timeZone - IANA timezone -- Múi giờ IANA
+ * @return {number} Local time minus UTC, in ms -- Giờ địa phương trừ UTC, tính bằng ms
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * UTC instant of local midnight for a "YYYY-MM-DD" date -- Thời điểm UTC của nửa đêm địa phương cho ngày "YYYY-MM-DD"
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {string} timeZone - IANA timezone -- Múi giờ IANA
+ * @return {Date} Start of that local day -- Đầu ngày địa phương đó
+ */
+export const localDateToUtc = (localDate, timeZone) => {
+  const [year, month, day] = localDate.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day);
+
+  // Re-check the offset at the result to handle DST changes -- Kiểm tra lại độ lệch tại kết quả để xử lý giờ mùa hè
+  const first = guess - timeZoneOffset(new Date(guess), timeZone);
+  return new Date(guess - timeZoneOffset(new Date(first), timeZone));
+};
+
+/**
+ * Start and end of the local day that contains `date` -- Đầu và cuối ngày địa phương chứa `date`
+ *
+ * @param {Date} date - Instant -- Thời điểm
+ * @param {string} timeZone - IANA timezone -- Múi giờ IANA
+ * @return {{date: string, start: Date, end: Date}} end is exclusive -- end không bao gồm
+ *
+ * @example
+ * localDayBounds(new Date("2025-11-08T20:00:00Z"), "Asia/Ho_Chi_Minh")
+ * // => { date: "2025-11-09", start: 2025-11-08T17:00:00Z, end: 2025-11-09T17:00:00Z }
+ */
+export const localDayBounds = (date, timeZone) => {
+  const localDate = toLocalDateString(date, timeZone);
+  const start = localDateToUtc(localDate, timeZone);
+  const nextDate = toLocalDateString(addDays(start, 1.5), timeZone); // 1.5 days skips DST-shortened days safely -- 1.5 ngày để an toàn với ngày bị rút ngắn do DST
+
+  return { date: localDate, start, end: localDateToUtc(nextDate, timeZone) };
+};
+
+/**
+ * Move a "YYYY-MM-DD" date by whole calendar days -- Dịch ngày "YYYY-MM-DD" theo số ngày lịch
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {number} days - Days to move, may be negative -- Số ngày cần dịch, có thể âm
+ * @return {string} "YYYY-MM-DD"
+ */
+export const shiftLocalDate = (localDate, days) =>
+  // Noon UTC never crosses a calendar date -- 12h trưa UTC không bao giờ vượt sang ngày khác
+  addDays(new Date(`${localDate}T12:00:00Z`), days).toISOString().slice(0, 10);
+
+/**
+ * Every local date from `from` to `to`, inclusive -- Mọi ngày địa phương từ `from` đến `to`, bao gồm cả hai đầu
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @return {string[]}
+ */
+export const localDatesBetween = (from, to) => {
+  const dates = [];
+  for (let day = from; day <= to; day = shiftLocalDate(day, 1)) {
+    dates.push(day);
+  }
+  return dates;
+};
+
+/**
+ * Resolve a dateRangeSchema range in local days -- Chuyển khoảng dateRangeSchema thành các ngày địa phương
+ * A missing bound is filled with a window of `days` days -- Giá trị thiếu được bù bằng một khoảng `days` ngày
+ * ending today, or starting today when `forward` is set -- kết thúc hôm nay, hoặc bắt đầu hôm nay khi có `forward`
+ *
+ * @param {Object} range - { startDate, endDate } (Date, optional) -- (Date, tùy chọn)
+ * @param {string} timeZone - IANA timezone -- Múi giờ IANA
+ * @param {Object} window - { days, forward } default window -- Khoảng mặc định
+ * @param {Date} [now] - Current time -- Thời điểm hiện tại
+ * @return {{from: string, to: string, start: Date, end: Date}} end is exclusive -- end không bao gồm
+ */
+export const resolveLocalRange = (
+  { startDate, endDate },
+  timeZone,
+  { days, forward = false },
+  now = new Date()
+) => {
+  const span = days - 1;
+  let first = startDate;
+  let last = endDate;
+
+  if (!first && !last) {
+    first = forward ? now : addDays(now, -span);
+    last = forward ? addDays(now, span) : now;
+  } else if (!first) {
+    first = addDays(last, -span);
+  } else if (!last) {
+    last = addDays(first, span);
+  }
+
+  const from = toLocalDateString(first, timeZone);
+  const to = toLocalDateString(last, timeZone);
+
+  return {
+    from,
+    to,
+    start: localDateToUtc(from, timeZone),
+    end: localDayBounds(localDateToUtc(to, timeZone), timeZone).end,
+  };
+};
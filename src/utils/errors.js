@@ -0,0 +1,65 @@
+// ==========================================
+//  HTTP ERRORS -- Lỗi HTTP
+// ==========================================
+
+/**
+ * Application error carrying an HTTP status -- Lỗi ứng dụng kèm mã trạng thái HTTP
+ * Services throw it, routes/error handler turn it into a JSON response -- Service ném lỗi, route/error handler chuyển thành phản hồi JSON
+ *
+ * Response shape follows validate(): { error, message, details? } -- Định dạng phản hồi giống validate()
+ *
+ * @example
+ * throw new HttpError(404, "Not Found", "Không tìm thấy từ vựng");
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code -- Mã trạng thái HTTP
+   * @param {string} error - Short error category -- Loại lỗi ngắn gọn
+   * @param {string} message - Human readable message -- Thông điệp cho người dùng
+   * @param {Array|Object} [details] - Extra details -- Chi tiết bổ sung
+   * @param {Object} [headers] - Response headers, e.g. Retry-After -- Header phản hồi, ví dụ Retry-After
+   */
+  constructor(status, error, message, details, headers) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.error = error;
+    this.details = details;
+    this.headers = headers;
+  }
+
+  /**
+   * Convert to response body -- Chuyển thành nội dung phản hồi
+   * @return {Object} JSON body -- Nội dung JSON
+   */
+  toJSON() {
+    return {
+      error: this.error,
+      message: this.message,
+      ...(this.details !== undefined && { details: this.details }),
+    };
+  }
+}
+
+export const badRequest = (message, details) =>
+  new HttpError(400, "Bad Request", message, details);
+
+export const unauthorized = (message = "Bạn cần đăng nhập") =>
+  new HttpError(401, "Unauthorized", message);
+
+export const forbidden = (message = "Bạn không có quyền thực hiện thao tác này") =>
+  new HttpError(403, "Forbidden", message);
+
+export const notFound = (message = "Không tìm thấy tài nguyên") =>
+  new HttpError(404, "Not Found", message);
+
+export const conflict = (message) => new HttpError(409, "Conflict", message);
+
+export const tooManyRequests = (message, retryAfterSeconds) =>
+  new HttpError(
+    429,
+    "Too Many Requests",
+    message,
+    undefined,
+    retryAfterSeconds ? { "Retry-After": String(retryAfterSeconds) } : undefined
+  );
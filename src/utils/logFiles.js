@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+import DailyRotateFile from "winston-daily-rotate-file";
+
+// ==========================================
+//  LOG FILES -- Tệp log xoay vòng
+// ==========================================
+//
+// One file per day (and per maxSize), older files are gzipped -- Mỗi ngày một tệp (và theo maxSize), tệp cũ được nén gzip
+// Retention by age (maxAge) and by total size of the archives (maxTotalSize) -- Lưu giữ theo tuổi (maxAge) và theo tổng dung lượng tệp nén (maxTotalSize)
+// Settings come from the LOG_MAX_* variables, read in logger.js -- Cấu hình lấy từ các biến LOG_MAX_*, được đọc trong logger.js
+
+const SIZE_UNITS = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parse "500m", "1g", "100k" or a byte count -- Phân tích "500m", "1g", "100k" hoặc số byte
+ *
+ * @param {string|number} value
+ * @return {number|null} Bytes, null when empty or invalid -- Số byte, null nếu rỗng hoặc không hợp lệ
+ */
+export const parseSize = (value) => {
+  const match = /^(\d+)\s*([kmg])?b?$/i.exec(String(value ?? "").trim());
+  return match ? Number(match[1]) * (SIZE_UNITS[match[2]?.toLowerCase()] ?? 1) : null;
+};
+
+/**
+ * Delete the oldest gzipped logs until they fit in maxBytes -- Xóa các tệp log nén cũ nhất cho đến khi tổng dung lượng không vượt maxBytes
+ * Files still being written are never gzipped, so they are never deleted -- Tệp đang ghi chưa được nén nên không bao giờ bị xóa
+ *
+ * @param {string} dir - Logs directory -- Thư mục log
+ * @param {number} maxBytes - Size limit of all archives -- Giới hạn tổng dung lượng tệp nén
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - File name prefixes to keep out, e.g. ["audit-"] -- Tiền tố tên tệp bỏ qua
+ * @return {string[]} Deleted file names -- Tên các tệp đã xóa
+ */
+export const pruneArchives = (dir, maxBytes, { exclude = [] } = {}) => {
+  const archives = fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".gz"))
+    .filter((name) => !exclude.some((prefix) => name.startsWith(prefix)))
+    .map((name) => ({ name, ...fs.statSync(path.join(dir, name)) }))
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  let total = archives.reduce((sum, file) => sum + file.size, 0);
+  const deleted = [];
+
+  for (const file of archives) {
+    if (total <= maxBytes) {
+      break;
+    }
+    fs.unlinkSync(path.join(dir, file.name));
+    total -= file.size;
+    deleted.push(file.name);
+  }
+
+  return deleted;
+};
+
+/**
+ * Daily rotating, gzipped file transport -- Transport ghi tệp xoay vòng theo ngày, có nén gzip
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Logs directory -- Thư mục log
+ * @param {string} options.name - File name prefix, e.g. "error" -> error-2025-01-31.log -- Tiền tố tên tệp
+ * @param {string} [options.extension] - Default ".log" -- Mặc định ".log"
+ * @param {string} options.maxSize - Size of one file, e.g. "20m" -- Dung lượng một tệp
+ * @param {string} options.maxAge - Retention, e.g. "14d" -- Thời gian lưu giữ
+ * @param {number|null} [options.maxTotalSize] - Archive size limit in bytes, see pruneArchives -- Giới hạn dung lượng tệp nén (byte)
+ * @param {string[]} [options.excludeFromTotal] - Prefixes pruneArchives leaves alone -- Tiền tố pruneArchives bỏ qua
+ * @return {DailyRotateFile} Other options (level, format, ...) go to the transport -- Các tùy chọn khác được truyền cho transport
+ */
+export const createRotatingFile = ({
+  dir,
+  name,
+  extension = ".log",
+  maxSize,
+  maxAge,
+  maxTotalSize = null,
+  excludeFromTotal = [],
+  ...transport
+}) => {
+  const file = new DailyRotateFile({
+    ...transport,
+    dirname: dir,
+    filename: `${name}-%DATE%`,
+    extension,
+    datePattern: "YYYY-MM-DD",
+    zippedArchive: true,
+    maxSize,
+    maxFiles: maxAge,
+    auditFile: path.join(dir, `.${name}-rotation.json`), // Rotation state of the transport -- Trạng thái xoay vòng của transport
+  });
+
+  if (maxTotalSize) {
+    file.on("archive", () => {
+      try {
+        pruneArchives(dir, maxTotalSize, { exclude: excludeFromTotal });
+      } catch (error) {
+        console.warn("Không thể dọn dẹp thư mục logs:", error.message);
+      }
+    });
+  }
+
+  return file;
+};
@@ -3,21 +3,19 @@ import winston from "winston";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
-import { log, time } from "console";
-import { platform } from "os";
+import { getRequestContext, routeOf } from "./requestContext.js";
+import { REDACTED, createRedactor, redactPathsFromEnv } from "./redact.js";
+import { createRotatingFile, parseSize } from "./logFiles.js";
 
 // Lấy __dirname trong ES module
 // // Dấu "__" trong "__filename" để nhận biết đây là biến hệ thống
 const __filename = fileURLToPath(import.meta.url); // import.meta.url: trả về URL dạng file:/// --- fileURLToPath: chuyển URL thành đường dẫn hệ thống(chuỗi)
-console.log("Đường dẫn file hiện tại: ", __filename);
 const __dirname = path.dirname(__filename); // Lấy thư mục chứa file hiện tại
-console.log("Thư mục hiện tại: ", __dirname);
 dotenv.config({ path: path.resolve(__dirname, "../../.env") });
 
 // Detect Deployment Environment - Phát hiện môi trường triển khai
 const isProduction = process.env.NODE_ENV === "production";
 const isTest = process.env.NODE_ENV === "test";
-console.log(process.env.NODE_ENV);
 // Platform Detection - Phát hiện nền tảng
 const isVercel = process.env.VERCEL === "1";
 const isRender = process.env.RENDER === "true";
@@ -61,13 +59,87 @@ if (!isServerless && !isTest) {
 //  Winston Logger Configuration - Cấu hình Winston Logger
 // ==========================================
 
+// Log levels - Mức log
+// LOG_LEVEL: global threshold, default debug (dev) / info (production) -- ngưỡng chung, mặc định debug (dev) / info (production)
+// LOG_MODULE_LEVELS: per-module thresholds, e.g. "scheduler=debug,database=warn" -- ngưỡng riêng từng module
+// Module loggers come from createChildLogger({ module }) -- Logger của module được tạo bằng createChildLogger({ module })
+// Levels are filtered here, not by winston, so they can change at runtime (setLogLevels) -- Mức log được lọc ở đây, không phải bởi winston, để có thể đổi khi đang chạy (setLogLevels)
+export const LOG_LEVELS = Object.keys(winston.config.npm.levels); // error < warn < info < http < verbose < debug < silly
+const DEFAULT_LEVEL = isProduction ? "info" : "debug";
+
+const isLogLevel = (value) => LOG_LEVELS.includes(value);
+
+/**
+ * Parse "scheduler=debug,database=warn" -- Phân tích "scheduler=debug,database=warn"
+ * Invalid entries are reported in `invalid` -- Các phần tử không hợp lệ được trả về trong `invalid`
+ */
+const parseModuleLevels = (value = "") => {
+  const modules = {};
+  const invalid = [];
+
+  for (const entry of value.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [name, level] = entry.split("=").map((part) => part?.trim().toLowerCase());
+    if (name && isLogLevel(level)) {
+      modules[name] = level;
+    } else {
+      invalid.push(entry);
+    }
+  }
+
+  return { modules, invalid };
+};
+
+const envLevel = process.env.LOG_LEVEL?.trim().toLowerCase();
+const envModules = parseModuleLevels(process.env.LOG_MODULE_LEVELS);
+
+const levelConfig = {
+  level: isLogLevel(envLevel) ? envLevel : DEFAULT_LEVEL,
+  // Without LOG_LEVEL, access log lines (module "http") pass even at info -- Khi không có LOG_LEVEL, dòng log truy cập (module "http") vẫn được ghi ở mức info
+  modules: {
+    ...(!isLogLevel(envLevel) && { http: "http" }),
+    ...envModules.modules,
+  },
+};
+
+const levelFilterFormat = winston.format((info) => {
+  const threshold = levelConfig.modules[info.module] ?? levelConfig.level;
+  const { levels } = winston.config.npm;
+  return levels[info.level] <= levels[threshold] ? info : false;
+});
+
+// Request context - Ngữ cảnh request
+// Adds requestId, userId and route of the current request, explicit metadata wins -- Thêm requestId, userId và route của request hiện tại, metadata truyền vào được ưu tiên
+const requestContextFormat = winston.format((info) => {
+  const context = getRequestContext();
+  return context ? Object.assign(info, { ...context, ...info }) : info;
+});
+
+// Sensitive-data redaction - Che dữ liệu nhạy cảm
+// Paths: DEFAULT_REDACT_PATHS + LOG_REDACT_PATHS (comma-separated), or setRedactPaths() -- Đường dẫn: DEFAULT_REDACT_PATHS + LOG_REDACT_PATHS (cách nhau bởi dấu phẩy), hoặc setRedactPaths()
+let redactor = createRedactor({ paths: redactPathsFromEnv() });
+
+const redactFormat = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (key === "level") {
+      continue;
+    }
+    info[key] = redactor.isRedactedPath(key, key)
+      ? REDACTED
+      : redactor.redactValue(value, key);
+  }
+  return info;
+});
+
 // Base format for all logs - Định dạng cơ bản cho tất cả logs
 const baseFormat = winston.format.combine(
+  levelFilterFormat(), // First, so dropped lines cost nothing more -- Đầu tiên, để dòng bị loại không tốn thêm xử lý
+  requestContextFormat(),
   winston.format.timestamp({
     format: "YYYY-MM-DD HH:mm:ss", // Định dạng dấu thời gian
   }), // Thêm dấu thời gian
   winston.format.errors({ stack: true }), // Ghi nhận stack trace cho lỗi -- Stack trace: thông tin về ngăn xếp cuộc gọi khi lỗi xảy ra
   winston.format.splat(), // Cho phép sử dụng định dạng chuỗi giống printf(printf-style string formatting)
+  redactFormat(), // After splat so merged metadata is covered -- Sau splat để metadata được gộp cũng được che
   winston.format.json() // Ghi log dưới dạng JSON
 );
 
@@ -86,7 +158,7 @@ const consoleFormat = winston.format.combine(
 
 // Create logger instance - Khởi tạo đối tượng ghi log
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || isProduction ? "info" : "debug", // Mức log: debug cho dev, info cho production // Ngưỡng level: chỉ ghi log từ mức này trở lên -- Mức độ log: error < warn < info < http < verbose < debug < silly
+  level: "silly", // Everything reaches levelFilterFormat, which applies LOG_LEVEL / LOG_MODULE_LEVELS -- Mọi log đều tới levelFilterFormat, nơi áp dụng LOG_LEVEL / LOG_MODULE_LEVELS
   format: baseFormat,
   defaultMeta: {
     service: "vocalpro-backend",
@@ -106,6 +178,7 @@ const logger = winston.createLogger({
   transports: [
     new winston.transports.Console({
       format: isProduction ? winston.format.json() : consoleFormat,
+      ...(isTest && { level: "warn" }), // Keep test output readable -- Giữ output khi chạy test dễ đọc
       handleExceptions: true,
       handleRejections: true,
     }),
@@ -113,47 +186,72 @@ const logger = winston.createLogger({
   exitOnError: isProduction, // true: thoát ứng dụng khi gặp lỗi không xử lý
 });
 
+// Report ignored level settings instead of silently falling back -- Báo cấu hình mức log bị bỏ qua thay vì âm thầm dùng mặc định
+if (envLevel && !isLogLevel(envLevel)) {
+  logger.warn(`Invalid LOG_LEVEL "${process.env.LOG_LEVEL}", using "${DEFAULT_LEVEL}"`, {
+    levels: LOG_LEVELS,
+  });
+}
+if (envModules.invalid.length) {
+  logger.warn("Ignored invalid LOG_MODULE_LEVELS entries", {
+    entries: envModules.invalid,
+  });
+}
+
+// Transport sets per environment -- Bộ transport theo môi trường
+//   production: JSON console + error, warn and combined files -- console JSON + tệp error, warn và combined
+//   development: colorized console + error and combined files -- console có màu + tệp error và combined
+//   test: console for warnings and errors only, no files -- console chỉ cho cảnh báo và lỗi, không ghi tệp
+//
+// Files rotate daily and old ones are gzipped (src/utils/logFiles.js) -- Tệp xoay vòng theo ngày và tệp cũ được nén gzip
+// LOG_MAX_SIZE: size of one file, default 20m -- dung lượng một tệp, mặc định 20m
+// LOG_MAX_AGE: how long files are kept, default 14d -- thời gian lưu giữ tệp, mặc định 14d
+// LOG_MAX_TOTAL_SIZE: size of all gzipped files, default 500m -- tổng dung lượng tệp nén, mặc định 500m
+const fileRotation = {
+  maxSize: process.env.LOG_MAX_SIZE || "20m",
+  maxAge: process.env.LOG_MAX_AGE || "14d",
+  maxTotalSize: parseSize(process.env.LOG_MAX_TOTAL_SIZE || "500m"),
+  excludeFromTotal: ["audit-"], // The audit channel has its own retention -- Kênh audit có thời gian lưu giữ riêng
+};
+
+const fileFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.json()
+);
+
+/**
+ * File transports of the current environment -- Các transport ghi tệp của môi trường hiện tại
+ * @return {Array} winston transports
+ */
+const createFileTransports = () => {
+  const file = (name, options = {}) =>
+    createRotatingFile({
+      dir: logsDir,
+      name,
+      format: fileFormat,
+      ...fileRotation,
+      ...options,
+    });
+
+  const transports = [
+    file("error", { level: "error", handleExceptions: true }), // Ghi log lỗi
+    file("combined"), // Ghi tất cả log
+  ];
+
+  if (isProduction) {
+    transports.push(file("warn", { level: "warn" })); // Ghi log cảnh báo
+  }
+
+  return transports;
+};
+
 // File transports (Only for non-serverless) - Phương tiện ghi log vào file (Chỉ cho môi trường không phải serverless)
 if (canWriteToFile && logsDir) {
   logger.info("File logging is enabled. Logs directory:", { logsDir });
 
-  // Error log file -- Ghi log lỗi
-  logger.add(
-    new winston.transports.File({
-      filename: path.join(logsDir, "error.log"),
-      level: "error",
-      maxsize: 5 * 1024 * 1024,
-      maxFiles: 5,
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      handleExceptions: true,
-    })
-  );
-
-  // Combined log file -- Ghi tất cả log
-  logger.add(
-    new winston.transports.File({
-      filename: path.join(logsDir, "combined.log"),
-      maxsize: 5 * 1024 * 1024,
-      maxFiles: 5,
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-    })
-  );
-
-  // Warning log file (Only for production) -- Ghi log cảnh báo (Chỉ cho môi trường production)
-  logger.add(
-    new winston.transports.File({
-      filename: path.join(logsDir, "warn.log"),
-      level: "warn",
-      maxsize: 5 * 1024 * 1024,
-      maxFiles: 5,
-    })
-  );
+  for (const transport of createFileTransports()) {
+    logger.add(transport);
+  }
 } else {
   // Log platform info if file logging is disabled -- Ghi nhận thông tin nền tảng nếu không ghi log vào file
   const reason = isServerless
@@ -164,6 +262,35 @@ if (canWriteToFile && logsDir) {
   logger.info(`File logging is disabled: ${reason}`);
 }
 
+// ==========================================
+//  Audit Channel -- Kênh nhật ký quản trị
+// ==========================================
+
+// LOG_AUDIT_FILE=true: recordAudit() entries also go to logs/audit-YYYY-MM-DD.jsonl, one JSON object per line -- các bản ghi của recordAudit() được ghi thêm vào logs/audit-YYYY-MM-DD.jsonl, mỗi dòng một object JSON
+// Separate from application logs, with its own retention (LOG_AUDIT_MAX_AGE, default 90d) -- Tách khỏi log ứng dụng, có thời gian lưu giữ riêng
+const auditFileEnabled = process.env.LOG_AUDIT_FILE === "true" && canWriteToFile;
+
+const auditLogger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    redactFormat(),
+    winston.format.json()
+  ),
+  silent: !auditFileEnabled,
+  transports: auditFileEnabled
+    ? [
+        createRotatingFile({
+          dir: logsDir,
+          name: "audit",
+          extension: ".jsonl",
+          maxSize: fileRotation.maxSize,
+          maxAge: process.env.LOG_AUDIT_MAX_AGE || "90d",
+        }),
+      ]
+    : [],
+});
+
 // ==========================================
 //  Platform - Specific Integrations - Tích hợp đặc thù nền tảng
 // ==========================================
@@ -216,6 +343,7 @@ export default logger;
 export const loggerConfig = {
   canWriteToFile,
   logsDir,
+  auditFileEnabled,
   isProduction,
   isServerless,
   isTest,
@@ -246,27 +374,59 @@ export const createChildLogger = (defaultMeta) => {
 };
 
 /**
- * Log HTTP requests -- Ghi log các yêu cầu HTTP
+ * Log one access line for a finished request -- Ghi một dòng log truy cập cho request đã kết thúc
+ * Called from the accessLog middleware -- Được gọi từ middleware accessLog
+ *
  * @param {Object} req - Express request object -- Đối tượng yêu cầu Express
+ * @param {Object} res - Express response object -- Đối tượng phản hồi Express
+ * @param {Object} details - { requestId, durationMs, dbQueries, aborted }
  */
-export const logHttpRequest = (req) => {
+export const logHttpRequest = (
+  req,
+  res,
+  { requestId, durationMs, dbQueries, aborted = false }
+) => {
   logger.http("HTTP Request", {
+    module: "http",
+    requestId,
+    userId: req.user?.id,
+    route: routeOf(req),
     method: req.method,
-    url: req.url,
+    url: req.originalUrl,
+    status: aborted ? null : res.statusCode,
+    durationMs,
+    dbQueries,
+    contentLength: Number(res.get("content-length")) || undefined,
     ip: req.ip,
     userAgent: req.get("user-agent"),
+    ...(aborted && { aborted }),
   });
 };
 
+/**
+ * Write one audit entry to the audit channel, if enabled -- Ghi một bản ghi vào kênh audit, nếu được bật
+ * Called by recordAudit (src/services/audit.js) -- Được recordAudit gọi
+ *
+ * @param {Object} entry - { actorId, action, targetType, targetId, details, ip }
+ */
+export const logAuditEvent = (entry) => {
+  auditLogger.info(entry.action, entry);
+};
+
 /**
  * Log Database queries -- Ghi log các truy vấn cơ sở dữ liệu
+ * Slow queries are logged at warn with more of the SQL -- Truy vấn chậm được ghi ở mức warn kèm nhiều SQL hơn
+ *
  * @param {string} query - The database query -- Truy vấn cơ sở dữ liệu
  * @param {number} duration - Duration of the query in milliseconds -- Thời gian thực hiện truy vấn (ms)
+ * @param {Object} [meta] - { slow, source, ... }
  */
-export const logDbQuery = (query, duration) => {
-  logger.debug("DB Query", {
-    query: query.substring(0, 100), // Log only first 100 characters -- Chỉ ghi log 100 ký tự đầu
-    durationMs: ` ${duration} ms`,
+export const logDbQuery = (query, duration, { slow = false, ...meta } = {}) => {
+  logger.log(slow ? "warn" : "debug", slow ? "Slow DB query" : "DB Query", {
+    module: "database",
+    ...meta,
+    query: query.substring(0, slow ? 1000 : 100), // Log only the start of the SQL -- Chỉ ghi log phần đầu của SQL
+    durationMs: duration,
   });
 };
 
@@ -283,5 +443,54 @@ export const logWithContext = (level, message, context = {}) => {
   });
 };
 
+/**
+ * Current log levels -- Mức log hiện tại
+ * @return {{level: string, modules: Object<string, string>, levels: string[]}}
+ */
+export const getLogLevels = () => ({
+  level: levelConfig.level,
+  modules: { ...levelConfig.modules },
+  levels: LOG_LEVELS,
+});
 
-logger.debug("Dang ky thanh cong:", {gmail: "test@gmail.com", name: "Thai Phuong"});
\ No newline at end of file
+/**
+ * Change log levels at runtime, no restart needed -- Đổi mức log khi đang chạy, không cần khởi động lại
+ *
+ * @param {Object} changes
+ * @param {string} [changes.level] - New global level -- Mức chung mới
+ * @param {Object<string, string|null>} [changes.modules] - Module levels, null removes the override -- Mức của module, null để bỏ mức riêng
+ * @return {Object} Levels after the change -- Mức log sau khi đổi
+ * @throws {Error} On an unknown level -- Khi mức log không tồn tại
+ */
+export const setLogLevels = ({ level, modules = {} }) => {
+  for (const value of [level, ...Object.values(modules)]) {
+    if (value != null && !isLogLevel(value)) {
+      throw new Error(`Unknown log level: ${value}`);
+    }
+  }
+
+  if (level) {
+    levelConfig.level = level;
+  }
+  for (const [name, value] of Object.entries(modules)) {
+    if (value === null) {
+      delete levelConfig.modules[name];
+    } else {
+      levelConfig.modules[name] = value;
+    }
+  }
+
+  logger.warn("Log levels changed", {
+    level: levelConfig.level,
+    modules: { ...levelConfig.modules },
+  });
+  return getLogLevels();
+};
+
+/**
+ * Replace the redacted paths at runtime -- Thay danh sách đường dẫn cần che khi đang chạy
+ * @param {string[]} paths - Keys or dotted paths -- Khóa hoặc đường dẫn có dấu chấm
+ */
+export const setRedactPaths = (paths) => {
+  redactor = createRedactor({ paths });
+};
\ No newline at end of file
@@ -0,0 +1,99 @@
+import logger, { logDbQuery } from "./logger.js";
+import { countQuery } from "./requestContext.js";
+
+// ==========================================
+//  DATABASE QUERY METRICS -- Số liệu truy vấn cơ sở dữ liệu
+// ==========================================
+//
+// Fed by the Prisma client (src/config/prisma.js) and mssql requests (src/config/database.js) -- Được cung cấp bởi Prisma client và các request mssql
+// Lines use module "database", e.g. LOG_MODULE_LEVELS=database=debug shows every query -- Dòng log dùng module "database", ví dụ LOG_MODULE_LEVELS=database=debug để xem mọi truy vấn
+
+// Queries slower than this are logged at warn -- Truy vấn chậm hơn ngưỡng này được ghi ở mức warn
+export const SLOW_QUERY_MS = Number(process.env.DB_SLOW_QUERY_MS) || 500;
+
+// A model queried this many times in one request looks like N+1 -- Một model bị truy vấn nhiều lần như vậy trong một request có dấu hiệu N+1
+export const N_PLUS_ONE_THRESHOLD = Number(process.env.DB_N_PLUS_ONE_THRESHOLD) || 10;
+
+/**
+ * Log one executed query, at warn when slow -- Ghi log một truy vấn đã chạy, mức warn nếu chậm
+ *
+ * @param {string} query - SQL text -- Câu lệnh SQL
+ * @param {number} durationMs - Duration in milliseconds -- Thời gian thực hiện (ms)
+ * @param {Object} [meta] - Extra metadata, e.g. { source: "prisma" } -- Metadata bổ sung
+ */
+export const trackQuery = (query, durationMs, meta = {}) => {
+  logDbQuery(query, durationMs, { ...meta, slow: durationMs >= SLOW_QUERY_MS });
+};
+
+/**
+ * Warn about models queried too often in one request -- Cảnh báo các model bị truy vấn quá nhiều lần trong một request
+ * Called by the accessLog middleware when the request ends -- Được middleware accessLog gọi khi request kết thúc
+ *
+ * @param {Object<string, number>} counts - Queries by model -- Số truy vấn theo model
+ * @param {Object} [meta] - { requestId, route }, the request context is gone by then -- lúc này ngữ cảnh request đã kết thúc
+ * @return {number} Total queries of the request -- Tổng số truy vấn của request
+ */
+export const reportQueryCounts = (counts, meta = {}) => {
+  const suspects = Object.entries(counts)
+    .filter(([, count]) => count >= N_PLUS_ONE_THRESHOLD)
+    .map(([model]) => model);
+
+  if (suspects.length) {
+    logger.warn("Possible N+1 queries", {
+      module: "database",
+      ...meta,
+      models: suspects,
+      queryCounts: counts,
+      threshold: N_PLUS_ONE_THRESHOLD,
+    });
+  }
+
+  return Object.values(counts).reduce((sum, count) => sum + count, 0);
+};
+
+const INSTRUMENTED = Symbol("queryMetrics.instrumented");
+
+/**
+ * Log and count every query/batch of an mssql Request class, like the Prisma client -- Ghi log và đếm mọi query/batch của lớp Request mssql, giống Prisma client
+ *
+ * Patched on the prototype, so pool.request(), pool.query/batch, `new sql.Request(pool)` -- Vá trên prototype, nên pool.request(), pool.query/batch, `new sql.Request(pool)`
+ * and the global sql.query/batch are all covered, with a callback or a promise -- và sql.query/batch toàn cục đều được đo, dùng callback hay promise
+ * Calling it again on the same class does nothing -- Gọi lại với cùng lớp không làm gì thêm
+ *
+ * @param {Function} Request - e.g. sql.Request from "mssql" -- Ví dụ sql.Request của "mssql"
+ * @return {Function} The same class -- Chính lớp đó
+ */
+export const instrumentRequests = (Request) => {
+  const { prototype } = Request;
+  if (prototype[INSTRUMENTED]) {
+    return Request;
+  }
+
+  for (const method of ["query", "batch"]) {
+    const run = prototype[method];
+
+    prototype[method] = function (command, ...rest) {
+      // Tagged templates: query`SELECT ... ${value}` -- Template có tag
+      const text = Array.isArray(command) ? command.join("?") : String(command);
+      const start = process.hrtime.bigint();
+      const track = () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        trackQuery(text, Math.round(durationMs * 100) / 100, { source: "mssql" });
+      };
+      countQuery("raw");
+
+      const [callback] = rest;
+      if (typeof callback === "function") {
+        return run.call(this, command, (...args) => {
+          track();
+          callback(...args);
+        });
+      }
+
+      return Promise.resolve(run.call(this, command, ...rest)).finally(track);
+    };
+  }
+
+  prototype[INSTRUMENTED] = true;
+  return Request;
+};
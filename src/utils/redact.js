@@ -0,0 +1,166 @@
+// ==========================================
+//  LOG REDACTION -- Che dữ liệu nhạy cảm trong log
+// ==========================================
+//
+// Used by the logger's baseFormat, so every transport gets redacted data -- Được baseFormat của logger dùng, nên mọi transport đều nhận dữ liệu đã che
+//
+// Paths -- Đường dẫn:
+//   "password": that key at any depth (case-insensitive) -- khóa đó ở mọi cấp (không phân biệt hoa thường)
+//   "user.settings": only that exact path from the log metadata -- chỉ đúng đường dẫn đó tính từ metadata
+// Strings are scrubbed too: email addresses, secret env values, ?token= in URLs -- Chuỗi cũng được làm sạch: email, giá trị biến môi trường bí mật, ?token= trong URL
+
+export const REDACTED = "[REDACTED]";
+
+export const DEFAULT_REDACT_PATHS = Object.freeze([
+  "password",
+  "newPassword",
+  "currentPassword",
+  "passwordHash",
+  "sid",
+  "sessionId",
+  "cookie",
+  "authorization",
+  "token",
+  "tokenHash",
+  "accessToken",
+  "refreshToken",
+  "idToken",
+  "secret",
+  "clientSecret",
+  "RAPIDAPI_KEY",
+  "x-rapidapi-key",
+  "SESSION_SECRET",
+  "GOOGLE_CLIENT_SECRET",
+  "GOOGLE_CLIENT_SERECT",
+]);
+
+// Environment variables whose values must never reach a log line -- Biến môi trường có giá trị không bao giờ được xuất hiện trong log
+const SECRET_ENV_VARS = [
+  "RAPIDAPI_KEY",
+  "SESSION_SECRET",
+  "GOOGLE_CLIENT_SECRET",
+  "GOOGLE_CLIENT_SERECT",
+];
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const URL_TOKEN_PATTERN = /([?&](?:token|access_token|refresh_token|code)=)[^&\s"']+/gi;
+const MAX_DEPTH = 10;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a redactor for a set of paths -- Tạo hàm che dữ liệu cho một tập đường dẫn
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Keys or dotted paths to redact -- Khóa hoặc đường dẫn có dấu chấm cần che
+ * @param {Object} [options.env] - Where secret values are read from -- Nơi đọc giá trị bí mật
+ * @return {{redactValue: Function, redactString: Function, isRedactedPath: Function}}
+ */
+export const createRedactor = ({
+  paths = DEFAULT_REDACT_PATHS,
+  env = process.env,
+} = {}) => {
+  const keys = new Set(
+    paths.filter((p) => !p.includes(".")).map((p) => p.toLowerCase())
+  );
+  const exactPaths = new Set(
+    paths.filter((p) => p.includes(".")).map((p) => p.toLowerCase())
+  );
+
+  // Short values (e.g. placeholders) would mask ordinary words -- Giá trị quá ngắn sẽ che nhầm từ thông thường
+  const secretValues = SECRET_ENV_VARS.map((name) => env[name])
+    .filter((value) => typeof value === "string" && value.length >= 8)
+    .map(escapeRegExp);
+  const secretPattern = secretValues.length
+    ? new RegExp(secretValues.join("|"), "g")
+    : null;
+
+  const isRedactedPath = (key, path) =>
+    keys.has(key.toLowerCase()) || exactPaths.has(path.toLowerCase());
+
+  /**
+   * Scrub one string -- Làm sạch một chuỗi
+   * "someone@example.com" -> "s***@example.com"
+   */
+  const redactString = (value) => {
+    let result = value
+      .replace(EMAIL_PATTERN, "$1***@$2")
+      .replace(URL_TOKEN_PATTERN, `$1${REDACTED}`);
+    if (secretPattern) {
+      result = result.replace(secretPattern, REDACTED);
+    }
+    return result;
+  };
+
+  /**
+   * Redacted copy of a value, the original is never modified -- Bản sao đã che của giá trị, bản gốc không bị sửa
+   *
+   * @param {*} value - Metadata value -- Giá trị metadata
+   * @param {string} [path] - Dotted path of the value -- Đường dẫn của giá trị
+   * @return {*}
+   */
+  const redactValue = (value, path = "", depth = 0, seen = new WeakSet()) => {
+    if (typeof value === "string") {
+      return redactString(value);
+    }
+    if (
+      !value ||
+      typeof value !== "object" ||
+      value instanceof Date ||
+      Buffer.isBuffer(value)
+    ) {
+      return value;
+    }
+    if (seen.has(value)) {
+      return "[Circular]";
+    }
+    if (depth >= MAX_DEPTH) {
+      return "[Object]";
+    }
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: redactString(value.message),
+        ...(value.code && { code: value.code }),
+        ...(value.stack && { stack: redactString(value.stack) }),
+      };
+    }
+
+    // `seen` holds the ancestors only, so shared objects are not "[Circular]" -- `seen` chỉ chứa các cấp cha, nên object dùng chung không bị coi là vòng lặp
+    seen.add(value);
+    const result = Array.isArray(value)
+      ? value.map((item) => redactValue(item, path, depth + 1, seen))
+      : Object.fromEntries(
+          Object.entries(value).map(([key, child]) => {
+            const childPath = path ? `${path}.${key}` : key;
+            return [
+              key,
+              isRedactedPath(key, childPath)
+                ? REDACTED
+                : redactValue(child, childPath, depth + 1, seen),
+            ];
+          })
+        );
+    seen.delete(value);
+
+    return result;
+  };
+
+  return { redactValue, redactString, isRedactedPath };
+};
+
+/**
+ * Paths from LOG_REDACT_PATHS, added to the defaults -- Đường dẫn từ LOG_REDACT_PATHS, được thêm vào danh sách mặc định
+ * @example
+ * LOG_REDACT_PATHS=phone,user.name
+ *
+ * @param {string} [value] - Comma-separated paths -- Danh sách đường dẫn cách nhau bởi dấu phẩy
+ * @return {string[]}
+ */
+export const redactPathsFromEnv = (value = process.env.LOG_REDACT_PATHS) => [
+  ...DEFAULT_REDACT_PATHS,
+  ...(value || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean),
+];
@@ -0,0 +1,76 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// ==========================================
+//  REQUEST CONTEXT -- Ngữ cảnh của request
+// ==========================================
+//
+// Holds the current request across awaits, so the logger can tag every line -- Giữ request hiện tại qua các lệnh await, để logger gắn thông tin vào mọi dòng log
+// Entered by the requestContext middleware (src/middleware/requestContext.js) -- Được mở bởi middleware requestContext
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` inside a request context -- Chạy `fn` bên trong ngữ cảnh của request
+ * @param {{requestId: string, req: Request, queryCounts: Object<string, number>}} context
+ * @param {Function} fn
+ * @return {*} Result of fn -- Kết quả của fn
+ */
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Matched route pattern, e.g. "/api/vocabularies/:id" -- Mẫu route đã khớp
+ * @param {Request} req - Express request
+ * @return {string|undefined} undefined before routing or for unknown routes -- undefined trước khi định tuyến hoặc với route không tồn tại
+ */
+export const routeOf = (req) => {
+  if (!req.route) {
+    return undefined;
+  }
+  // "/" inside a router is the mount path itself -- "/" trong router chính là đường dẫn gắn router
+  return req.route.path === "/" && req.baseUrl
+    ? req.baseUrl
+    : `${req.baseUrl}${req.route.path}`;
+};
+
+/**
+ * Fields describing the current request, for log metadata -- Thông tin của request hiện tại, dùng cho metadata của log
+ * User and route are read when logging, since both are resolved later in the request -- Người dùng và route được đọc lúc ghi log, vì cả hai được xác định sau trong request
+ *
+ * @return {{requestId: string, userId?: string, route?: string}|null} null outside a request -- null khi không ở trong request
+ */
+export const getRequestContext = () => {
+  const context = storage.getStore();
+
+  if (!context) {
+    return null;
+  }
+
+  const { requestId, req } = context;
+  return {
+    requestId,
+    ...(req.user?.id && { userId: req.user.id }),
+    ...(routeOf(req) && { route: routeOf(req) }),
+  };
+};
+
+/**
+ * Count one database query of the current request -- Đếm một truy vấn CSDL của request hiện tại
+ * Does nothing outside a request -- Không làm gì khi không ở trong request
+ *
+ * @param {string} model - Prisma model, or "raw" for SQL -- Model Prisma, hoặc "raw" với SQL thuần
+ */
+export const countQuery = (model) => {
+  const counts = storage.getStore()?.queryCounts;
+
+  if (counts) {
+    counts[model] = (counts[model] ?? 0) + 1;
+  }
+};
+
+/**
+ * Query counts of the current request, by model -- Số truy vấn của request hiện tại, theo model
+ * The object keeps filling until the request ends -- Object tiếp tục được cập nhật cho đến khi request kết thúc
+ *
+ * @return {Object<string, number>|null} null outside a request -- null khi không ở trong request
+ */
+export const getQueryCounts = () => storage.getStore()?.queryCounts ?? null;
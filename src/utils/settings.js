@@ -0,0 +1,212 @@
+import { isValidTimeZone } from "./date.js";
+import {
+  ALGORITHM_NAMES,
+  DEFAULT_ALGORITHM,
+} from "../services/algorithms/index.js";
+
+// ==========================================
+//  USER SETTINGS MODEL -- Mô hình cài đặt người dùng
+// ==========================================
+//
+// User.settings stores this shape as JSON -- User.settings lưu cấu trúc này dưới dạng JSON
+// Read it with readSettings(): the result is always complete and typed -- Đọc bằng readSettings(): kết quả luôn đầy đủ và đúng kiểu
+//
+// Versions -- Các phiên bản:
+//   1: free-form JSON written before versioning (no `version` key) -- JSON tự do trước khi có phiên bản (không có khóa `version`)
+//   2: typed shape below -- cấu trúc có kiểu bên dưới
+
+export const SETTINGS_VERSION = 2;
+
+export const THEMES = ["light", "dark", "auto"];
+export const LANGUAGES = ["en", "vi", "fr", "es", "de", "ja", "ko", "zh"];
+export const REVIEW_DIFFICULTIES = ["easy", "medium", "hard"];
+
+export const SETTINGS_DEFAULTS = Object.freeze({
+  version: SETTINGS_VERSION,
+  theme: "auto",
+  language: "vi",
+  notifications: Object.freeze({
+    email: true,
+    push: false,
+    reviewReminder: true,
+  }),
+  reviewSettings: Object.freeze({
+    cardsPerDay: 20, // Max new words introduced per day -- Số từ mới tối đa mỗi ngày
+    showDefinitionFirst: false,
+    autoPlayAudio: false,
+    difficulty: "medium",
+    algorithm: DEFAULT_ALGORITHM,
+  }),
+  timezone: "UTC",
+  dailyGoal: 50, // Cards to study per day (due + new) -- Số thẻ cần học mỗi ngày (đến hạn + mới)
+});
+
+const isBoolean = (value) => typeof value === "boolean";
+const isIntBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max;
+const isOneOf = (values) => (value) => values.includes(value);
+
+// Type of every leaf, same ranges as userSettingsSchema -- Kiểu của từng giá trị lá, cùng giới hạn với userSettingsSchema
+const FIELD_TYPES = {
+  theme: isOneOf(THEMES),
+  language: isOneOf(LANGUAGES),
+  notifications: {
+    email: isBoolean,
+    push: isBoolean,
+    reviewReminder: isBoolean,
+  },
+  reviewSettings: {
+    cardsPerDay: isIntBetween(5, 100),
+    showDefinitionFirst: isBoolean,
+    autoPlayAudio: isBoolean,
+    difficulty: isOneOf(REVIEW_DIFFICULTIES),
+    algorithm: isOneOf(ALGORITHM_NAMES),
+  },
+  timezone: (value) => typeof value === "string" && isValidTimeZone(value), // Intl accepts undefined as "local" -- Intl chấp nhận undefined là múi giờ máy
+  dailyGoal: isIntBetween(1, 1000),
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Turn "true"/"false"/"20" into booleans and numbers -- Chuyển "true"/"false"/"20" thành boolean và số
+ */
+const coerceScalar = (value) => {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (typeof value === "string" && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Coerce every leaf of a settings object -- Chuyển kiểu mọi giá trị lá của object cài đặt
+ */
+const coerceLeaves = (value) =>
+  isPlainObject(value)
+    ? Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, coerceLeaves(child)])
+      )
+    : coerceScalar(value);
+
+// Each step upgrades settings from version N to N + 1 -- Mỗi bước nâng cài đặt từ phiên bản N lên N + 1
+const MIGRATIONS = {
+  // v1 was never validated on write -- v1 không được xác thực khi ghi:
+  // string numbers/booleans and `notifications: true|false` were stored as sent -- số/boolean dạng chuỗi và `notifications: true|false` được lưu nguyên văn
+  1: (settings) => {
+    const { notifications, ...rest } = coerceLeaves(settings);
+    return {
+      ...rest,
+      notifications: isBoolean(notifications)
+        ? { email: notifications, push: notifications, reviewReminder: notifications }
+        : notifications,
+      version: 2,
+    };
+  },
+};
+
+/**
+ * Keep typed values, replace anything else with its default -- Giữ giá trị đúng kiểu, thay phần còn lại bằng mặc định
+ * Unknown keys are dropped -- Các khóa không xác định bị loại bỏ
+ *
+ * @param {Object} types - FIELD_TYPES level -- Một cấp của FIELD_TYPES
+ * @param {Object} defaults - SETTINGS_DEFAULTS level -- Một cấp của SETTINGS_DEFAULTS
+ * @param {*} value - Stored value at this level -- Giá trị đã lưu ở cấp này
+ * @return {Object}
+ */
+const applyTypes = (types, defaults, value) => {
+  const source = isPlainObject(value) ? value : {};
+
+  return Object.fromEntries(
+    Object.entries(types).map(([key, type]) => {
+      if (typeof type !== "function") {
+        return [key, applyTypes(type, defaults[key], source[key])];
+      }
+      return [key, type(source[key]) ? source[key] : defaults[key]];
+    })
+  );
+};
+
+/**
+ * Merge `source` into `target`, recursing into nested objects -- Gộp `source` vào `target`, đệ quy vào object lồng nhau
+ */
+const deepMerge = (target, source) => {
+  const merged = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] =
+      isPlainObject(merged[key]) && isPlainObject(value)
+        ? deepMerge(merged[key], value)
+        : value;
+  }
+
+  return merged;
+};
+
+/**
+ * Migrate a settings object to SETTINGS_VERSION -- Nâng object cài đặt lên SETTINGS_VERSION
+ * @param {Object} settings - Parsed settings of any version -- Cài đặt đã phân tích, phiên bản bất kỳ
+ * @return {Object} Settings at the current version, not yet typed -- Cài đặt ở phiên bản hiện tại, chưa áp kiểu
+ */
+export const migrateSettings = (settings) => {
+  let current = settings;
+  let version = Number.isInteger(current.version) ? current.version : 1;
+
+  while (version < SETTINGS_VERSION) {
+    current = MIGRATIONS[version](current);
+    version += 1;
+  }
+
+  return current;
+};
+
+/**
+ * Read the raw User.settings string -- Đọc chuỗi User.settings
+ * Malformed, empty, partial or old values all come back complete and current -- Giá trị lỗi, rỗng, thiếu hoặc cũ đều trả về đầy đủ và ở phiên bản hiện tại
+ *
+ * @param {string|null} raw - Stored settings JSON -- Chuỗi JSON cài đặt đã lưu
+ * @return {Object} Typed settings -- Cài đặt đúng kiểu
+ */
+export const readSettings = (raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw || "{}");
+  } catch {
+    parsed = {};
+  }
+
+  return {
+    version: SETTINGS_VERSION,
+    ...applyTypes(
+      FIELD_TYPES,
+      SETTINGS_DEFAULTS,
+      migrateSettings(isPlainObject(parsed) ? parsed : {})
+    ),
+  };
+};
+
+/**
+ * Deep-merge a partial update into settings -- Gộp sâu một bản cập nhật một phần vào cài đặt
+ * Nested objects merge key by key, other values replace -- Object lồng nhau được gộp theo từng khóa, giá trị khác bị thay thế
+ *
+ * @param {Object} settings - Current typed settings -- Cài đặt hiện tại
+ * @param {Object} patch - Partial settings -- Cài đặt một phần
+ * @return {Object} Merged, typed settings -- Cài đặt đã gộp và áp kiểu
+ */
+export const mergeSettings = (settings, patch) => ({
+  version: SETTINGS_VERSION,
+  ...applyTypes(FIELD_TYPES, SETTINGS_DEFAULTS, deepMerge(settings, patch)),
+});
+
+/**
+ * Serialize settings for User.settings -- Chuyển cài đặt thành chuỗi cho User.settings
+ * @param {Object} settings - Typed settings -- Cài đặt đúng kiểu
+ * @return {string} JSON
+ */
+export const serializeSettings = (settings) => JSON.stringify(settings);
@@ -0,0 +1,30 @@
+// ==========================================
+//  TEXT HELPERS -- Các hàm hỗ trợ xử lý chuỗi
+// ==========================================
+
+/**
+ * Fold text for accent- and case-insensitive matching -- Chuẩn hóa chuỗi để so khớp không phân biệt dấu và hoa thường
+ * Done in JS so every database compares the same way -- Làm trong JS để mọi CSDL so sánh giống nhau
+ *
+ * @param {string|null} value - Raw text -- Chuỗi gốc
+ * @return {string} Lower-case text without diacritics, single spaces -- Chuỗi chữ thường, không dấu, một khoảng trắng
+ *
+ * @example
+ * normalizeSearchText("  Đường   PHỐ ") // => "duong pho"
+ */
+export const normalizeSearchText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "") // Combining marks (sắc, huyền, mũ...) -- Dấu thanh và dấu phụ
+    .replace(/[đĐ]/g, "d") // "đ" is a letter, not a mark -- "đ" là chữ cái riêng, không phải dấu
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Value of Vocabulary.searchText -- Giá trị của Vocabulary.searchText
+ * @param {Object} vocabulary - { word, definition, example }
+ * @return {string} Folded word, definition and example -- word, definition và example đã chuẩn hóa
+ */
+export const buildSearchText = ({ word, definition, example }) =>
+  [word, definition, example].map(normalizeSearchText).filter(Boolean).join(" ");
@@ -1,4 +1,9 @@
 import { body, param, query, validationResult } from "express-validator";
+import { LOG_LEVELS } from "./logger.js";
+import { isValidTimeZone } from "./date.js";
+import { THEMES, LANGUAGES, REVIEW_DIFFICULTIES } from "./settings.js";
+import { ALGORITHM_NAMES } from "../services/algorithms/index.js";
+import { ROLES } from "../config/roles.js";
 
 // ==========================================
 //  VALIDATION MIDDLEWARE -- Middleware xác thực
@@ -253,12 +258,60 @@ export const changePasswordSchema = [
         })
 ];
 
+/**
+ * Email verification validation schema -- Sơ đồ xác thực xác minh email
+ * Validates: token presence and length -- Xác thực: sự tồn tại và độ dài của token
+ *
+ * @example
+ * Valid: { token: "3f2a...(64 hex chars)" }
+ * Invalid: { token: "" }
+ */
+
+export const emailVerificationSchema = [
+  body("token")
+    .notEmpty()
+    .withMessage("Token là bắt buộc") // Token is required -- Token là bắt buộc
+    .isLength({ min: 32, max: 64 })
+    .withMessage("Token không hợp lệ"), // Token length check -- Kiểm tra độ dài token
+];
+
+/**
+ * Account deletion validation schema -- Sơ đồ xác thực xóa tài khoản
+ * Validates: password; Google-only accounts send an empty body after GET /api/auth/google/reauth -- Xác thực: mật khẩu; tài khoản chỉ dùng Google gửi body rỗng sau GET /api/auth/google/reauth
+ *
+ * @example
+ * Valid: { password: "CurrentP@ss1" } or {}
+ * Invalid: { password: 123 }
+ */
+
+export const deleteAccountSchema = [
+  // Required for password accounts, Google-only accounts re-authenticate instead -- Bắt buộc với tài khoản có mật khẩu, tài khoản chỉ dùng Google đăng nhập lại thay thế
+  body("password")
+    .optional()
+    .isString()
+    .withMessage("Mật khẩu phải là chuỗi ký tự"), // Password must be a string -- Mật khẩu phải là chuỗi ký tự
+];
+
 
 
 // ==========================================
 //  VOCABULARY VALIDATION SCHEMA -- Sơ đồ xác thực từ vựng
 // ==========================================
 
+// Allowed parts of speech -- Các từ loại được chấp nhận
+export const PARTS_OF_SPEECH = [
+  "noun",
+  "verb",
+  "adjective",
+  "adverb",
+  "pronoun",
+  "preposition",
+  "conjunction",
+  "interjection",
+  "determiner",
+  "phrase",
+];
+
 /**
  * Vocabulary creation/update validation schema -- Sơ đồ xác thực tạo hoặc cập nhật từ vựng
  * Validates: word, pronuciation, definition, example, etc. -- Xác thực: từ, cách phát âm, định nghĩa, ví dụ, v.v.
@@ -268,8 +321,884 @@ export const changePasswordSchema = [
  * Invalid: { word: "", definition: "" }}
  */
 
+export const vocabSchema = [
+  body("word")
+    .trim()
+    .notEmpty()
+    .withMessage("Từ vựng là bắt buộc") // Word is required -- Từ vựng là bắt buộc
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Từ vựng phải từ 1 đến 100 ký tự") // Word length -- Độ dài từ
+    .matches(/^[\p{L}\s'-]+$/u)
+    .withMessage(
+      "Từ vựng chỉ được chứa chữ cái, khoảng trắng, dấu gạch ngang và dấu nháy đơn"
+    )
+    .customSanitizer(
+      // Normalize: capitalize first letter -- Chuẩn hóa: viết hoa chữ cái đầu
+      (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+    ),
+
+  body("definition")
+    .trim()
+    .notEmpty()
+    .withMessage("Định nghĩa là bắt buộc") // Definition is required -- Định nghĩa là bắt buộc
+    .isLength({ min: 5, max: 1000 })
+    .withMessage("Định nghĩa phải từ 5 đến 1000 ký tự")
+    .custom((definition) => {
+      // Definition should start with an uppercase letter -- Định nghĩa nên bắt đầu bằng chữ hoa
+      if (definition[0] !== definition[0].toUpperCase()) {
+        throw new Error("Định nghĩa phải bắt đầu bằng chữ cái viết hoa");
+      }
+      return true;
+    }),
+
+  body("example")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("Ví dụ phải từ 5 đến 500 ký tự")
+    .custom((example, { req }) => {
+      // Example must contain the word -- Ví dụ phải chứa từ vựng
+      const word = req.body.word?.toLowerCase();
+      if (word && !example.toLowerCase().includes(word)) {
+        throw new Error("Ví dụ phải chứa từ vựng");
+      }
+      return true;
+    }),
+
+  body("pronunciation")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .matches(/^\/[^/]+\/$/)
+    .withMessage("Phát âm phải theo định dạng IPA: /.../ (ví dụ: /həˈloʊ/)")
+    .isLength({ max: 100 })
+    .withMessage("Phát âm không được vượt quá 100 ký tự"),
+
+  body("partOfSpeech")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .toLowerCase()
+    .isIn(PARTS_OF_SPEECH)
+    .withMessage("Từ loại không hợp lệ"), // Invalid part of speech -- Từ loại không hợp lệ
+
+  body("difficulty")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Độ khó phải là số nguyên từ 1 (dễ nhất) đến 5 (khó nhất)")
+    .toInt(),
+
+  body("imageUrl")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("URL hình ảnh phải là URL HTTP/HTTPS hợp lệ")
+    .isLength({ max: 500 })
+    .withMessage("URL hình ảnh quá dài"),
+
+  body("audioUrl")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("URL âm thanh phải là URL HTTP/HTTPS hợp lệ")
+    .isLength({ max: 500 })
+    .withMessage("URL âm thanh quá dài"),
+
+  body("tags")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Tags phải là mảng, tối đa 10 tag") // Max 10 tags per word -- Tối đa 10 tag mỗi từ
+    .custom((tags) => {
+      tags.forEach((tagId) => {
+        if (!isValidUUID(tagId)) {
+          throw new Error(`ID tag không hợp lệ: ${tagId}`);
+        }
+      });
+      return true;
+    }),
+];
+
+
+
+
+
+
+
+// ==========================================
+//  TAG VALIDATION SCHEMA -- Sơ đồ xác thực tag
+// ==========================================
+
+/**
+ * Tag creation/update validation schema -- Sơ đồ xác thực tạo hoặc cập nhật tag
+ * Validates: name (stored upper-case), hex color -- Xác thực: tên (lưu chữ hoa), mã màu hex
+ *
+ * @example
+ * Valid: { name: "ielts", color: "#3b82f6" } -> { name: "IELTS", color: "#3B82F6" }
+ * Invalid: { name: "", color: "red" }
+ */
+
+export const tagSchema = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Tên tag là bắt buộc") // Tag name is required -- Tên tag là bắt buộc
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Tên tag phải từ 1 đến 30 ký tự")
+    .matches(/^[\p{L}0-9\s\-_]+$/u)
+    .withMessage(
+      "Tên tag chỉ được chứa chữ cái, chữ số, khoảng trắng, dấu gạch ngang và gạch dưới"
+    )
+    .customSanitizer((name) => name.toUpperCase()), // Normalize: upper-case -- Chuẩn hóa: chữ hoa
 
+  body("color")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage("Màu phải là mã hex 6 chữ số (ví dụ: #3B82F6)")
+    .customSanitizer((color) => color.toUpperCase()), // Normalize: upper-case hex -- Chuẩn hóa: mã hex chữ hoa
+];
 
+/**
+ * Bulk tagging validation schema -- Sơ đồ xác thực gắn/gỡ tag hàng loạt
+ * Validates: array of 1-500 vocabulary IDs -- Xác thực: mảng 1-500 ID từ vựng
+ *
+ * @example
+ * Valid: { vocabularyIds: ["550e8400-e29b-41d4-a716-446655440000"] }
+ * Invalid: { vocabularyIds: [] }
+ */
+
+export const tagVocabulariesSchema = [
+  body("vocabularyIds")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("Phải gửi từ 1 đến 500 ID từ vựng"), // Batch size -- Kích thước lô
 
+  body("vocabularyIds.*").custom((id) => {
+    if (!isValidUUID(id)) {
+      throw new Error(`ID từ vựng không hợp lệ: ${id}`);
+    }
+    return true;
+  }),
+];
 
+/**
+ * Tag deletion validation schema -- Sơ đồ xác thực xóa tag
+ * Validates: optional reassignTo tag ID, different from :id -- Xác thực: ID tag nhận lại (tùy chọn), khác với :id
+ *
+ * @example
+ * DELETE /api/tags/:id?reassignTo=550e8400-e29b-41d4-a716-446655440000
+ */
 
+export const tagDeleteSchema = [
+  query("reassignTo")
+    .optional()
+    .custom((id, { req }) => {
+      if (!isValidUUID(id)) {
+        throw new Error("ID tag nhận lại không hợp lệ");
+      }
+      if (id === req.params.id) {
+        throw new Error("Không thể chuyển từ vựng sang chính tag đang xóa");
+      }
+      return true;
+    }),
+];
+
+/**
+ * Tag merge validation schema -- Sơ đồ xác thực gộp tag
+ * Validates: target tag ID, different from :id -- Xác thực: ID tag đích, khác với :id
+ *
+ * @example
+ * POST /api/tags/:id/merge { targetTagId: "550e8400-e29b-41d4-a716-446655440000" }
+ */
+
+export const tagMergeSchema = [
+  body("targetTagId")
+    .notEmpty()
+    .withMessage("ID tag đích là bắt buộc") // Target is required -- Tag đích là bắt buộc
+    .custom((id, { req }) => {
+      if (!isValidUUID(id)) {
+        throw new Error("ID tag đích không hợp lệ");
+      }
+      if (id === req.params.id) {
+        throw new Error("Không thể gộp tag vào chính nó"); // Cannot merge into itself -- Không thể gộp vào chính nó
+      }
+      return true;
+    }),
+];
+
+// ==========================================
+//  REVIEW VALIDATION SCHEMA -- Sơ đồ xác thực ôn tập
+// ==========================================
+
+export const MAX_RESPONSE_TIME_MS = 60 * 60 * 1000; // Longer answers are treated as abandoned -- Lâu hơn được coi là bỏ dở
+
+/**
+ * Review quality validation schema -- Sơ đồ xác thực điểm chất lượng ôn tập
+ * Validates: quality rating (0-5), vocabulary ID -- Xác thực: điểm chất lượng (0-5), ID từ vựng
+ *
+ * SM-2 quality scale -- Thang điểm SM-2:
+ * 0 = Complete blackout -- Quên hoàn toàn
+ * 1 = Incorrect, but remembered on seeing answer -- Sai, nhưng nhớ ra khi thấy đáp án
+ * 2 = Incorrect, but seemed easy on seeing answer -- Sai, nhưng thấy dễ khi xem đáp án
+ * 3 = Correct, but required significant difficulty -- Đúng, nhưng rất khó khăn
+ * 4 = Correct, with hesitation -- Đúng, còn do dự
+ * 5 = Perfect recall -- Nhớ hoàn hảo
+ *
+ * @example
+ * Valid: { vocabularyId: "550e8400-e29b-41d4-a716-446655440000", quality: 4, responseTimeMs: 3200 }
+ * Invalid: { vocabularyId: "abc", quality: 6 }
+ */
+
+export const reviewSchema = [
+  body("quality")
+    .notEmpty()
+    .withMessage("Điểm chất lượng là bắt buộc") // Quality rating is required -- Điểm chất lượng là bắt buộc
+    .isInt({ min: 0, max: 5 })
+    .withMessage("Điểm chất lượng phải là số nguyên từ 0 đến 5") // Quality range -- Khoảng giá trị điểm
+    .toInt(),
+
+  body("vocabularyId")
+    .notEmpty()
+    .withMessage("ID từ vựng là bắt buộc") // Vocabulary ID is required -- ID từ vựng là bắt buộc
+    .custom((id) => {
+      if (!isValidUUID(id)) {
+        throw new Error("ID từ vựng không hợp lệ");
+      }
+      return true;
+    }),
+
+  body("responseTimeMs")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_RESPONSE_TIME_MS })
+    .withMessage("Thời gian trả lời phải từ 0 đến 3.600.000 ms") // Up to one hour -- Tối đa một giờ
+    .toInt(),
+];
+
+/**
+ * Batch review validation schema -- Sơ đồ xác thực gửi nhiều lượt ôn tập
+ * Validates: array of 1-50 { vocabularyId, quality, responseTimeMs? } -- Xác thực: mảng 1-50 phần tử { vocabularyId, quality, responseTimeMs? }
+ *
+ * @example
+ * Valid: { reviews: [{ vocabularyId: "550e8400-e29b-41d4-a716-446655440000", quality: 5 }] }
+ * Invalid: { reviews: [] }
+ */
+
+export const batchReviewSchema = [
+  body("reviews")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Phải gửi từ 1 đến 50 lượt ôn tập"), // Batch size -- Kích thước lô
+
+  body("reviews.*.vocabularyId")
+    .notEmpty()
+    .withMessage("ID từ vựng là bắt buộc")
+    .custom((id) => {
+      if (!isValidUUID(id)) {
+        throw new Error("ID từ vựng không hợp lệ");
+      }
+      return true;
+    }),
+
+  body("reviews.*.quality")
+    .isInt({ min: 0, max: 5 })
+    .withMessage("Điểm chất lượng phải là số nguyên từ 0 đến 5")
+    .toInt(),
+
+  body("reviews.*.responseTimeMs")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_RESPONSE_TIME_MS })
+    .withMessage("Thời gian trả lời phải từ 0 đến 3.600.000 ms")
+    .toInt(),
+];
+
+// ==========================================
+//  STREAK VALIDATION SCHEMA -- Sơ đồ xác thực chuỗi ngày học
+// ==========================================
+
+/**
+ * Local calendar date rule -- Quy tắc ngày lịch địa phương
+ * Dates are plain "YYYY-MM-DD" in the user's timezone, never an instant -- Ngày là chuỗi "YYYY-MM-DD" theo múi giờ người dùng, không phải thời điểm
+ */
+const localDate = (chain) =>
+  chain
+    .isDate({ format: "YYYY-MM-DD", strictMode: true, delimiters: ["-"] })
+    .withMessage("Ngày phải có định dạng YYYY-MM-DD"); // Local date format -- Định dạng ngày địa phương
+
+/**
+ * Streak freeze validation schema -- Sơ đồ xác thực đóng băng chuỗi
+ * Validates: date "YYYY-MM-DD" -- Xác thực: ngày "YYYY-MM-DD"
+ *
+ * @example
+ * Valid: { date: "2025-11-09" }
+ * Invalid: { date: "09/11/2025" }
+ */
+
+export const streakFreezeSchema = [localDate(body("date"))];
+
+/**
+ * Streak freeze date parameter validation schema -- Sơ đồ xác thực tham số ngày đóng băng
+ *
+ * @example
+ * DELETE /api/streaks/freezes/2025-11-09
+ */
+
+export const freezeDateParamSchema = [localDate(param("date"))];
+
+// ==========================================
+//  USER SETTINGS VALIDATION SCHEMA -- Sơ đồ xác thực cài đặt người dùng
+// ==========================================
+
+/**
+ * User settings update validation schema -- Sơ đồ xác thực cập nhật cài đặt người dùng
+ * Validates: theme, language, notifications, review settings, timezone, daily goal -- Xác thực: giao diện, ngôn ngữ, thông báo, cài đặt ôn tập, múi giờ, mục tiêu hằng ngày
+ *
+ * reviewSettings.algorithm picks the scheduler: sm2 | fsrs | leitner -- reviewSettings.algorithm chọn bộ lập lịch
+ * Every field is optional, PATCH sends only what changes -- Mọi trường đều tùy chọn, PATCH chỉ gửi phần thay đổi
+ *
+ * @example
+ * Valid: { theme: "dark", reviewSettings: { cardsPerDay: 20, algorithm: "fsrs" }, timezone: "Asia/Ho_Chi_Minh" }
+ * Invalid: { theme: "blue", reviewSettings: { cardsPerDay: 500 } }
+ */
+
+export const userSettingsSchema = [
+  body("theme")
+    .optional()
+    .isIn(THEMES)
+    .withMessage("Giao diện phải là: light, dark hoặc auto"), // Theme -- Giao diện
+
+  body("language")
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage("Mã ngôn ngữ không hợp lệ"), // Language code -- Mã ngôn ngữ
+
+  body("notifications.email")
+    .optional()
+    .isBoolean()
+    .withMessage("Thông báo email phải là kiểu boolean")
+    .toBoolean(),
+
+  body("notifications.push")
+    .optional()
+    .isBoolean()
+    .withMessage("Thông báo đẩy phải là kiểu boolean")
+    .toBoolean(),
+
+  body("notifications.reviewReminder")
+    .optional()
+    .isBoolean()
+    .withMessage("Nhắc nhở ôn tập phải là kiểu boolean")
+    .toBoolean(),
+
+  body("reviewSettings.cardsPerDay")
+    .optional()
+    .isInt({ min: 5, max: 100 })
+    .withMessage("Số thẻ mỗi ngày phải từ 5 đến 100") // Cards per day -- Số thẻ mỗi ngày
+    .toInt(),
+
+  body("reviewSettings.showDefinitionFirst").optional().isBoolean().toBoolean(),
+
+  body("reviewSettings.autoPlayAudio").optional().isBoolean().toBoolean(),
+
+  body("reviewSettings.difficulty")
+    .optional()
+    .isIn(REVIEW_DIFFICULTIES)
+    .withMessage("Độ khó phải là: easy, medium hoặc hard"),
+
+  body("reviewSettings.algorithm")
+    .optional()
+    .isIn(ALGORITHM_NAMES)
+    .withMessage("Thuật toán ôn tập phải là: sm2, fsrs hoặc leitner"), // Scheduling algorithm -- Thuật toán lập lịch
+
+  body("timezone")
+    .optional()
+    .isString()
+    .custom((tz) => {
+      // IANA timezone, e.g. "Asia/Ho_Chi_Minh" or "UTC" -- Múi giờ IANA, ví dụ "Asia/Ho_Chi_Minh" hoặc "UTC"
+      if (!isValidTimeZone(tz)) {
+        throw new Error("Múi giờ không hợp lệ");
+      }
+      return true;
+    }),
+
+  body("dailyGoal")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Mục tiêu hằng ngày phải từ 1 đến 1000") // Daily goal -- Mục tiêu hằng ngày
+    .toInt(),
+];
+
+// ==========================================
+//  QUERY PARAMETER VALIDATION SCHEMA -- Sơ đồ xác thực tham số truy vấn
+// ==========================================
+
+/**
+ * Pagination query validation schema -- Sơ đồ xác thực phân trang
+ * Validates: page, limit, sortBy, sortOrder -- Xác thực: trang, số lượng, trường sắp xếp, thứ tự sắp xếp
+ *
+ * Read the sanitized values with matchedData(req) -- Đọc giá trị đã chuẩn hóa bằng matchedData(req)
+ *
+ * @example
+ * GET /api/vocabularies?page=2&limit=20&sortBy=word&sortOrder=asc
+ */
+
+export const paginationSchema = [
+  query("page")
+    .default(1)
+    .isInt({ min: 1 })
+    .withMessage("Trang phải là số nguyên dương") // Page must be positive -- Trang phải là số dương
+    .toInt(),
+
+  query("limit")
+    .default(20)
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Số lượng phải từ 1 đến 100") // Limit range -- Khoảng giới hạn
+    .toInt(),
+
+  query("sortBy")
+    .default("createdAt")
+    .isIn(["createdAt", "updatedAt", "word", "difficulty"])
+    .withMessage("Trường sắp xếp không hợp lệ"), // Invalid sort field -- Trường sắp xếp không hợp lệ
+
+  query("sortOrder")
+    .default("desc")
+    .isIn(["asc", "desc"])
+    .withMessage("Thứ tự sắp xếp phải là asc hoặc desc"),
+];
+
+/**
+ * Search query validation schema -- Sơ đồ xác thực tìm kiếm
+ * Validates: search term, strips "<" and ">" -- Xác thực: từ khóa, loại bỏ "<" và ">"
+ *
+ * @example
+ * GET /api/vocabularies?q=elab
+ */
+
+export const searchSchema = [
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Từ khóa tìm kiếm phải từ 1 đến 100 ký tự")
+    .customSanitizer((q) => q.replace(/[<>]/g, "")), // Sanitize search query -- Làm sạch từ khóa
+];
+
+/**
+ * Tag filter query validation schema -- Sơ đồ xác thực tham số lọc theo tag
+ * Validates: optional tag ID or name -- Xác thực: ID hoặc tên tag (tùy chọn)
+ *
+ * @example
+ * GET /api/vocabularies/export/anki?tag=IELTS
+ * GET /api/vocabularies/search?tag=IELTS
+ * GET /api/reviews/queue?tag=550e8400-e29b-41d4-a716-446655440000
+ */
+
+export const tagQuerySchema = [
+  query("tag")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 36 })
+    .withMessage("Tag phải từ 1 đến 36 ký tự"), // Tag name (30) or UUID (36) -- Tên tag (30) hoặc UUID (36)
+];
+
+/**
+ * Vocabulary search validation schema -- Sơ đồ xác thực tìm kiếm từ vựng
+ * Validates: q, tag, partOfSpeech, minDifficulty <= maxDifficulty (1-5) -- Xác thực: q, tag, từ loại, minDifficulty <= maxDifficulty (1-5)
+ * Combine with paginationSchema -- Dùng kèm paginationSchema
+ *
+ * @example
+ * GET /api/vocabularies/search?q=tinh co&tag=IELTS&partOfSpeech=noun&minDifficulty=2&maxDifficulty=4
+ */
+
+export const vocabularySearchSchema = [
+  ...searchSchema,
+  ...tagQuerySchema,
+
+  query("partOfSpeech")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(PARTS_OF_SPEECH)
+    .withMessage("Từ loại không hợp lệ"),
+
+  query("minDifficulty")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Độ khó tối thiểu phải từ 1 đến 5")
+    .toInt(),
+
+  query("maxDifficulty")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Độ khó tối đa phải từ 1 đến 5")
+    .toInt()
+    .custom((max, { req }) => {
+      const min = Number(req.query.minDifficulty);
+      if (Number.isInteger(min) && max < min) {
+        throw new Error("Độ khó tối đa phải lớn hơn hoặc bằng độ khó tối thiểu");
+      }
+      return true;
+    }),
+];
+
+export const MAX_DATE_RANGE_DAYS = 366;
+
+/**
+ * Date range query validation schema -- Sơ đồ xác thực khoảng thời gian
+ * Validates: ISO 8601 startDate/endDate, endDate after startDate, at most 366 days -- Xác thực: startDate/endDate ISO 8601, endDate sau startDate, tối đa 366 ngày
+ * Missing bounds are filled by each endpoint -- Mỗi endpoint tự điền giá trị mặc định khi thiếu
+ *
+ * @example
+ * GET /api/analytics/reviews-per-day?startDate=2025-01-01&endDate=2025-01-31
+ */
+
+export const dateRangeSchema = [
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Ngày bắt đầu phải theo định dạng ISO 8601") // Start date format -- Định dạng ngày bắt đầu
+    .toDate(),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Ngày kết thúc phải theo định dạng ISO 8601") // End date format -- Định dạng ngày kết thúc
+    .toDate()
+    .custom((endDate, { req }) => {
+      const startDate = req.query.startDate && new Date(req.query.startDate);
+      if (!startDate || Number.isNaN(startDate.getTime())) {
+        return true;
+      }
+      if (endDate < startDate) {
+        throw new Error("Ngày kết thúc phải sau ngày bắt đầu");
+      }
+      if (endDate - startDate > MAX_DATE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Khoảng thời gian không được vượt quá ${MAX_DATE_RANGE_DAYS} ngày`);
+      }
+      return true;
+    }),
+];
+
+/**
+ * Hardest words query validation schema -- Sơ đồ xác thực truy vấn từ khó nhất
+ * Validates: dateRangeSchema + limit 1-50 (default 10) -- Xác thực: dateRangeSchema + limit 1-50 (mặc định 10)
+ *
+ * @example
+ * GET /api/analytics/hardest-words?limit=20&startDate=2025-01-01
+ */
+
+export const hardestWordsSchema = [
+  ...dateRangeSchema,
+
+  query("limit")
+    .default(10)
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Số lượng phải từ 1 đến 50")
+    .toInt(),
+];
+
+// ==========================================
+//  ADMIN VALIDATION SCHEMA -- Sơ đồ xác thực quản trị
+// ==========================================
+
+const adminPagination = [
+  query("page")
+    .default(1)
+    .isInt({ min: 1 })
+    .withMessage("Trang phải là số nguyên dương")
+    .toInt(),
+
+  query("limit")
+    .default(20)
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Số lượng phải từ 1 đến 100")
+    .toInt(),
+];
+
+/**
+ * Admin user list validation schema -- Sơ đồ xác thực danh sách người dùng cho quản trị
+ * Validates: page, limit, q (email or name), role (any case), status -- Xác thực: trang, số lượng, q (email hoặc tên), vai trò (mọi kiểu chữ), trạng thái
+ *
+ * @example
+ * GET /api/admin/users?q=gmail.com&role=admin&status=disabled
+ */
+
+export const adminUserListSchema = [
+  ...adminPagination,
+  ...searchSchema,
+
+  query("role")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isIn(Object.values(ROLES))
+    .withMessage(`Vai trò phải là một trong: ${Object.values(ROLES).join(", ")}`),
+
+  query("status")
+    .default("all")
+    .isIn(["all", "active", "disabled"])
+    .withMessage("Trạng thái phải là all, active hoặc disabled"),
+];
+
+/**
+ * Disable user validation schema -- Sơ đồ xác thực vô hiệu hóa người dùng
+ * Validates: optional reason, kept in the audit log -- Xác thực: lý do (tùy chọn), lưu trong nhật ký
+ *
+ * @example
+ * POST /api/admin/users/:id/disable
+ * { "reason": "Spam" }
+ */
+
+export const disableUserSchema = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Lý do không được vượt quá 500 ký tự"),
+];
+
+/**
+ * Audit log query validation schema -- Sơ đồ xác thực truy vấn nhật ký
+ * Validates: page, limit, actorId, action, targetId, dateRangeSchema -- Xác thực: trang, số lượng, người thực hiện, thao tác, đối tượng, khoảng thời gian
+ *
+ * @example
+ * GET /api/admin/audit-logs?action=users.disable&startDate=2025-01-01
+ */
+
+export const auditLogQuerySchema = [
+  ...adminPagination,
+  ...dateRangeSchema,
+
+  query("actorId")
+    .optional()
+    .custom((id) => {
+      if (!isValidUUID(id)) {
+        throw new Error("ID người thực hiện không hợp lệ");
+      }
+      return true;
+    }),
+
+  query("action")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Thao tác phải từ 1 đến 100 ký tự"),
+
+  query("targetId")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("ID đối tượng phải từ 1 đến 255 ký tự"),
+];
+
+/**
+ * Log level change validation schema -- Sơ đồ xác thực đổi mức log
+ * Validates: level and modules { name: level | null } -- Xác thực: level và modules { tên: mức | null }
+ *
+ * @example
+ * PATCH /api/admin/log-levels
+ * { "level": "info", "modules": { "scheduler": "debug", "database": null } }
+ */
+
+export const logLevelsSchema = [
+  body()
+    .custom((value = {}) => value.level !== undefined || value.modules !== undefined)
+    .withMessage("Cần ít nhất level hoặc modules"),
+
+  body("level")
+    .optional()
+    .isIn(LOG_LEVELS)
+    .withMessage(`Mức log phải là một trong: ${LOG_LEVELS.join(", ")}`),
+
+  body("modules")
+    .optional()
+    .isObject()
+    .withMessage("modules phải là object { module: mức log }")
+    .custom((modules) => {
+      for (const [name, level] of Object.entries(modules)) {
+        if (!/^[\w.-]{1,50}$/.test(name)) {
+          throw new Error(`Tên module không hợp lệ: ${name}`);
+        }
+        if (level !== null && !LOG_LEVELS.includes(level)) {
+          throw new Error(`Mức log của module ${name} không hợp lệ`);
+        }
+      }
+      return true;
+    }),
+];
+
+// ==========================================
+//  URL PARAMETER VALIDATION SCHEMA -- Sơ đồ xác thực tham số URL
+// ==========================================
+
+/**
+ * UUID parameter validation schema -- Sơ đồ xác thực tham số UUID
+ * Validates: :id in the URL -- Xác thực: :id trên URL
+ *
+ * @example
+ * GET /api/vocabularies/:id
+ */
+
+export const uuidParamSchema = [
+  param("id")
+    .notEmpty()
+    .withMessage("ID là bắt buộc") // ID is required -- ID là bắt buộc
+    .custom((id) => {
+      if (!isValidUUID(id)) {
+        throw new Error("ID không hợp lệ");
+      }
+      return true;
+    }),
+];
+
+/**
+ * Dictionary word parameter validation schema -- Sơ đồ xác thực tham số từ cần tra
+ * Validates: :word, same characters as vocabSchema word -- Xác thực: :word, cùng ký tự với trường word của vocabSchema
+ *
+ * @example
+ * GET /api/dictionary/:word
+ */
+
+export const wordParamSchema = [
+  param("word")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Từ phải từ 1 đến 100 ký tự")
+    .matches(/^[\p{L}\s'-]+$/u)
+    .withMessage("Từ chỉ được chứa chữ cái, khoảng trắng, dấu nháy và gạch nối"),
+];
+
+// ==========================================
+//  FILE UPLOAD VALIDATION SCHEMA -- Sơ đồ xác thực tải tệp lên
+// ==========================================
+
+export const CSV_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
+/**
+ * CSV upload validation schema -- Sơ đồ xác thực tải lên tệp CSV
+ * Validates: file presence, CSV type, size <= 5MB (multer puts the file on req.file) -- Xác thực: có tệp, định dạng CSV, dung lượng <= 5MB
+ *
+ * @example
+ * POST /api/vocabularies/import (multipart/form-data, field "file")
+ */
+
+export const csvUploadSchema = [
+  body("file").custom((value, { req }) => {
+    if (!req.file) {
+      throw new Error("Tệp CSV là bắt buộc"); // CSV file is required -- Tệp CSV là bắt buộc
+    }
+
+    const allowedMimes = ["text/csv", "application/vnd.ms-excel"];
+    const isCsvName = /\.csv$/i.test(req.file.originalname || "");
+    if (!allowedMimes.includes(req.file.mimetype) && !isCsvName) {
+      throw new Error("Tệp phải có định dạng CSV");
+    }
+
+    if (req.file.size > CSV_MAX_SIZE) {
+      throw new Error("Dung lượng tệp không được vượt quá 5MB");
+    }
+
+    return true;
+  }),
+];
+
+export const APKG_MAX_SIZE = 50 * 1024 * 1024; // 50MB, decks often ship media -- bộ thẻ thường kèm media
+
+/**
+ * Anki package upload validation schema -- Sơ đồ xác thực tải lên gói Anki
+ * Validates: file presence, .apkg extension, size <= 50MB -- Xác thực: có tệp, đuôi .apkg, dung lượng <= 50MB
+ *
+ * @example
+ * POST /api/vocabularies/import/anki (multipart/form-data, field "file")
+ */
+
+export const apkgUploadSchema = [
+  body("file").custom((value, { req }) => {
+    if (!req.file) {
+      throw new Error("Tệp .apkg là bắt buộc"); // Package is required -- Tệp gói là bắt buộc
+    }
+
+    // Browsers send .apkg as application/octet-stream or zip -- Trình duyệt gửi .apkg dạng octet-stream hoặc zip
+    if (!/\.apkg$/i.test(req.file.originalname || "")) {
+      throw new Error("Tệp phải có đuôi .apkg");
+    }
+
+    if (req.file.size > APKG_MAX_SIZE) {
+      throw new Error("Dung lượng tệp không được vượt quá 50MB");
+    }
+
+    return true;
+  }),
+];
+
+// ==========================================
+//  UTILITY FUNCTIONS -- Các hàm tiện ích
+// ==========================================
+
+/**
+ * Validate UUID format (v4) -- Kiểm tra định dạng UUID (v4)
+ *
+ * @param {string} uuid - UUID string to validate -- Chuỗi UUID cần kiểm tra
+ * @return {boolean} True if valid UUID v4 -- true nếu là UUID v4 hợp lệ
+ *
+ * @example
+ * Valid: "550e8400-e29b-41d4-a716-446655440000"
+ * Invalid: "not-a-uuid"
+ */
+export const isValidUUID = (uuid) => {
+  if (typeof uuid !== "string") {
+    return false;
+  }
+
+  // xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx (y = 8, 9, a, b)
+  const uuidV4Regex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  return uuidV4Regex.test(uuid);
+};
+
+// ==========================================
+//  DATABASE VALIDATORS -- Bộ xác thực dựa trên cơ sở dữ liệu
+// ==========================================
+
+/**
+ * Check if a user owns a resource -- Kiểm tra người dùng có sở hữu tài nguyên
+ * Routes answer 404 (not 403) when this is false, so IDs of other users are not leaked -- Route trả 404 (không phải 403) khi false, để không lộ ID của người khác
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} model - Prisma model name, e.g. "vocabulary" -- Tên model Prisma
+ * @param {string} resourceId - Resource ID -- ID tài nguyên
+ * @param {string} userId - User ID -- ID người dùng
+ * @return {Promise<boolean>} True if the user owns it -- true nếu người dùng sở hữu
+ * @throws {Error} Database errors, so an outage is a 500 and not a 404 -- Lỗi CSDL, để sự cố là 500 chứ không phải 404
+ *
+ * @example
+ * if (!(await checkOwnership(prisma, "vocabulary", req.params.id, req.user.id))) {
+ *   throw notFound("Không tìm thấy từ vựng");
+ * }
+ */
+export const checkOwnership = async (prisma, model, resourceId, userId) => {
+  const record = await prisma[model].findFirst({
+    where: { id: resourceId, userId },
+    select: { id: true },
+  });
+  return !!record;
+};
+
+/**
+ * Check if a value already exists in a table -- Kiểm tra một giá trị đã tồn tại trong bảng
+ *
+ * @param {PrismaClient} prisma - Prisma client -- Đối tượng Prisma
+ * @param {string} model - Prisma model name, e.g. "user" -- Tên model Prisma
+ * @param {string} field - Field to match -- Trường cần so khớp
+ * @param {*} value - Value to look for -- Giá trị cần tìm
+ * @return {Promise<boolean>} True if a row matches -- true nếu có bản ghi khớp
+ * @throws {Error} Database errors, so checks are never skipped silently -- Lỗi CSDL, để việc kiểm tra không bị bỏ qua âm thầm
+ *
+ * @example
+ * if (await checkExists(prisma, "user", "email", email)) {
+ *   throw conflict("Email đã được đăng ký");
+ * }
+ */
+export const checkExists = async (prisma, model, field, value) => {
+  const record = await prisma[model].findFirst({
+    where: { [field]: value },
+    select: { id: true },
+  });
+  return !!record;
+};
@@ -0,0 +1,95 @@
+import {
+  GOOGLE_REAUTH_MAX_AGE_MS,
+  deleteAccount,
+} from "../../src/services/account.js";
+import { hashPassword } from "../../src/services/auth.js";
+
+// ==========================================
+//  ACCOUNT SERVICE -- Dịch vụ tài khoản
+// ==========================================
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+const now = new Date("2025-01-15T08:00:00Z");
+
+/**
+ * Prisma stand-in for deleteAccount, `deleted` turns true once the user row is gone -- Prisma giả cho deleteAccount, `deleted` thành true khi bản ghi user bị xóa
+ */
+const createPrisma = (user) => {
+  const state = { deleted: false };
+  const deleteMany = async () => ({ count: 0 });
+  const tx = {
+    user: {
+      findUnique: async () => ({ id: user.id }),
+      delete: async () => {
+        state.deleted = true;
+      },
+    },
+    ...Object.fromEntries(
+      [
+        "vocabularyTag",
+        "review",
+        "reviewLog",
+        "vocabulary",
+        "tag",
+        "dailyProgress",
+        "streakFreeze",
+        "session",
+        "authToken",
+      ].map((model) => [model, { deleteMany }])
+    ),
+  };
+
+  return {
+    state,
+    user: { findUnique: async () => user },
+    $transaction: async (fn) => fn(tx),
+  };
+};
+
+describe("deleteAccount with a password", () => {
+  let prisma;
+
+  beforeAll(async () => {
+    prisma = createPrisma({ id: USER_ID, passwordHash: await hashPassword("CurrentP@ss1") });
+  });
+
+  it("refuses a wrong password, even with a Google re-authentication", async () => {
+    const confirmation = { password: "Wrong1!", googleReauthAt: now.getTime() };
+
+    await expect(deleteAccount(prisma, USER_ID, confirmation, now)).rejects.toMatchObject({
+      status: 403,
+    });
+    expect(prisma.state.deleted).toBe(false);
+  });
+
+  it("deletes with the right password", async () => {
+    await deleteAccount(prisma, USER_ID, { password: "CurrentP@ss1" }, now);
+
+    expect(prisma.state.deleted).toBe(true);
+  });
+});
+
+describe("deleteAccount for a Google-only account", () => {
+  const googleUser = { id: USER_ID, passwordHash: null, googleId: "google-1" };
+
+  it.each([
+    ["without a re-authentication", undefined],
+    ["with an expired re-authentication", now.getTime() - GOOGLE_REAUTH_MAX_AGE_MS - 1],
+    ["with a re-authentication in the future", now.getTime() + 1000],
+  ])("refuses %s", async (_, googleReauthAt) => {
+    const prisma = createPrisma(googleUser);
+
+    await expect(deleteAccount(prisma, USER_ID, { googleReauthAt }, now)).rejects.toMatchObject({
+      status: 403,
+    });
+    expect(prisma.state.deleted).toBe(false);
+  });
+
+  it("deletes after a recent Google re-authentication", async () => {
+    const prisma = createPrisma(googleUser);
+
+    await deleteAccount(prisma, USER_ID, { googleReauthAt: now.getTime() - 60 * 1000 }, now);
+
+    expect(prisma.state.deleted).toBe(true);
+  });
+});
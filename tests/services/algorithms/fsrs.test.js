@@ -0,0 +1,82 @@
+import fsrs, {
+  retrievability,
+  toGrade,
+} from "../../../src/services/algorithms/fsrs.js";
+import { DAY_MS } from "../../../src/utils/date.js";
+
+// ==========================================
+//  FSRS-STYLE MODEL -- Mô hình kiểu FSRS
+// ==========================================
+
+const now = new Date("2025-01-15T08:00:00Z");
+
+describe("toGrade", () => {
+  it("maps 0-2 to Again and 3-5 to Hard/Good/Easy", () => {
+    expect([0, 1, 2, 3, 4, 5].map(toGrade)).toEqual([1, 1, 1, 2, 3, 4]);
+  });
+});
+
+describe("retrievability", () => {
+  it("is 1 right after a review and drops over time", () => {
+    expect(retrievability(0, 10)).toBe(1);
+    expect(retrievability(10, 10)).toBeLessThan(retrievability(5, 10));
+  });
+});
+
+describe("fsrs.next", () => {
+  it("seeds stability and difficulty from the first grade", () => {
+    const good = fsrs.next(null, 4, now);
+    const again = fsrs.next(null, 1, now);
+
+    expect(good).toMatchObject({ stability: 2.4, fsrsDifficulty: 4.93, repetitions: 1 });
+    expect(again.repetitions).toBe(0);
+    expect(again.fsrsDifficulty).toBeGreaterThan(good.fsrsDifficulty);
+    expect(good.interval).toBeGreaterThanOrEqual(1);
+  });
+
+  it("grows stability on success and shrinks it on a lapse", () => {
+    const review = {
+      stability: 10,
+      fsrsDifficulty: 5,
+      repetitions: 3,
+      lastReviewed: new Date(now.getTime() - 10 * DAY_MS),
+    };
+
+    const success = fsrs.next(review, 4, now);
+    const lapse = fsrs.next(review, 0, now);
+
+    expect(success.stability).toBeGreaterThan(10);
+    expect(success.repetitions).toBe(4);
+    expect(lapse.stability).toBeLessThan(10);
+    expect(lapse.repetitions).toBe(0);
+    expect(success.nextReview.getTime() - now.getTime()).toBe(success.interval * DAY_MS);
+  });
+
+  it("keeps difficulty within 1..10", () => {
+    let review = null;
+    for (let i = 0; i < 20; i += 1) {
+      review = fsrs.next(review, 0, now);
+    }
+    expect(review.fsrsDifficulty).toBeLessThanOrEqual(10);
+    expect(review.fsrsDifficulty).toBeGreaterThanOrEqual(1);
+  });
+});
+
+describe("fsrs.migrate", () => {
+  it("leaves unlearned reviews for the first answer to seed", () => {
+    expect(fsrs.migrate({ interval: 0, repetitions: 0 })).toEqual({
+      stability: null,
+      fsrsDifficulty: null,
+    });
+  });
+
+  it("derives stability from the interval and difficulty from easeFactor", () => {
+    expect(fsrs.migrate({ interval: 15, repetitions: 3, easeFactor: 2.5 })).toEqual({
+      stability: 15,
+      fsrsDifficulty: 5,
+    });
+    expect(fsrs.migrate({ interval: 6, repetitions: 2, easeFactor: 1.3 }).fsrsDifficulty).toBe(
+      10
+    );
+  });
+});
@@ -0,0 +1,45 @@
+import leitner, {
+  BOX_INTERVALS,
+  boxForInterval,
+} from "../../../src/services/algorithms/leitner.js";
+import { DAY_MS } from "../../../src/utils/date.js";
+
+// ==========================================
+//  LEITNER BOXES -- Hệ thống hộp Leitner
+// ==========================================
+
+const now = new Date("2025-01-15T08:00:00Z");
+
+describe("boxForInterval", () => {
+  it("picks the highest box whose interval has been reached", () => {
+    expect(boxForInterval(0)).toBe(1);
+    expect(boxForInterval(3)).toBe(2);
+    expect(boxForInterval(8)).toBe(4);
+    expect(boxForInterval(365)).toBe(BOX_INTERVALS.length);
+  });
+});
+
+describe("leitner.next", () => {
+  it("moves up one box on success, capped at the last box", () => {
+    expect(leitner.next({ box: 2, repetitions: 1 }, 4, now)).toMatchObject({
+      box: 3,
+      interval: 4,
+      repetitions: 2,
+    });
+    expect(leitner.next({ box: 5 }, 5, now).box).toBe(5);
+  });
+
+  it("goes back to box 1 on a failed recall", () => {
+    const result = leitner.next({ box: 4, repetitions: 5 }, 1, now);
+
+    expect(result).toMatchObject({ box: 1, interval: 1, repetitions: 0 });
+    expect(result.nextReview.getTime() - now.getTime()).toBe(DAY_MS);
+  });
+});
+
+describe("leitner.migrate", () => {
+  it("places the review in the box matching its interval", () => {
+    expect(leitner.migrate({ interval: 6 })).toEqual({ box: 3 });
+    expect(leitner.migrate({})).toEqual({ box: 1 });
+  });
+});
@@ -0,0 +1,57 @@
+import sm2, {
+  calculateSm2,
+  MIN_EASE_FACTOR,
+} from "../../../src/services/algorithms/sm2.js";
+import { DAY_MS } from "../../../src/utils/date.js";
+
+// ==========================================
+//  SM-2 ALGORITHM -- Thuật toán SM-2
+// ==========================================
+
+const now = new Date("2025-01-15T08:00:00Z");
+
+describe("calculateSm2", () => {
+  it("schedules 1 day, 6 days, then interval * easeFactor on success", () => {
+    const first = calculateSm2(null, 4, now);
+    expect(first).toMatchObject({ interval: 1, repetitions: 1, easeFactor: 2.5 });
+
+    const second = calculateSm2(first, 4, now);
+    expect(second).toMatchObject({ interval: 6, repetitions: 2 });
+
+    const third = calculateSm2(second, 4, now);
+    expect(third).toMatchObject({ interval: 15, repetitions: 3 });
+  });
+
+  it("resets repetitions and reviews tomorrow on a failed recall", () => {
+    const result = calculateSm2({ easeFactor: 2.5, interval: 15, repetitions: 3 }, 2, now);
+
+    expect(result.interval).toBe(1);
+    expect(result.repetitions).toBe(0);
+    expect(result.easeFactor).toBe(2.18);
+  });
+
+  it("adjusts easeFactor by quality and never goes below the minimum", () => {
+    expect(calculateSm2({ easeFactor: 2.5 }, 5, now).easeFactor).toBe(2.6);
+    expect(calculateSm2({ easeFactor: 2.5 }, 3, now).easeFactor).toBe(2.36);
+    expect(calculateSm2({ easeFactor: 1.3 }, 0, now).easeFactor).toBe(MIN_EASE_FACTOR);
+  });
+
+  it("sets nextReview, lastReviewed and quality", () => {
+    const result = calculateSm2({ easeFactor: 2.5, interval: 6, repetitions: 2 }, 4, now);
+
+    expect(result.lastReviewed).toBe(now);
+    expect(result.quality).toBe(4);
+    expect(result.nextReview.getTime() - now.getTime()).toBe(15 * DAY_MS);
+  });
+
+  it.each([-1, 6, 2.5, "4", undefined])("rejects quality %p", (quality) => {
+    expect(() => calculateSm2(null, quality, now)).toThrow(RangeError);
+  });
+});
+
+describe("sm2 registry entry", () => {
+  it("uses calculateSm2 as next()", () => {
+    expect(sm2.name).toBe("sm2");
+    expect(sm2.next).toBe(calculateSm2);
+  });
+});
@@ -0,0 +1,148 @@
+import initSqlJs from "sql.js";
+import JSZip from "jszip";
+import { exportAnkiPackage, importAnkiPackage } from "../../src/services/ankiPackage.js";
+
+// ==========================================
+//  ANKI PACKAGE (.apkg) -- Gói Anki
+// ==========================================
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+
+const NOTES_TABLE =
+  "CREATE TABLE notes (id integer primary key, mid integer, tags text, flds text);" +
+  "INSERT INTO notes VALUES (1, 1, '', 'apple\x1f\x1fA fruit');";
+const CARDS_TABLE =
+  "CREATE TABLE cards (id integer primary key, nid integer, ord integer, type integer, due integer, ivl integer, factor integer, reps integer);";
+const COL_TABLE = "CREATE TABLE col (id integer primary key, crt integer, models text);";
+
+/**
+ * Zip a collection built from SQL statements -- Nén một collection được tạo từ các câu SQL
+ */
+const buildPackage = async (sql) => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(sql);
+  const zip = new JSZip();
+  zip.file("collection.anki2", db.export());
+  db.close();
+  return zip.generateAsync({ type: "nodebuffer" });
+};
+
+const prisma = {
+  vocabulary: { findMany: async () => [] },
+  $transaction: async () => {
+    throw new Error("Nothing should be imported");
+  },
+};
+
+describe("importAnkiPackage", () => {
+  it.each([
+    ["no col table", NOTES_TABLE + CARDS_TABLE],
+    ["no col row", NOTES_TABLE + CARDS_TABLE + COL_TABLE],
+    [
+      "malformed models JSON",
+      NOTES_TABLE + CARDS_TABLE + COL_TABLE + "INSERT INTO col VALUES (1, 0, '{broken');",
+    ],
+    [
+      "null models",
+      NOTES_TABLE + CARDS_TABLE + COL_TABLE + "INSERT INTO col VALUES (1, 0, 'null');",
+    ],
+    ["no cards table", NOTES_TABLE + COL_TABLE + "INSERT INTO col VALUES (1, 0, '{}');"],
+  ])("returns 400 for a collection with %s", async (_, sql) => {
+    const buffer = await buildPackage(sql);
+
+    await expect(importAnkiPackage(prisma, USER_ID, buffer)).rejects.toMatchObject({
+      status: 400,
+      message: "Tệp .apkg không hợp lệ",
+    });
+  });
+
+  it("returns 400 for a file that is not a zip", async () => {
+    await expect(
+      importAnkiPackage(prisma, USER_ID, Buffer.from("not a zip"))
+    ).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe("exportAnkiPackage -> importAnkiPackage", () => {
+  const now = new Date("2025-03-10T09:30:00Z");
+  const exported = [
+    {
+      id: "11111111-1111-4111-8111-111111111111",
+      word: "Apple",
+      pronunciation: "/ˈæp.əl/",
+      definition: "A round fruit",
+      example: "I eat an apple.",
+      partOfSpeech: "noun",
+      vocabularyTag: [{ tag: { name: "FRUIT" } }],
+      reviews: [
+        {
+          algorithm: "sm2",
+          easeFactor: 2.36,
+          interval: 15,
+          repetitions: 3,
+          nextReview: new Date("2025-03-20T00:00:00Z"),
+        },
+      ],
+    },
+    {
+      id: "22222222-2222-4222-8222-222222222222",
+      word: "Banana",
+      definition: "A long yellow fruit",
+      vocabularyTag: [],
+      reviews: [],
+    },
+  ];
+
+  /**
+   * Prisma stand-in that records what the import writes -- Prisma giả ghi lại những gì được nhập
+   */
+  const createImportPrisma = () => {
+    const written = { vocabularies: [], reviews: [], tags: [] };
+    const tx = {
+      tag: {
+        findMany: async () => [],
+        createMany: async ({ data }) => written.tags.push(...data),
+      },
+      vocabulary: { createMany: async ({ data }) => written.vocabularies.push(...data) },
+      vocabularyTag: { createMany: async () => {} },
+      review: { createMany: async ({ data }) => written.reviews.push(...data) },
+    };
+    return {
+      written,
+      vocabulary: { findMany: async () => [] },
+      $transaction: async (fn) => fn(tx),
+    };
+  };
+
+  it("carries the words, tags and SM-2 state", async () => {
+    const { buffer, count } = await exportAnkiPackage(
+      { vocabulary: { findMany: async () => exported } },
+      USER_ID,
+      { now }
+    );
+    const prisma = createImportPrisma();
+
+    const report = await importAnkiPackage(prisma, USER_ID, buffer);
+
+    expect(count).toBe(2);
+    expect(report.summary).toMatchObject({ total: 2, imported: 2, rejected: 0 });
+    expect(prisma.written.vocabularies.map((v) => v.word)).toEqual(["Apple", "Banana"]);
+    expect(prisma.written.vocabularies[0]).toMatchObject({
+      pronunciation: "/ˈæp.əl/",
+      definition: "A round fruit",
+      example: "I eat an apple.",
+      partOfSpeech: "noun",
+    });
+    expect(prisma.written.tags.map((tag) => tag.name)).toEqual(["FRUIT"]);
+    expect(prisma.written.reviews).toHaveLength(1);
+    expect(prisma.written.reviews[0]).toMatchObject({
+      algorithm: "sm2",
+      easeFactor: 2.36,
+      interval: 15,
+      repetitions: 3,
+      nextReview: new Date("2025-03-20T00:00:00Z"),
+      lastReviewed: new Date("2025-03-05T00:00:00Z"),
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  DICTIONARY_ENDPOINT,
+  lookupWord,
+  setDictionaryProvider,
+} from "../../src/services/dictionary.js";
+
+// ==========================================
+//  DICTIONARY LOOKUP -- Tra từ điển
+// ==========================================
+
+const now = new Date("2025-01-15T08:00:00Z");
+
+/**
+ * Prisma stand-in holding one ApiUsage counter and the cache -- Prisma giả chứa một bộ đếm ApiUsage và cache
+ */
+const createPrisma = () => {
+  const usage = new Map();
+  const cache = new Map();
+  const keyOf = ({ endpoint, date }) => `${endpoint}|${date.toISOString()}`;
+
+  return {
+    usage,
+    dictionaryCache: {
+      findUnique: async ({ where }) => cache.get(where.word) ?? null,
+      upsert: async ({ where, create }) => cache.set(where.word, create),
+    },
+    apiUsage: {
+      updateMany: async ({ where, data }) => {
+        const count = usage.get(keyOf(where));
+        if (count === undefined) {
+          return { count: 0 };
+        }
+        if (data.count.increment && count < where.count.lt) {
+          usage.set(keyOf(where), count + 1);
+          return { count: 1 };
+        }
+        if (data.count.decrement && count > where.count.gt) {
+          usage.set(keyOf(where), count - 1);
+          return { count: 1 };
+        }
+        return { count: 0 };
+      },
+      findUnique: async ({ where }) =>
+        usage.has(keyOf(where.endpoint_date)) ? { id: "1" } : null,
+      create: async ({ data }) => usage.set(keyOf(data), data.count),
+    },
+  };
+};
+
+const usedToday = (prisma) =>
+  prisma.usage.get(`${DICTIONARY_ENDPOINT}|2025-01-15T00:00:00.000Z`) ?? 0;
+
+describe("lookupWord quota", () => {
+  it("counts a successful provider call", async () => {
+    const prisma = createPrisma();
+    setDictionaryProvider({ lookup: async () => ({ definition: "A fruit" }) });
+
+    await lookupWord(prisma, "apple", now);
+
+    expect(usedToday(prisma)).toBe(1);
+  });
+
+  it("releases the reservation when the provider fails", async () => {
+    const prisma = createPrisma();
+    setDictionaryProvider({
+      lookup: async () => {
+        throw new Error("Dictionary provider responded 503");
+      },
+    });
+
+    await expect(lookupWord(prisma, "apple", now)).rejects.toMatchObject({ status: 502 });
+    await expect(lookupWord(prisma, "banana", now)).rejects.toMatchObject({ status: 502 });
+
+    expect(usedToday(prisma)).toBe(0);
+  });
+});
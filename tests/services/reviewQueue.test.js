@@ -0,0 +1,77 @@
+import { buildDailyQueue } from "../../src/services/reviewQueue.js";
+
+// ==========================================
+//  DAILY REVIEW QUEUE -- Hàng đợi ôn tập hằng ngày
+// ==========================================
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+const now = new Date("2025-11-08T20:00:00Z"); // 2025-11-09 in Asia/Ho_Chi_Minh
+
+const createPrisma = ({ reviewsToday = null, dueReviews = [], newWords = [] } = {}) => {
+  const calls = {};
+  return {
+    calls,
+    user: {
+      findUnique: async () => ({
+        settings: JSON.stringify({ dailyGoal: 20, timezone: "Asia/Ho_Chi_Minh" }),
+      }),
+    },
+    dailyProgress: {
+      findUnique: async ({ where }) => {
+        calls.dailyProgress = where;
+        return reviewsToday === null ? null : { reviews: reviewsToday };
+      },
+    },
+    review: {
+      count: async () => 0,
+      findMany: async ({ take }) => {
+        calls.dueTake = take;
+        return dueReviews;
+      },
+    },
+    vocabulary: { findMany: async () => newWords },
+  };
+};
+
+describe("buildDailyQueue progress", () => {
+  it("reads today's answers from DailyProgress for the local date", async () => {
+    const prisma = createPrisma({ reviewsToday: 15 });
+
+    const queue = await buildDailyQueue(prisma, USER_ID, { now });
+
+    expect(prisma.calls.dailyProgress).toEqual({
+      userId_date: { userId: USER_ID, date: "2025-11-09" },
+    });
+    expect(queue.progress).toEqual({ reviewedToday: 15, dailyGoal: 20, remaining: 5 });
+    expect(prisma.calls.dueTake).toBe(5);
+  });
+
+  it("starts from zero before the first answer of the day", async () => {
+    const queue = await buildDailyQueue(createPrisma(), USER_ID, { now });
+
+    expect(queue.progress).toEqual({ reviewedToday: 0, dailyGoal: 20, remaining: 20 });
+  });
+});
+
+describe("buildDailyQueue vocabulary", () => {
+  const vocabulary = (id) => ({
+    id,
+    word: "Apple",
+    searchText: "apple qua tao",
+    vocabularyTag: [{ tag: { id: "t1", name: "Fruit", color: "#f00" } }],
+  });
+
+  it("returns vocabularies without searchText, with their tags", async () => {
+    const prisma = createPrisma({
+      dueReviews: [{ id: "r1", vocabulary: vocabulary("v1") }],
+      newWords: [vocabulary("v2")],
+    });
+
+    const queue = await buildDailyQueue(prisma, USER_ID, { now });
+
+    expect(queue.due[0].vocabulary).not.toHaveProperty("searchText");
+    expect(queue.due[0].vocabulary.tags).toEqual([{ id: "t1", name: "Fruit", color: "#f00" }]);
+    expect(queue.new[0]).not.toHaveProperty("searchText");
+    expect(queue.new[0]).not.toHaveProperty("vocabularyTag");
+  });
+});
@@ -0,0 +1,87 @@
+import { migrateReviews, scheduleReview } from "../../src/services/scheduler.js";
+import { getAlgorithm } from "../../src/services/algorithms/index.js";
+
+// ==========================================
+//  REVIEW SCHEDULER -- Bộ lập lịch ôn tập
+// ==========================================
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+
+/**
+ * In-memory transaction stand-in with the calls migrateReviews makes -- Transaction giả trong bộ nhớ với các lời gọi migrateReviews sử dụng
+ */
+const createTx = (reviews) => {
+  const calls = { updateMany: 0 };
+  return {
+    calls,
+    review: {
+      findMany: async ({ where }) =>
+        reviews.filter((r) => r.userId === where.userId && r.algorithm !== where.algorithm.not),
+      updateMany: async ({ where, data }) => {
+        calls.updateMany += 1;
+        const ids = new Set(where.id.in);
+        reviews.filter((r) => ids.has(r.id)).forEach((r) => Object.assign(r, data));
+        return { count: ids.size };
+      },
+    },
+  };
+};
+
+describe("scheduleReview", () => {
+  it("migrates a review stored under another algorithm before answering", () => {
+    const review = { algorithm: "sm2", interval: 6, repetitions: 2, easeFactor: 2.5 };
+    const next = scheduleReview(getAlgorithm("leitner"), review, 4, new Date());
+
+    expect(next).toMatchObject({ algorithm: "leitner", box: 4, interval: 8 });
+  });
+
+  it("rejects quality outside 0-5", () => {
+    expect(() => scheduleReview(getAlgorithm("sm2"), null, 6)).toThrow(RangeError);
+  });
+});
+
+describe("migrateReviews", () => {
+  it("migrates thousands of reviews with a few set-based updates", async () => {
+    const reviews = Array.from({ length: 5000 }, (_, i) => ({
+      id: `review-${i}`,
+      userId: USER_ID,
+      algorithm: "sm2",
+      easeFactor: 2.5,
+      interval: i % 30,
+      repetitions: i % 30 ? 3 : 0,
+      stability: null,
+      fsrsDifficulty: null,
+      box: null,
+    }));
+    const tx = createTx(reviews);
+
+    const migrated = await migrateReviews(tx, USER_ID, "leitner");
+
+    expect(migrated).toBe(5000);
+    expect(tx.calls.updateMany).toBeLessThanOrEqual(10);
+    expect(reviews.every((r) => r.algorithm === "leitner")).toBe(true);
+    expect(reviews.find((r) => r.interval === 6).box).toBe(3);
+    expect(reviews.find((r) => r.interval === 0).box).toBe(1);
+  });
+
+  it("keeps each group under the SQL Server parameter limit", async () => {
+    const reviews = Array.from({ length: 2500 }, (_, i) => ({
+      id: `review-${i}`,
+      userId: USER_ID,
+      algorithm: "sm2",
+      interval: 1,
+      repetitions: 1,
+    }));
+    const tx = createTx(reviews);
+
+    await migrateReviews(tx, USER_ID, "leitner");
+
+    expect(tx.calls.updateMany).toBe(3);
+  });
+
+  it("rejects an unknown algorithm", async () => {
+    await expect(migrateReviews(createTx([]), USER_ID, "anki")).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+});
@@ -0,0 +1,308 @@
+import initSqlJs from "sql.js";
+import { SEARCH_CANDIDATE_LIMIT, searchVocabularies } from "../../src/services/search.js";
+import { buildSearchText } from "../../src/utils/text.js";
+
+// ==========================================
+//  VOCABULARY SEARCH -- Tìm kiếm từ vựng
+// ==========================================
+//
+// Runs against SQLite (sql.js) instead of SQL Server -- Chạy trên SQLite (sql.js) thay vì SQL Server
+// The Prisma client is not generated in tests, so `vocabulary` below turns the -- Prisma client không được tạo trong test, nên `vocabulary` bên dưới chuyển
+// where clauses search.js builds into the LIKE SQL Prisma emits for SQLite -- các where mà search.js tạo thành câu LIKE mà Prisma sinh ra cho SQLite
+// It only knows the operators search.js uses -- Chỉ hỗ trợ các toán tử search.js dùng
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+const OTHER_USER_ID = "6ba7b810-9dad-11d1-80b4-00c04fd430c8";
+const TAG_ID = "7c9e6679-7425-40de-944b-e07fc1f90ae7";
+
+const SCHEMA =
+  "CREATE TABLE vocabularies (id text primary key, userId text, word text, definition text, example text," +
+  " partOfSpeech text, difficulty integer, searchText text, createdAt text);" +
+  "CREATE TABLE tags (id text primary key, name text, color text);" +
+  "CREATE TABLE vocabulary_tags (vocabularyId text, tagId text);" +
+  `INSERT INTO tags VALUES ('${TAG_ID}', 'FURNITURE', '#3b82f6');`;
+
+/**
+ * SQL for a Vocabulary where clause -- Câu SQL cho điều kiện where của Vocabulary
+ * @return {{sql: string, params: Array}}
+ */
+const toSql = (where) => {
+  const parts = [];
+  const params = [];
+
+  const add = (sql, ...values) => {
+    parts.push(sql);
+    params.push(...values);
+  };
+  const nested = (clause, wrap) => {
+    const { sql, params: values } = toSql(clause);
+    add(wrap(sql), ...values);
+  };
+
+  for (const [key, value] of Object.entries(where)) {
+    if (key === "AND") {
+      value.forEach((clause) => nested(clause, (sql) => `(${sql})`));
+    } else if (key === "NOT") {
+      nested(value, (sql) => `NOT (${sql})`);
+    } else if (key === "vocabularyTag") {
+      const { tagId, tag } = value.some;
+      add(
+        "EXISTS (SELECT 1 FROM vocabulary_tags vt JOIN tags t ON t.id = vt.tagId" +
+          ` WHERE vt.vocabularyId = v.id AND ${tagId ? "t.id" : "t.name"} = ?)`,
+        tagId ?? tag.name
+      );
+    } else if (value !== null && typeof value === "object") {
+      const { contains, startsWith, gte, lte, in: ids } = value;
+      if (contains !== undefined) add(`v.${key} LIKE '%' || ? || '%'`, contains);
+      if (startsWith !== undefined) add(`v.${key} LIKE ? || '%'`, startsWith);
+      if (gte !== undefined) add(`v.${key} >= ?`, gte);
+      if (lte !== undefined) add(`v.${key} <= ?`, lte);
+      if (ids !== undefined) add(`v.${key} IN (${ids.map(() => "?").join(", ") || "NULL"})`, ...ids);
+    } else {
+      add(`v.${key} = ?`, value);
+    }
+  }
+
+  return { sql: parts.join(" AND ") || "1 = 1", params };
+};
+
+/**
+ * Prisma-like `vocabulary` delegate over a sql.js database -- Đối tượng `vocabulary` giống Prisma trên CSDL sql.js
+ */
+const createPrisma = async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(SCHEMA);
+  const queries = [];
+
+  const all = (sql, params) => {
+    const statement = db.prepare(sql);
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    statement.free();
+    return rows;
+  };
+
+  const withTags = (row) => ({
+    ...row,
+    vocabularyTag: all(
+      "SELECT t.* FROM vocabulary_tags vt JOIN tags t ON t.id = vt.tagId WHERE vt.vocabularyId = ?",
+      [row.id]
+    ).map((tag) => ({ tag })),
+  });
+
+  let nextId = 0;
+
+  return {
+    db,
+    queries,
+    add: (vocabulary, { userId = USER_ID, tagged = false } = {}) => {
+      const id = `v${String(nextId++).padStart(5, "0")}`;
+      const row = {
+        definition: null,
+        example: null,
+        partOfSpeech: null,
+        difficulty: 1,
+        createdAt: new Date(Date.UTC(2025, 0, 1, 0, 0, nextId)).toISOString(),
+        ...vocabulary,
+      };
+      db.run("INSERT INTO vocabularies VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+        id,
+        userId,
+        row.word,
+        row.definition,
+        row.example,
+        row.partOfSpeech,
+        row.difficulty,
+        buildSearchText(row),
+        row.createdAt,
+      ]);
+      if (tagged) {
+        db.run("INSERT INTO vocabulary_tags VALUES (?, ?)", [id, TAG_ID]);
+      }
+      return id;
+    },
+    vocabulary: {
+      findMany: async ({ where, select, include, orderBy = [], skip = 0, take = -1 }) => {
+        queries.push({ type: "findMany", where, take });
+        const { sql, params } = toSql(where);
+        const columns = select ? Object.keys(select).map((key) => `v.${key}`).join(", ") : "v.*";
+        const order = orderBy
+          .map((field) => Object.entries(field)[0])
+          .map(([key, direction]) => `v.${key} ${direction.toUpperCase()}`)
+          .join(", ");
+        const rows = all(
+          `SELECT ${columns} FROM vocabularies v WHERE ${sql}` +
+            (order ? ` ORDER BY ${order}` : "") +
+            " LIMIT ? OFFSET ?",
+          [...params, take, skip]
+        );
+        return include ? rows.map(withTags) : rows;
+      },
+      count: async ({ where }) => {
+        queries.push({ type: "count", where });
+        const { sql, params } = toSql(where);
+        return all(`SELECT count(*) AS total FROM vocabularies v WHERE ${sql}`, params)[0].total;
+      },
+    },
+  };
+};
+
+const search = (prisma, options) =>
+  searchVocabularies(prisma, USER_ID, {
+    page: 1,
+    limit: 20,
+    sortBy: "createdAt",
+    sortOrder: "desc",
+    ...options,
+  });
+
+const words = (result) => result.data.map((item) => item.word);
+
+describe("searchVocabularies with q", () => {
+  let prisma;
+
+  beforeEach(async () => {
+    prisma = await createPrisma();
+  });
+
+  afterEach(() => {
+    prisma.db.close();
+  });
+
+  it("ranks exact, prefix, inside-word, then definition matches, shorter words first", async () => {
+    prisma.add({ word: "ghế", definition: "Đồ để ngồi cạnh BÀN" });
+    prisma.add({ word: "bàn chải", definition: "brush" });
+    prisma.add({ word: "cái bàn", definition: "a table" });
+    prisma.add({ word: "bàn là", definition: "iron" });
+    prisma.add({ word: "cửa", definition: "door" });
+    prisma.add({ word: "Bàn", definition: "table" });
+
+    const result = await search(prisma, { q: "bàn" });
+
+    expect(result.data.map(({ word, match }) => [word, match])).toEqual([
+      ["Bàn", "exact"],
+      ["bàn là", "prefix"],
+      ["bàn chải", "prefix"],
+      ["cái bàn", "word"],
+      ["ghế", "text"],
+    ]);
+    expect(result.pagination).toEqual({
+      page: 1,
+      limit: 20,
+      total: 5,
+      totalPages: 1,
+      truncated: false,
+    });
+  });
+
+  it("matches Vietnamese text whatever the accents, case and word order", async () => {
+    prisma.add({ word: "Đường phố", definition: "street" });
+    prisma.add({ word: "phở", example: "Một bát phở nóng" });
+
+    expect(words(await search(prisma, { q: "DUONG pho" }))).toEqual(["Đường phố"]);
+    expect((await search(prisma, { q: "phố đường" })).data[0].match).toBe("word");
+    expect(words(await search(prisma, { q: "PHỞ" }))).toEqual(["phở", "Đường phố"]);
+    expect(words(await search(prisma, { q: "bát nóng" }))).toEqual(["phở"]);
+  });
+
+  it("combines q with the tag, difficulty and partOfSpeech filters", async () => {
+    const match = { word: "bàn", partOfSpeech: "noun", difficulty: 3 };
+    prisma.add(match, { tagged: true });
+    prisma.add({ ...match, word: "bàn tay" }, { tagged: true });
+    prisma.add({ ...match, word: "ghế" }, { tagged: true });
+    prisma.add(match); // Not tagged -- Không gắn tag
+    prisma.add({ ...match, partOfSpeech: "verb" }, { tagged: true });
+    prisma.add({ ...match, difficulty: 1 }, { tagged: true });
+    prisma.add({ ...match, difficulty: 5 }, { tagged: true });
+    prisma.add(match, { userId: OTHER_USER_ID, tagged: true });
+
+    const filters = { partOfSpeech: "noun", minDifficulty: 2, maxDifficulty: 4 };
+
+    expect(words(await search(prisma, { q: "ban", tag: "furniture", ...filters }))).toEqual([
+      "bàn",
+      "bàn tay",
+    ]);
+    expect(words(await search(prisma, { q: "ban tay", tag: TAG_ID, ...filters }))).toEqual([
+      "bàn tay",
+    ]);
+    expect(words(await search(prisma, { q: "ban", tag: "unknown", ...filters }))).toEqual([]);
+  });
+
+  it("ranks at most SEARCH_CANDIDATE_LIMIT matches but keeps the leading ones", async () => {
+    prisma.db.run("BEGIN");
+    for (let i = 0; i <= SEARCH_CANDIDATE_LIMIT; i++) {
+      prisma.add({ word: `a ban ${String(i).padStart(4, "0")}` });
+    }
+    prisma.add({ word: "zbàn" }); // Sorts last, matches inside the word -- Xếp cuối, khớp bên trong từ
+    prisma.add({ word: "bàn" }); // Sorts last among exact/prefix -- Xếp cuối trong nhóm trùng/tiền tố
+    prisma.db.run("COMMIT");
+
+    const result = await search(prisma, { q: "ban", limit: 1 });
+
+    expect(result.data.map(({ word, match }) => [word, match])).toEqual([["bàn", "exact"]]);
+    expect(result.pagination).toMatchObject({
+      total: SEARCH_CANDIDATE_LIMIT,
+      totalPages: SEARCH_CANDIDATE_LIMIT,
+      truncated: true,
+    });
+    prisma.queries
+      .filter(({ type, where }) => type === "findMany" && !where.id)
+      .forEach(({ take }) => expect(take).toBeLessThanOrEqual(SEARCH_CANDIDATE_LIMIT + 1));
+  });
+});
+
+describe("searchVocabularies without q", () => {
+  let prisma;
+
+  beforeEach(async () => {
+    prisma = await createPrisma();
+  });
+
+  afterEach(() => {
+    prisma.db.close();
+  });
+
+  it("pages and counts in the database", async () => {
+    ["cam", "bưởi", "táo", "chuối", "xoài"].forEach((word) =>
+      prisma.add({ word, partOfSpeech: "noun" })
+    );
+    prisma.add({ word: "ăn", partOfSpeech: "verb" });
+
+    const result = await search(prisma, {
+      page: 2,
+      limit: 2,
+      sortBy: "word",
+      sortOrder: "asc",
+      partOfSpeech: "noun",
+    });
+
+    expect(words(result)).toEqual(["chuối", "táo"]);
+    expect(result.data[0]).not.toHaveProperty("match");
+    expect(result.data[0]).not.toHaveProperty("searchText");
+    expect(result.pagination).toEqual({
+      page: 2,
+      limit: 2,
+      total: 5,
+      totalPages: 3,
+      truncated: false,
+    });
+    expect(prisma.queries.map(({ type, take }) => [type, take])).toEqual([
+      ["count", undefined],
+      ["findMany", 2],
+    ]);
+  });
+
+  it("returns tags with each row", async () => {
+    prisma.add({ word: "bàn" }, { tagged: true });
+
+    const result = await search(prisma, {});
+
+    expect(result.data[0].tags).toEqual([
+      { id: TAG_ID, name: "FURNITURE", color: "#3b82f6" },
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+import { updateSettings } from "../../src/services/settings.js";
+import { MIGRATION_TIMEOUT_MS } from "../../src/services/scheduler.js";
+import { readSettings, serializeSettings } from "../../src/utils/settings.js";
+
+// ==========================================
+//  SETTINGS SERVICE -- Dịch vụ cài đặt người dùng
+// ==========================================
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+
+/**
+ * Prisma stand-in whose transaction only commits when the callback resolves -- Prisma giả, transaction chỉ được ghi khi callback thành công
+ * `afterRead` runs after every read, like another request committing in between -- `afterRead` chạy sau mỗi lượt đọc, như một request khác ghi xen vào
+ */
+const createPrisma = ({ reviews = [], failMigration = false, afterRead = null } = {}) => {
+  const db = { settings: serializeSettings(readSettings(null)), reviews };
+  const calls = { outsideTransaction: 0, transactionOptions: null, transactions: 0 };
+
+  const createTx = (draft) => ({
+    user: {
+      findUnique: async () => {
+        const user = { settings: draft.settings };
+        afterRead?.(db);
+        return user;
+      },
+      // Matches the committed row, like a locking UPDATE -- So khớp với bản ghi đã commit, như UPDATE có khóa
+      updateMany: async ({ where, data }) => {
+        if (db.settings !== where.settings) {
+          return { count: 0 };
+        }
+        draft.settings = data.settings;
+        return { count: 1 };
+      },
+    },
+    review: {
+      findMany: async ({ where }) =>
+        draft.reviews.filter((r) => r.algorithm !== where.algorithm.not),
+      updateMany: async ({ where, data }) => {
+        if (failMigration) {
+          throw new Error("Transaction already closed");
+        }
+        const ids = new Set(where.id.in);
+        draft.reviews = draft.reviews.map((r) => (ids.has(r.id) ? { ...r, ...data } : r));
+        return { count: ids.size };
+      },
+    },
+  });
+
+  const outside = () => {
+    calls.outsideTransaction += 1;
+    throw new Error("Called outside the transaction");
+  };
+
+  return {
+    db,
+    calls,
+    user: { findUnique: outside, update: outside, updateMany: outside },
+    $transaction: async (fn, options) => {
+      calls.transactions += 1;
+      calls.transactionOptions = options;
+      const snapshot = { ...db };
+      const draft = { ...db };
+      const result = await fn(createTx(draft));
+      // Commit only what this transaction wrote -- Chỉ commit những gì transaction này đã ghi
+      Object.keys(draft)
+        .filter((key) => draft[key] !== snapshot[key])
+        .forEach((key) => (db[key] = draft[key]));
+      return result;
+    },
+  };
+};
+
+describe("updateSettings", () => {
+  it("writes the patch and migrates reviews in one transaction", async () => {
+    const prisma = createPrisma({
+      reviews: [{ id: "r1", algorithm: "sm2", interval: 6, repetitions: 2, easeFactor: 2.5 }],
+    });
+
+    const settings = await updateSettings(prisma, USER_ID, {
+      dailyGoal: 40,
+      reviewSettings: { algorithm: "leitner" },
+    });
+
+    expect(settings.dailyGoal).toBe(40);
+    expect(readSettings(prisma.db.settings)).toMatchObject({
+      dailyGoal: 40,
+      reviewSettings: { algorithm: "leitner" },
+    });
+    expect(prisma.db.reviews[0]).toMatchObject({ algorithm: "leitner", box: 3 });
+    expect(prisma.calls.outsideTransaction).toBe(0);
+    expect(prisma.calls.transactionOptions).toEqual({ timeout: MIGRATION_TIMEOUT_MS });
+  });
+
+  it("keeps the old settings when the migration fails", async () => {
+    const prisma = createPrisma({
+      reviews: [{ id: "r1", algorithm: "sm2", interval: 6, repetitions: 2, easeFactor: 2.5 }],
+      failMigration: true,
+    });
+    const before = prisma.db.settings;
+
+    await expect(
+      updateSettings(prisma, USER_ID, {
+        dailyGoal: 40,
+        reviewSettings: { algorithm: "leitner" },
+      })
+    ).rejects.toThrow("Transaction already closed");
+
+    expect(prisma.db.settings).toBe(before);
+    expect(prisma.db.reviews[0].algorithm).toBe("sm2");
+  });
+
+  it("skips the migration when the algorithm is unchanged", async () => {
+    const prisma = createPrisma({ failMigration: true });
+
+    const settings = await updateSettings(prisma, USER_ID, { dailyGoal: 30 });
+
+    expect(settings.dailyGoal).toBe(30);
+    expect(readSettings(prisma.db.settings).dailyGoal).toBe(30);
+  });
+});
+
+describe("updateSettings with concurrent writers", () => {
+  // Another request stores `patch` between our read and our write -- Request khác lưu `patch` giữa lượt đọc và lượt ghi của ta
+  const commit = (db, patch) => {
+    db.settings = serializeSettings({ ...readSettings(db.settings), ...patch });
+  };
+
+  it("merges again on top of a patch committed in between", async () => {
+    let reads = 0;
+    const prisma = createPrisma({
+      afterRead: (db) => reads++ === 0 && commit(db, { theme: "dark" }),
+    });
+
+    const settings = await updateSettings(prisma, USER_ID, { dailyGoal: 40 });
+
+    expect(settings).toMatchObject({ theme: "dark", dailyGoal: 40 });
+    expect(readSettings(prisma.db.settings)).toMatchObject({ theme: "dark", dailyGoal: 40 });
+    expect(prisma.calls.transactions).toBe(2);
+  });
+
+  it("answers 409 when other writers keep winning", async () => {
+    let goal = 100;
+    const prisma = createPrisma({
+      afterRead: (db) => commit(db, { dailyGoal: goal++ }),
+    });
+
+    await expect(updateSettings(prisma, USER_ID, { theme: "dark" })).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(readSettings(prisma.db.settings).theme).not.toBe("dark");
+  });
+});
@@ -0,0 +1,115 @@
+import { addStreakFreeze, computeStreaks } from "../../src/services/streaks.js";
+
+// ==========================================
+//  STREAKS -- Chuỗi ngày học
+// ==========================================
+
+const days = (...dates) => new Set(dates);
+
+describe("computeStreaks", () => {
+  it("counts consecutive goal days up to today", () => {
+    const met = days("2025-01-13", "2025-01-14", "2025-01-15");
+
+    expect(computeStreaks(met, days(), "2025-01-15")).toEqual({ current: 3, longest: 3 });
+  });
+
+  it("keeps yesterday's streak alive while today is unfinished", () => {
+    const met = days("2025-01-13", "2025-01-14");
+
+    expect(computeStreaks(met, days(), "2025-01-15")).toEqual({ current: 2, longest: 2 });
+  });
+
+  it("breaks the streak after a missed day", () => {
+    const met = days("2025-01-10", "2025-01-11", "2025-01-12", "2025-01-14");
+
+    expect(computeStreaks(met, days(), "2025-01-16")).toEqual({ current: 0, longest: 3 });
+    expect(computeStreaks(met, days(), "2025-01-15")).toEqual({ current: 1, longest: 3 });
+  });
+
+  it("bridges frozen days without counting them", () => {
+    const met = days("2025-01-12", "2025-01-14", "2025-01-15");
+
+    expect(computeStreaks(met, days("2025-01-13"), "2025-01-15")).toEqual({
+      current: 3,
+      longest: 3,
+    });
+  });
+
+  it("keeps the streak alive through a frozen today", () => {
+    const met = days("2025-01-13", "2025-01-14");
+
+    expect(computeStreaks(met, days("2025-01-15"), "2025-01-16").current).toBe(2);
+  });
+
+  it("ignores future freezes and handles month boundaries", () => {
+    const met = days("2025-01-31", "2025-02-01");
+
+    expect(computeStreaks(met, days("2025-02-10"), "2025-02-01")).toEqual({
+      current: 2,
+      longest: 2,
+    });
+  });
+
+  it("returns zeros with no history", () => {
+    expect(computeStreaks(days(), days(), "2025-01-15")).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe("addStreakFreeze", () => {
+  const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+  const now = new Date("2025-01-15T08:00:00Z");
+
+  /**
+   * Prisma stand-in; `collide` makes the first transaction lose to `committedMeanwhile` -- Prisma giả; `collide` làm transaction đầu tiên thua `committedMeanwhile`
+   */
+  const createPrisma = ({ freezes = [], collide = false, committedMeanwhile = [] } = {}) => {
+    const calls = { transactions: [] };
+    const tx = {
+      streakFreeze: {
+        findUnique: async ({ where }) =>
+          freezes.find((date) => date === where.userId_date.date) ? { id: "f" } : null,
+        count: async ({ where }) =>
+          freezes.filter((date) => date.startsWith(where.date.startsWith)).length,
+        create: async ({ data }) => {
+          freezes.push(data.date);
+          return { id: "new", date: data.date, createdAt: now };
+        },
+      },
+    };
+
+    return {
+      calls,
+      user: { findUnique: async () => ({ settings: null }) },
+      $transaction: async (fn, options) => {
+        calls.transactions.push(options);
+        if (collide && calls.transactions.length === 1) {
+          freezes.push(...committedMeanwhile);
+          throw Object.assign(new Error("Write conflict or deadlock"), { code: "P2034" });
+        }
+        return fn(tx);
+      },
+    };
+  };
+
+  it("checks the monthly cap in a serializable transaction", async () => {
+    const prisma = createPrisma({ freezes: ["2025-01-20"] });
+
+    const freeze = await addStreakFreeze(prisma, USER_ID, "2025-01-21", now);
+
+    expect(freeze.date).toBe("2025-01-21");
+    expect(prisma.calls.transactions).toEqual([{ isolationLevel: "Serializable" }]);
+  });
+
+  it("retries a collision and then applies the cap", async () => {
+    const prisma = createPrisma({
+      freezes: ["2025-01-20"],
+      collide: true,
+      committedMeanwhile: ["2025-01-22"],
+    });
+
+    await expect(addStreakFreeze(prisma, USER_ID, "2025-01-21", now)).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(prisma.calls.transactions).toHaveLength(2);
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  CSV_MAX_ROW_BYTES,
+  IMPORT_CHUNK_SIZE,
+  importVocabularyCsv,
+} from "../../src/services/vocabularyImport.js";
+
+// ==========================================
+//  CSV VOCABULARY IMPORT -- Nhập từ vựng từ CSV
+// ==========================================
+
+const USER_ID = "550e8400-e29b-41d4-a716-446655440000";
+
+const createPrisma = ({ failOnChunk = null } = {}) => {
+  const created = [];
+  let chunks = 0;
+  const tx = {
+    tag: { findMany: async () => [], createMany: async () => ({}) },
+    vocabulary: {
+      createMany: async ({ data }) => {
+        chunks += 1;
+        if (chunks === failOnChunk) {
+          throw new Error("Connection lost");
+        }
+        created.push(...data);
+        return { count: data.length };
+      },
+    },
+    vocabularyTag: { createMany: async () => ({}) },
+    review: { createMany: async () => ({}) },
+  };
+
+  return {
+    created,
+    vocabulary: { findMany: async () => [{ word: "Apple" }] },
+    $transaction: async (fn) => fn(tx),
+  };
+};
+
+describe("importVocabularyCsv", () => {
+  it("reports imported, duplicate and rejected rows by spreadsheet row", async () => {
+    const prisma = createPrisma();
+    const csv = "Word,Definition,Tags\nbanana,Quả chuối,fruit\napple,Quả táo,\n,No word,\n";
+
+    const report = await importVocabularyCsv(prisma, USER_ID, Buffer.from(csv));
+
+    expect(report.summary).toEqual({
+      total: 3,
+      imported: 1,
+      duplicates: 1,
+      rejected: 1,
+      complete: true,
+    });
+    expect(report.stopped).toBeNull();
+    expect(report.imported[0]).toMatchObject({ row: 2, word: "Banana" });
+    expect(report.duplicates[0]).toMatchObject({ row: 3 });
+    expect(report.rejected[0].row).toBe(4);
+    expect(prisma.created).toHaveLength(1);
+  });
+
+  it("rejects a malformed file with 400 before importing anything", async () => {
+    const prisma = createPrisma();
+    const csv = `word,definition\nbanana,Quả chuối\nlong,${"x".repeat(CSV_MAX_ROW_BYTES + 1)}\n`;
+
+    await expect(
+      importVocabularyCsv(prisma, USER_ID, Buffer.from(csv))
+    ).rejects.toMatchObject({ status: 400, message: "Tệp CSV không hợp lệ" });
+    expect(prisma.created).toHaveLength(0);
+  });
+
+  // Spreadsheet rows 2.. of a file with `count` valid words -- Các dòng 2.. của tệp có `count` từ hợp lệ
+  const words = (count) =>
+    Array.from({ length: count }, (_, i) => {
+      const word = `word${String.fromCharCode(97 + Math.floor(i / 26), 97 + (i % 26))}`;
+      return `${word},Definition of ${word}${" padding".repeat(40)}\n`;
+    }).join("");
+
+  it("keeps committed chunks and reports where a malformed file stopped", async () => {
+    const prisma = createPrisma();
+    const rows = 3 * IMPORT_CHUNK_SIZE + 5;
+    const csv = `word,definition\n${words(rows)}bad,${"x".repeat(CSV_MAX_ROW_BYTES + 1)}\n`;
+
+    const report = await importVocabularyCsv(prisma, USER_ID, Buffer.from(csv));
+
+    // Chunks before the parser reached the bad row are kept -- Các nhóm trước khi parser gặp dòng lỗi được giữ lại
+    expect(report.summary.complete).toBe(false);
+    expect(report.summary.imported).toBeGreaterThanOrEqual(IMPORT_CHUNK_SIZE);
+    expect(prisma.created).toHaveLength(report.summary.imported);
+    expect(report.stopped).toEqual({
+      row: report.summary.imported + 2,
+      reason: expect.stringContaining("maximum"),
+    });
+  });
+
+  it("keeps committed chunks and reports the first row of a chunk that failed", async () => {
+    const prisma = createPrisma({ failOnChunk: 2 });
+    const csv = `word,definition\n${words(IMPORT_CHUNK_SIZE + 5)}`;
+
+    const report = await importVocabularyCsv(prisma, USER_ID, Buffer.from(csv));
+
+    expect(report.summary).toMatchObject({ imported: IMPORT_CHUNK_SIZE, complete: false });
+    expect(report.imported.at(-1).row).toBe(IMPORT_CHUNK_SIZE + 1);
+    expect(report.stopped).toEqual({
+      row: IMPORT_CHUNK_SIZE + 2,
+      reason: "Không thể lưu các dòng từ đây trở đi",
+    });
+  });
+
+  it("fails as a whole when the first chunk cannot be inserted", async () => {
+    const prisma = createPrisma({ failOnChunk: 1 });
+
+    await expect(
+      importVocabularyCsv(prisma, USER_ID, Buffer.from(`word,definition\n${words(3)}`))
+    ).rejects.toThrow("Connection lost");
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  isValidTimeZone,
+  localDateToUtc,
+  localDayBounds,
+  toLocalDateString,
+} from "../../src/utils/date.js";
+
+// ==========================================
+//  DATE HELPERS -- Các hàm hỗ trợ ngày giờ
+// ==========================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("isValidTimeZone", () => {
+  it("accepts IANA names and rejects anything else", () => {
+    expect(isValidTimeZone("Asia/Ho_Chi_Minh")).toBe(true);
+    expect(isValidTimeZone("UTC")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+  });
+});
+
+describe("toLocalDateString", () => {
+  it("returns the calendar date in the given timezone", () => {
+    const instant = new Date("2025-11-08T20:00:00Z");
+
+    expect(toLocalDateString(instant, "UTC")).toBe("2025-11-08");
+    expect(toLocalDateString(instant, "Asia/Ho_Chi_Minh")).toBe("2025-11-09");
+    expect(toLocalDateString(instant, "America/Los_Angeles")).toBe("2025-11-08");
+  });
+});
+
+describe("localDateToUtc", () => {
+  it("returns local midnight as a UTC instant", () => {
+    expect(localDateToUtc("2025-11-09", "Asia/Ho_Chi_Minh").toISOString()).toBe(
+      "2025-11-08T17:00:00.000Z"
+    );
+    expect(localDateToUtc("2025-01-15", "America/New_York").toISOString()).toBe(
+      "2025-01-15T05:00:00.000Z"
+    );
+  });
+});
+
+describe("localDayBounds", () => {
+  it("covers the local day that contains the instant", () => {
+    const bounds = localDayBounds(new Date("2025-11-08T20:00:00Z"), "Asia/Ho_Chi_Minh");
+
+    expect(bounds.date).toBe("2025-11-09");
+    expect(bounds.start.toISOString()).toBe("2025-11-08T17:00:00.000Z");
+    expect(bounds.end.toISOString()).toBe("2025-11-09T17:00:00.000Z");
+  });
+
+  it("handles days shortened and lengthened by DST", () => {
+    // US spring forward: 2025-03-09 has 23 hours -- Ngày chuyển sang giờ mùa hè chỉ có 23 giờ
+    const spring = localDayBounds(new Date("2025-03-09T18:00:00Z"), "America/New_York");
+    expect(spring.start.toISOString()).toBe("2025-03-09T05:00:00.000Z");
+    expect(spring.end - spring.start).toBe(23 * HOUR_MS);
+
+    // US fall back: 2025-11-02 has 25 hours -- Ngày trở về giờ chuẩn có 25 giờ
+    const fall = localDayBounds(new Date("2025-11-02T18:00:00Z"), "America/New_York");
+    expect(fall.start.toISOString()).toBe("2025-11-02T04:00:00.000Z");
+    expect(fall.end - fall.start).toBe(25 * HOUR_MS);
+  });
+
+  it("puts an instant exactly at local midnight in the new day", () => {
+    const bounds = localDayBounds(new Date("2025-11-08T17:00:00Z"), "Asia/Ho_Chi_Minh");
+
+    expect(bounds.date).toBe("2025-11-09");
+    expect(bounds.start.toISOString()).toBe("2025-11-08T17:00:00.000Z");
+  });
+});
@@ -0,0 +1,83 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseSize, pruneArchives } from "../../src/utils/logFiles.js";
+
+// ==========================================
+//  LOG FILES -- Tệp log xoay vòng
+// ==========================================
+
+describe("parseSize", () => {
+  it.each([
+    ["500m", 500 * 1024 ** 2],
+    ["1g", 1024 ** 3],
+    ["10k", 10240],
+    ["20MB", 20 * 1024 ** 2],
+    ["123", 123],
+    [2048, 2048],
+  ])("parses %p", (value, bytes) => {
+    expect(parseSize(value)).toBe(bytes);
+  });
+
+  it.each(["", undefined, null, "abc", "10t", "-5m"])("returns null for %p", (value) => {
+    expect(parseSize(value)).toBeNull();
+  });
+});
+
+describe("pruneArchives", () => {
+  let dir;
+
+  // Files with increasing mtimes, in the given order -- Các tệp có mtime tăng dần theo thứ tự truyền vào
+  const writeFiles = (files) => {
+    files.forEach(([name, size], index) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, Buffer.alloc(size));
+      const time = new Date(Date.UTC(2025, 0, 1 + index));
+      fs.utimesSync(file, time, time);
+    });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "logs-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("deletes the oldest archives until they fit", () => {
+    writeFiles([
+      ["combined-2025-01-01.log.gz", 100],
+      ["combined-2025-01-02.log.gz", 100],
+      ["combined-2025-01-03.log.gz", 100],
+    ]);
+
+    expect(pruneArchives(dir, 150)).toEqual([
+      "combined-2025-01-01.log.gz",
+      "combined-2025-01-02.log.gz",
+    ]);
+    expect(fs.readdirSync(dir)).toEqual(["combined-2025-01-03.log.gz"]);
+  });
+
+  it("leaves open log files and excluded prefixes alone", () => {
+    writeFiles([
+      ["audit-2025-01-01.log.gz", 500],
+      ["combined-2025-01-02.log", 500],
+      ["combined-2025-01-03.log.gz", 100],
+    ]);
+
+    expect(pruneArchives(dir, 0, { exclude: ["audit-"] })).toEqual([
+      "combined-2025-01-03.log.gz",
+    ]);
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      "audit-2025-01-01.log.gz",
+      "combined-2025-01-02.log",
+    ]);
+  });
+
+  it("deletes nothing under the limit", () => {
+    writeFiles([["error-2025-01-01.log.gz", 100]]);
+
+    expect(pruneArchives(dir, 100)).toEqual([]);
+  });
+});
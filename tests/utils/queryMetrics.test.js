@@ -0,0 +1,50 @@
+import sql from "mssql";
+import { instrumentRequests } from "../../src/utils/queryMetrics.js";
+import { runWithRequestContext } from "../../src/utils/requestContext.js";
+
+// ==========================================
+//  DATABASE QUERY METRICS -- Số liệu truy vấn cơ sở dữ liệu
+// ==========================================
+
+/**
+ * Run `fn` in a fresh request context and return its query counts -- Chạy `fn` trong ngữ cảnh request mới và trả về số truy vấn
+ */
+const countQueries = async (fn) => {
+  const queryCounts = {};
+  await runWithRequestContext({ requestId: "test", req: {}, queryCounts }, fn);
+  return queryCounts;
+};
+
+describe("instrumentRequests", () => {
+  // Never connected, so every call fails fast with ECONNCLOSED -- Chưa kết nối, nên mọi lời gọi lỗi ngay với ECONNCLOSED
+  const pool = new sql.ConnectionPool({ server: "localhost" });
+
+  beforeAll(() => {
+    instrumentRequests(sql.Request);
+    instrumentRequests(sql.Request); // Second call must not count twice -- Lần gọi thứ hai không được đếm hai lần
+  });
+
+  it("counts every way of running SQL through a pool", async () => {
+    const counts = await countQueries(async () => {
+      await expect(pool.request().query("SELECT 1")).rejects.toThrow();
+      await expect(pool.query("SELECT 1")).rejects.toThrow();
+      await expect(pool.query`SELECT ${1}`).rejects.toThrow();
+      await expect(pool.batch("SELECT 1")).rejects.toThrow();
+      await expect(new sql.Request(pool).batch("SELECT 1")).rejects.toThrow();
+    });
+
+    expect(counts).toEqual({ raw: 5 });
+  });
+
+  it("keeps the callback style working", async () => {
+    const counts = await countQueries(
+      () =>
+        new Promise((resolve) => {
+          const request = new sql.Request(pool);
+          expect(request.query("SELECT 1", (error) => resolve(error))).toBe(request);
+        })
+    );
+
+    expect(counts).toEqual({ raw: 1 });
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  DEFAULT_REDACT_PATHS,
+  REDACTED,
+  createRedactor,
+  redactPathsFromEnv,
+} from "../../src/utils/redact.js";
+
+// ==========================================
+//  LOG REDACTION -- Che dữ liệu nhạy cảm trong log
+// ==========================================
+
+const SECRET = "s3cr3t-session-value";
+
+describe("createRedactor", () => {
+  const { redactValue, redactString } = createRedactor({
+    paths: [...DEFAULT_REDACT_PATHS, "user.settings"],
+    env: { SESSION_SECRET: SECRET, RAPIDAPI_KEY: "short" },
+  });
+
+  it("redacts keys at any depth, case-insensitively", () => {
+    const result = redactValue({
+      Password: "hunter2",
+      body: { items: [{ refreshToken: "abc" }] },
+    });
+
+    expect(result).toEqual({
+      Password: REDACTED,
+      body: { items: [{ refreshToken: REDACTED }] },
+    });
+  });
+
+  it("redacts dotted paths only where they match exactly", () => {
+    const result = redactValue({
+      user: { settings: { theme: "dark" } },
+      settings: { theme: "dark" },
+    });
+
+    expect(result.user.settings).toBe(REDACTED);
+    expect(result.settings).toEqual({ theme: "dark" });
+  });
+
+  it("masks emails, URL tokens and long secret env values in strings", () => {
+    expect(redactString("sent to someone@example.com")).toBe("sent to s***@example.com");
+    expect(redactString("GET /verify?token=abc123&x=1")).toBe(
+      `GET /verify?token=${REDACTED}&x=1`
+    );
+    expect(redactString(`secret is ${SECRET}`)).toBe(`secret is ${REDACTED}`);
+    expect(redactString("a short word")).toBe("a short word");
+  });
+
+  it("turns errors into plain objects", () => {
+    const error = Object.assign(new Error("mail to a.b@example.com failed"), {
+      code: "EAUTH",
+    });
+
+    expect(redactValue({ error }).error).toEqual({
+      name: "Error",
+      message: "mail to a***@example.com failed",
+      code: "EAUTH",
+      stack: expect.any(String),
+    });
+  });
+
+  it("marks circular references but not shared objects", () => {
+    const shared = { id: 1 };
+    const node = { shared, again: shared };
+    node.self = node;
+
+    const result = redactValue(node);
+
+    expect(result.self).toBe("[Circular]");
+    expect(result.shared).toEqual({ id: 1 });
+    expect(result.again).toEqual({ id: 1 });
+  });
+
+  it("keeps dates and buffers and never modifies the original", () => {
+    const date = new Date("2025-01-31T00:00:00Z");
+    const buffer = Buffer.from("abc");
+    const original = { date, buffer, password: "hunter2" };
+
+    const result = redactValue(original);
+
+    expect(result.date).toBe(date);
+    expect(result.buffer).toBe(buffer);
+    expect(original.password).toBe("hunter2");
+  });
+});
+
+describe("redactPathsFromEnv", () => {
+  it("adds comma-separated paths to the defaults", () => {
+    expect(redactPathsFromEnv(" phone, user.name ,")).toEqual([
+      ...DEFAULT_REDACT_PATHS,
+      "phone",
+      "user.name",
+    ]);
+  });
+
+  it("returns the defaults when unset", () => {
+    expect(redactPathsFromEnv("")).toEqual([...DEFAULT_REDACT_PATHS]);
+  });
+});
@@ -0,0 +1,35 @@
+import { buildSearchText, normalizeSearchText } from "../../src/utils/text.js";
+
+// ==========================================
+//  TEXT HELPERS -- Các hàm hỗ trợ xử lý chuỗi
+// ==========================================
+
+describe("normalizeSearchText", () => {
+  it.each([
+    ["Tiếng Việt", "tieng viet"],
+    ["NGƯỜI ĐẸP", "nguoi dep"],
+    ["đường Đi", "duong di"],
+    ["Ơ ư Ă â Ê ô", "o u a a e o"],
+    ["ỹ ỷ ẵ ặ ộ", "y y a a o"],
+    ["Café NAÏVE", "cafe naive"],
+    ["  hello \t\n  WORLD ", "hello world"],
+  ])("folds %p", (value, folded) => {
+    expect(normalizeSearchText(value)).toBe(folded);
+  });
+
+  it("folds decomposed (NFD) input too", () => {
+    expect(normalizeSearchText("Việt".normalize("NFD"))).toBe("viet");
+  });
+
+  it.each([null, undefined, "", "   "])("returns an empty string for %p", (value) => {
+    expect(normalizeSearchText(value)).toBe("");
+  });
+});
+
+describe("buildSearchText", () => {
+  it("puts the folded word first and skips empty fields", () => {
+    expect(
+      buildSearchText({ word: "Đẹp", definition: null, example: "Cô ấy rất  ĐẸP" })
+    ).toBe("dep co ay rat dep");
+  });
+});
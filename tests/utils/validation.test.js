@@ -0,0 +1,48 @@
+import { checkExists, checkOwnership } from "../../src/utils/validation.js";
+
+// ==========================================
+//  VALIDATION HELPERS -- Hàm hỗ trợ xác thực
+// ==========================================
+
+const failingModel = {
+  findFirst: async () => {
+    throw new Error("Connection lost");
+  },
+};
+const failingPrisma = { vocabulary: failingModel, user: failingModel };
+
+describe("checkOwnership", () => {
+  it("is true only for the owner's rows", async () => {
+    const prisma = {
+      vocabulary: {
+        findFirst: async ({ where }) => (where.userId === "u1" ? { id: where.id } : null),
+      },
+    };
+
+    await expect(checkOwnership(prisma, "vocabulary", "v1", "u1")).resolves.toBe(true);
+    await expect(checkOwnership(prisma, "vocabulary", "v1", "u2")).resolves.toBe(false);
+  });
+
+  it("lets database errors through instead of answering false", async () => {
+    await expect(checkOwnership(failingPrisma, "vocabulary", "v1", "u1")).rejects.toThrow(
+      "Connection lost"
+    );
+  });
+});
+
+describe("checkExists", () => {
+  it("is true when a row has the value", async () => {
+    const prisma = {
+      user: { findFirst: async ({ where }) => (where.email === "a@b.co" ? { id: "u1" } : null) },
+    };
+
+    await expect(checkExists(prisma, "user", "email", "a@b.co")).resolves.toBe(true);
+    await expect(checkExists(prisma, "user", "email", "c@d.co")).resolves.toBe(false);
+  });
+
+  it("lets database errors through instead of answering false", async () => {
+    await expect(checkExists(failingPrisma, "user", "email", "a@b.co")).rejects.toThrow(
+      "Connection lost"
+    );
+  });
+});
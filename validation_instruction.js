@@ -1014,33 +1014,9 @@ return !isNaN(parsedDate.getTime());
   }
   };
 
-/\*\*
-
-- Rate limit validator
-- Check if user exceeded action limit
--
-- @example
-- Check if user created > 100 vocabs today
-  \*/
-  export const checkRateLimit = async (prisma, userId, action, limit, windowMs) => {
-  const since = new Date(Date.now() - windowMs);
-
-try {
-const count = await prisma.apiUsage.count({
-where: {
-endpoint: action,
-userId,
-createdAt: { gte: since }
-}
-});
-
-    return count < limit;
-
-} catch (error) {
-console.error('Rate limit check error:', error);
-return true; // Allow on error
-}
-};
+// Rate limiting is not a validator: ApiUsage only holds per-day totals per endpoint
+// (no userId, no per-request rows). Use the limiters in src/middleware/rateLimit.js,
+// backed by the RateLimit model (src/config/rateLimitStore.js).
 
 // ==========================================
 // EXPORT ALL SCHEMAS
@@ -1094,6 +1070,5 @@ isValidHexColor,
 isValidURL,
 isValidISODate,
 checkExists,
-checkOwnership,
-checkRateLimit
+checkOwnership
 };